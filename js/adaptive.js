@@ -0,0 +1,133 @@
+/**
+ * Adaptive Difficulty for MemoryMind AI
+ * Retunes the AI between games so the human players win about as often as they lose
+ */
+class AdaptiveDifficulty {
+    static TARGET_WIN_RATE = 0.5;
+    static STEP = 0.5; // Most the level moves after one game
+    static HISTORY_SIZE = 20; // Recent results kept for display
+
+    // AI tuning from weakest to strongest; the level is a position along this list
+    static LEVELS = [
+        { name: 'novice', aiAccuracy: 0.5, memoryHalfLife: 3, memoryConfusion: 0.3, aiExploration: 0.55 },
+        ...['beginner', 'intermediate', 'advanced', 'expert'].map(name => ({
+            name,
+            ...GameUtils.GAME_CONSTANTS.DIFFICULTIES[name]
+        }))
+    ];
+
+    /**
+     * @param {Object} state - Saved state from serialize() (optional)
+     */
+    constructor(state = {}) {
+        this.level = AdaptiveDifficulty.clampLevel(state.level ?? 1);
+        this.gamesPlayed = state.gamesPlayed || 0;
+        this.history = Array.isArray(state.history) ? state.history : []; // 1 win, 0.5 tie, 0 loss
+    }
+
+    /**
+     * Start a profile from the lifetime statistics of a player who has never used adaptive play
+     * @param {Object} stats - { gamesPlayed, wins, losses, ties } as saved by MemoryGame
+     * @returns {AdaptiveDifficulty} - New profile
+     */
+    static fromStats(stats) {
+        if (!stats || stats.gamesPlayed < 3) {
+            return new AdaptiveDifficulty();
+        }
+
+        const winRate = (stats.wins + stats.ties / 2) / stats.gamesPlayed;
+        return new AdaptiveDifficulty({ level: 1 + (winRate - AdaptiveDifficulty.TARGET_WIN_RATE) * 4 });
+    }
+
+    /**
+     * Keep a level within the tuning range
+     * @param {number} level - Level
+     * @returns {number} - Clamped level
+     */
+    static clampLevel(level) {
+        return Math.min(Math.max(Number(level) || 0, 0), AdaptiveDifficulty.LEVELS.length - 1);
+    }
+
+    /**
+     * Get the AI tuning for the current level, for MemoryAI.configure
+     * @returns {Object} - { memoryAccuracy, explorationRate, decay, confusion }
+     */
+    getAIConfig() {
+        const levels = AdaptiveDifficulty.LEVELS;
+        const lower = Math.min(Math.floor(this.level), levels.length - 2);
+        const t = this.level - lower;
+        const mix = key => levels[lower][key] + (levels[lower + 1][key] - levels[lower][key]) * t;
+
+        return {
+            memoryAccuracy: mix('aiAccuracy'),
+            explorationRate: mix('aiExploration'),
+            decay: { halfLife: mix('memoryHalfLife') },
+            confusion: mix('memoryConfusion')
+        };
+    }
+
+    /**
+     * Get the name of the difficulty closest to the current level
+     * @returns {string} - Difficulty name
+     */
+    getLevelName() {
+        return AdaptiveDifficulty.LEVELS[Math.round(this.level)].name;
+    }
+
+    /**
+     * Get the share of recent games the humans won, counting ties as half
+     * @returns {number|null} - Win rate, or null before the first game
+     */
+    getRecentWinRate() {
+        if (this.history.length === 0) {
+            return null;
+        }
+        return this.history.reduce((sum, outcome) => sum + outcome, 0) / this.history.length;
+    }
+
+    /**
+     * Learn from a finished game. The humans' performance mixes the result
+     * with their share of the pairs, so a narrow loss moves the level less
+     * than a whitewash. Scores pushed below zero by hint penalties count as
+     * zero pairs in the share.
+     * @param {Object} result - Game result from GameEngine.getResult()
+     * @returns {number} - New level
+     */
+    recordGame(result) {
+        const best = type => Math.max(...result.seats
+            .filter(seat => seat.type === type)
+            .map(seat => result.scores[seat.id]));
+        const humanScore = best('human');
+        const aiScore = best('ai');
+
+        const outcome = humanScore > aiScore ? 1 : humanScore === aiScore ? 0.5 : 0;
+        const humanPairs = Math.max(0, humanScore);
+        const aiPairs = Math.max(0, aiScore);
+        const share = humanPairs + aiPairs > 0 ? humanPairs / (humanPairs + aiPairs) : 0.5;
+        const performance = (outcome + share) / 2;
+
+        this.level = AdaptiveDifficulty.clampLevel(
+            this.level + AdaptiveDifficulty.STEP * 2 * (performance - AdaptiveDifficulty.TARGET_WIN_RATE));
+        this.gamesPlayed++;
+        this.history = [...this.history, outcome].slice(-AdaptiveDifficulty.HISTORY_SIZE);
+
+        return this.level;
+    }
+
+    /**
+     * Capture the profile for storage
+     * @returns {Object} - { level, gamesPlayed, history }
+     */
+    serialize() {
+        return {
+            level: this.level,
+            gamesPlayed: this.gamesPlayed,
+            history: this.history
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdaptiveDifficulty;
+}
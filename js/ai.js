@@ -1,20 +1,69 @@
 /**
  * AI Player for MemoryMind AI Game
- * Implements intelligent decision-making with adaptive difficulty
+ * Implements intelligent decision-making with adaptive difficulty.
+ * Remembers what it sees; which cards to flip is up to its strategy (see strategies.js).
+ * Cards are remembered by their match key under the game's match rule (see
+ * rules.js), which is the symbol unless the rule matches cards some other way,
+ * so the "symbols" below are match keys.
  */
 class MemoryAI {
-    constructor(difficulty = 'beginner') {
+    // How memory accuracy drifts as the AI hits and misses
+    static DEFAULT_LEARNING = {
+        matchGain: 0.01, // Accuracy gained per match
+        missLoss: 0.005, // Accuracy lost per miss
+        accuracyFloor: 0.8, // Lowest accuracy, as a fraction of the base accuracy
+        accuracyCeiling: 0.99 // Highest accuracy
+    };
+
+    // How recall fades; the half-life itself comes from the difficulty
+    static DEFAULT_DECAY = {
+        unit: 'turns', // Age cards by 'turns' played or by 'seconds'
+        reinforcement: 2 // Half-life multiplier for every extra sighting of a card
+    };
+
+    // How the AI likes to play; personalities override these
+    static DEFAULT_STYLE = {
+        riskTolerance: 0.7, // Gambles on a likely pair when its chance beats 1 - riskTolerance
+        caution: 0, // Chance of flipping a known second card rather than revealing a new one
+        blockRate: 0.3, // Chance of exploring the players' favourite areas when their habits are clear
+        streakiness: 0 // How far recall drops during a cold spell
+    };
+
+    static STREAK_SWITCH = 0.25; // Chance per move of a streaky AI going hot or cold
+    static DEFAULT_THINKING_TIME = 1500;
+
+    constructor(difficulty = 'beginner', strategy = AIStrategies.DEFAULT) {
         this.difficulty = difficulty;
-        this.memory = new Map(); // Stores known card positions
-        this.probabilityMatrix = new Map(); // Probability estimates for unknown cards
+        this.memory = new Map(); // Card positions recalled at the start of the AI's turn
+        this.beliefs = new BeliefState(); // Odds for the cards not in memory
         this.playerPatterns = []; // Track player behavior patterns
+        this.playerModels = null; // PlayerModels with the human players' habits across games, if known
+        this.policy = null; // LearnedPolicy for the learned strategy, if one has been loaded
         this.gameHistory = []; // Store game moves for learning
-        this.thinkingTime = 1500; // Base thinking time in milliseconds
+        this.thinkingTime = MemoryAI.DEFAULT_THINKING_TIME; // Base thinking time in milliseconds
+        this.random = Math.random; // Random source for all AI decisions
+        this.speed = 1; // Thinking time is divided by this factor
         
         // AI configuration based on difficulty
         this.config = GameUtils.GAME_CONSTANTS.DIFFICULTIES[difficulty];
-        this.memoryAccuracy = this.config.aiAccuracy;
-        this.explorationRate = 0.3; // How often AI explores vs exploits
+        this.baseAccuracy = this.config.aiAccuracy;
+        this.memoryAccuracy = this.baseAccuracy;
+        this.baseExploration = this.config.aiExploration; // Exploration rate at the start of a game
+        this.explorationRate = this.baseExploration; // How often AI explores vs exploits
+        this.style = { ...MemoryAI.DEFAULT_STYLE };
+        this.personality = null; // Key of GAME_CONSTANTS.PERSONALITIES, if any
+        this.learning = { ...MemoryAI.DEFAULT_LEARNING };
+        this.decay = { ...MemoryAI.DEFAULT_DECAY, halfLife: this.config.memoryHalfLife };
+        this.confusion = this.config.memoryConfusion; // Chance of misplacing a recalled card on a 4x4 board
+
+        // Board geometry; defaults to the difficulty's grid but an AI can play any board
+        this.board = { rows: this.config.rows, cols: this.config.cols };
+        this.deck = BeliefState.defaultDeck(this.config.rows * this.config.cols); // Cards per symbol
+        this.totalPairs = Math.floor(this.config.rows * this.config.cols / 2); // Matches that clear the board
+
+        if (!this.setStrategy(strategy)) {
+            this.setStrategy(AIStrategies.DEFAULT);
+        }
         
         this.reset();
     }
@@ -24,12 +73,182 @@ class MemoryAI {
      */
     reset() {
         this.memory.clear();
-        this.probabilityMatrix.clear();
+        this.beliefs.reset(this.deck);
         this.playerPatterns = [];
         this.gameHistory = [];
         this.knownPairs = new Set();
-        this.revealedCards = new Map();
+        this.explorationRate = this.baseExploration;
+        this.revealedCards = new Map(); // Memory trace of every card seen
         this.moveCount = 0;
+        this.turnCount = 0;
+        this.focus = 1; // Recall multiplier, below 1 during a streaky AI's cold spell
+        this.strategy?.reset();
+    }
+
+    /**
+     * Use a specific random source, e.g. a seeded generator for reproducible games
+     * @param {Function} random - Function returning a number in [0, 1)
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
+    /**
+     * Choose how the AI picks its cards
+     * @param {string} name - Name of a registered strategy
+     * @returns {boolean} - Whether the strategy exists
+     */
+    setStrategy(name) {
+        if (!AIStrategies.has(name)) {
+            return false;
+        }
+
+        this.strategyName = name;
+        this.strategy = AIStrategies.create(name, this);
+        return true;
+    }
+
+    /**
+     * Override tuning parameters, e.g. to calibrate difficulties in the simulator
+     * @param {Object} options - { memoryAccuracy, explorationRate, learning, decay, confusion, style, thinkingTime }
+     */
+    configure({ memoryAccuracy, explorationRate, learning, decay, confusion, style, thinkingTime } = {}) {
+        if (memoryAccuracy !== undefined) {
+            this.baseAccuracy = memoryAccuracy;
+            this.memoryAccuracy = memoryAccuracy;
+        }
+        if (explorationRate !== undefined) {
+            this.baseExploration = explorationRate;
+            this.explorationRate = explorationRate;
+        }
+        if (learning) {
+            this.learning = { ...this.learning, ...learning };
+        }
+        if (decay) {
+            this.decay = { ...this.decay, ...decay };
+        }
+        if (confusion !== undefined) {
+            this.confusion = confusion;
+        }
+        if (style) {
+            this.style = { ...this.style, ...style };
+        }
+        if (thinkingTime !== undefined) {
+            this.thinkingTime = thinkingTime;
+        }
+    }
+
+    /**
+     * Give the AI a personality's play style on top of its difficulty
+     * @param {string} name - Key of GAME_CONSTANTS.PERSONALITIES
+     * @returns {boolean} - Whether the personality exists
+     */
+    setPersonality(name) {
+        const personality = GameUtils.GAME_CONSTANTS.PERSONALITIES[name];
+        if (!personality) {
+            return false;
+        }
+
+        this.personality = name;
+        this.configure({
+            style: personality.style,
+            thinkingTime: personality.thinkingTime,
+            decay: { halfLife: this.decay.halfLife * personality.halfLifeScale }
+        });
+        return true;
+    }
+
+    /**
+     * Get what the AI's personality says at a moment of the game
+     * @param {string} moment - 'thinking', 'match' or 'miss'
+     * @returns {string|null} - Line, or null without a personality
+     */
+    getStatusLine(moment) {
+        return GameUtils.GAME_CONSTANTS.PERSONALITIES[this.personality]?.lines[moment] || null;
+    }
+
+    /**
+     * Speed up or slow down the AI's thinking, e.g. while spectating
+     * @param {number} speed - Speed factor (2 thinks twice as fast)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Give the AI the human players' habits from earlier games
+     * @param {PlayerModels} playerModels - Persisted player models
+     */
+    setPlayerModels(playerModels) {
+        this.playerModels = playerModels;
+    }
+
+    /**
+     * Give the AI a trained policy for the learned strategy
+     * @param {LearnedPolicy} policy - Policy
+     */
+    setPolicy(policy) {
+        this.policy = policy;
+    }
+
+    /**
+     * Load a policy file exported by tools/train.js
+     * @param {string} url - Location of the policy file
+     * @returns {Promise<LearnedPolicy>} - The loaded policy
+     */
+    async loadPolicy(url) {
+        this.setPolicy(await LearnedPolicy.load(url));
+        return this.policy;
+    }
+
+    /**
+     * Check whether MemorySolver's advice holds for the deal being played
+     * @returns {boolean} - Whether every symbol was dealt as a pair
+     */
+    playsPairs() {
+        return MemorySolver.covers(this.deck);
+    }
+
+    /**
+     * Set the size of the board being played
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     */
+    setBoard(rows, cols) {
+        this.board = { rows, cols };
+        this.totalPairs = Math.floor(rows * cols / 2);
+        this.setDeck(BeliefState.defaultDeck(rows * cols));
+    }
+
+    /**
+     * Set how many matches clear the board under the match rule, when it
+     * isn't every card paired off
+     * @param {number} totalPairs - Matches needed, e.g. GameEngine's totalPairs
+     */
+    setTotalPairs(totalPairs) {
+        this.totalPairs = totalPairs;
+    }
+
+    /**
+     * Set how many cards of each symbol were dealt
+     * @param {Object} deck - Number of cards per symbol
+     */
+    setDeck(deck) {
+        this.deck = { ...deck };
+        this.rebuildBeliefs();
+    }
+
+    /**
+     * Rebuild the belief state from the deck, matched cards and memory
+     */
+    rebuildBeliefs() {
+        this.beliefs.reset(this.deck);
+        this.revealedCards.forEach((trace, cardIndex) => {
+            if (trace.matched) {
+                this.beliefs.removeMatched([cardIndex], trace.symbol);
+            }
+        });
+        this.memory.forEach((symbol, cardIndex) => this.beliefs.setKnown(cardIndex, symbol));
     }
 
     /**
@@ -39,53 +258,126 @@ class MemoryAI {
      * @param {boolean} isPlayerMove - Whether this was a player move
      */
     observeCard(cardIndex, symbol, isPlayerMove = false) {
-        // Store in memory with accuracy based on difficulty
-        if (Math.random() < this.memoryAccuracy) {
-            this.memory.set(cardIndex, symbol);
-            this.revealedCards.set(cardIndex, {
-                symbol,
-                moveNumber: this.moveCount,
-                isPlayerMove
-            });
-        }
+        // Seeing a card again refreshes its trace and makes it fade more slowly
+        const trace = this.revealedCards.get(cardIndex);
+        this.revealedCards.set(cardIndex, {
+            symbol,
+            moveNumber: this.moveCount,
+            isPlayerMove,
+            turn: this.turnCount,
+            seenAt: Date.now(),
+            exposures: trace?.symbol === symbol ? trace.exposures + 1 : 1,
+            matched: false
+        });
 
-        // Update probability matrix
-        this.updateProbabilities(symbol);
+        // A face-up card is in plain sight until the next recall
+        this.memory.set(cardIndex, symbol);
+        this.beliefs.setKnown(cardIndex, symbol);
 
         // Track player patterns if it's a player move
         if (isPlayerMove) {
             this.trackPlayerPattern(cardIndex);
         }
 
+        this.strategy.observe(cardIndex, symbol, isPlayerMove);
+
         this.moveCount++;
     }
 
     /**
-     * Update probability estimates for unknown cards
-     * @param {string} revealedSymbol - Symbol that was just revealed
+     * Chance of recalling a card right now: the difficulty's accuracy, halved
+     * every half-life since the card was last seen
+     * @param {Object} trace - Memory trace from revealedCards
+     * @returns {number} - Probability in [0, 1]
      */
-    updateProbabilities(revealedSymbol) {
-        // Count how many of each symbol we've seen
-        const symbolCounts = new Map();
-        for (const symbol of this.memory.values()) {
-            symbolCounts.set(symbol, (symbolCounts.get(symbol) || 0) + 1);
-        }
+    getRecallProbability(trace) {
+        const age = this.decay.unit === 'seconds'
+            ? (Date.now() - trace.seenAt) / 1000
+            : this.turnCount - trace.turn;
+        const halfLife = this.decay.halfLife * Math.pow(this.decay.reinforcement, trace.exposures - 1);
 
-        // Update probabilities based on remaining symbols
-        const totalCards = this.config.rows * this.config.cols;
-        const symbolsPerType = totalCards / GameUtils.GAME_CONSTANTS.SYMBOLS.length;
-        
-        for (let i = 0; i < totalCards; i++) {
-            if (!this.memory.has(i)) {
-                const probabilities = {};
-                for (const symbol of GameUtils.GAME_CONSTANTS.SYMBOLS) {
-                    const seen = symbolCounts.get(symbol) || 0;
-                    const remaining = symbolsPerType - seen;
-                    probabilities[symbol] = Math.max(0, remaining / (totalCards - this.memory.size));
-                }
-                this.probabilityMatrix.set(i, probabilities);
+        return Math.min(1, this.memoryAccuracy * this.focus) * Math.pow(0.5, age / halfLife);
+    }
+
+    /**
+     * Chance of recalling a card one cell away from where it really is.
+     * Bigger boards are easier to mix up.
+     * @returns {number} - Probability in [0, 1]
+     */
+    getConfusionProbability() {
+        const cells = this.board.rows * this.board.cols;
+        return Math.min(1, this.confusion * Math.sqrt(cells / 16));
+    }
+
+    /**
+     * Get the cells next to a card, above, below, left and right
+     * @param {number} cardIndex - Card index
+     * @returns {Array} - Neighbouring card indices
+     */
+    getNeighbours(cardIndex) {
+        const { rows, cols } = this.board;
+        const row = Math.floor(cardIndex / cols);
+        const col = cardIndex % cols;
+
+        return [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]
+            .filter(([r, c]) => r >= 0 && r < rows && c >= 0 && c < cols)
+            .map(([r, c]) => r * cols + c);
+    }
+
+    /**
+     * Try to recall every card seen so far. Cards left out are forgotten for
+     * this turn but may come back to mind on a later one; some come back in
+     * a neighbouring cell instead of their own.
+     */
+    recall() {
+        const misplaced = [];
+        const confusion = this.getConfusionProbability();
+        const previous = this.memory;
+        this.memory = new Map();
+
+        this.revealedCards.forEach((trace, cardIndex) => {
+            // Matched cards stay face up on the board
+            if (trace.matched) {
+                this.memory.set(cardIndex, trace.symbol);
+                return;
             }
-        }
+
+            if (this.random() >= this.getRecallProbability(trace)) {
+                return;
+            }
+
+            if (this.random() < confusion) {
+                misplaced.push({ cardIndex, symbol: trace.symbol });
+            } else {
+                this.memory.set(cardIndex, trace.symbol);
+            }
+        });
+
+        // A misplaced card lands on a neighbour the AI has no clearer memory of
+        misplaced.forEach(({ cardIndex, symbol }) => {
+            const neighbours = this.getNeighbours(cardIndex).filter(index => !this.memory.has(index));
+            if (neighbours.length > 0) {
+                this.memory.set(GameUtils.randomChoice(neighbours, this.random), symbol);
+            }
+        });
+
+        // Only cards whose recollection changed move the beliefs
+        previous.forEach((symbol, cardIndex) => {
+            if (!this.memory.has(cardIndex)) {
+                this.beliefs.forget(cardIndex);
+            }
+        });
+        this.memory.forEach((symbol, cardIndex) => this.beliefs.setKnown(cardIndex, symbol));
+    }
+
+    /**
+     * Get the chance that a card the AI doesn't remember shows a symbol
+     * @param {number} cardIndex - Card index
+     * @param {string} symbol - Symbol
+     * @returns {number} - Probability between 0 and 1
+     */
+    getMatchProbability(cardIndex, symbol) {
+        return this.beliefs.probability(cardIndex, symbol);
     }
 
     /**
@@ -110,38 +402,51 @@ class MemoryAI {
      * @returns {Object} - Pattern analysis results
      */
     analyzePlayerPatterns() {
-        if (this.playerPatterns.length < 3) {
+        // Habits from earlier games count as this many clicks seen this game
+        const HABIT_WEIGHT = 10;
+        const habits = this.playerModels?.getCardWeights(this.board) || null;
+
+        if (this.playerPatterns.length < 3 && !habits) {
             return { predictedAreas: [], confidence: 0 };
         }
 
         // Analyze spatial preferences
         const areaPreferences = new Map();
-        const gridCols = this.config.cols;
+        const gridCols = this.board.cols;
+        const areaOf = (cardIndex) => {
+            const row = Math.floor(cardIndex / gridCols);
+            const col = cardIndex % gridCols;
+            return `${Math.floor(row / 2)}-${Math.floor(col / 2)}`;
+        };
         
         for (const pattern of this.playerPatterns) {
-            const row = Math.floor(pattern.cardIndex / gridCols);
-            const col = pattern.cardIndex % gridCols;
-            const area = `${Math.floor(row / 2)}-${Math.floor(col / 2)}`;
+            const area = areaOf(pattern.cardIndex);
             areaPreferences.set(area, (areaPreferences.get(area) || 0) + 1);
         }
 
+        habits?.forEach((weight, cardIndex) => {
+            const area = areaOf(cardIndex);
+            areaPreferences.set(area, (areaPreferences.get(area) || 0) + weight * HABIT_WEIGHT);
+        });
+
         // Find most preferred areas
         const sortedAreas = Array.from(areaPreferences.entries())
             .sort((a, b) => b[1] - a[1])
             .slice(0, 2);
+        const total = this.playerPatterns.length + (habits ? HABIT_WEIGHT : 0);
 
         return {
             predictedAreas: sortedAreas.map(([area]) => area),
-            confidence: sortedAreas.length > 0 ? sortedAreas[0][1] / this.playerPatterns.length : 0
+            confidence: sortedAreas.length > 0 ? sortedAreas[0][1] / total : 0
         };
     }
 
     /**
-     * Make AI move decision
+     * Think about and pick the first card of a turn
      * @param {Array} availableCards - Array of available card indices
-     * @returns {Promise<Array>} - Promise resolving to [firstCard, secondCard] indices
+     * @returns {Promise<number>} - Promise resolving to the first card index
      */
-    async makeMove(availableCards) {
+    async makeFirstMove(availableCards) {
         // Show thinking animation
         GameUtils.eventEmitter.emit('aiThinking', true);
         
@@ -149,27 +454,33 @@ class MemoryAI {
         const thinkingDelay = this.calculateThinkingTime();
         await GameUtils.delay(thinkingDelay);
 
-        let move;
+        const firstCard = this.chooseFirstCard(availableCards);
 
-        // Strategy 1: Look for known matching pairs
-        move = this.findKnownPairs(availableCards);
-        if (move) {
-            GameUtils.eventEmitter.emit('aiThinking', false);
-            return move;
-        }
+        GameUtils.eventEmitter.emit('aiThinking', false);
+        return firstCard;
+    }
 
-        // Strategy 2: Use probability-based exploration
-        move = this.probabilityBasedMove(availableCards);
-        if (move) {
-            GameUtils.eventEmitter.emit('aiThinking', false);
-            return move;
-        }
+    /**
+     * Pick the first card of a turn immediately, without the thinking delay
+     * @param {Array} availableCards - Available card indices
+     * @returns {number} - Card index
+     */
+    chooseFirstCard(availableCards) {
+        this.recall();
+        this.strategy.reasoning = [];
+        return this.strategy.chooseFirstCard(availableCards);
+    }
 
-        // Strategy 3: Random exploration with pattern awareness
-        move = this.explorationMove(availableCards);
-        
-        GameUtils.eventEmitter.emit('aiThinking', false);
-        return move;
+    /**
+     * Pick the second card once the first has been revealed, or any later card
+     * of a turn that flips more than two
+     * @param {Array} availableCards - Available card indices, including the first card
+     * @param {number} firstCard - Index of the first card
+     * @param {string} firstSymbol - Symbol revealed on the first card
+     * @returns {number} - Card index
+     */
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        return this.strategy.chooseSecondCard(availableCards, firstCard, firstSymbol);
     }
 
     /**
@@ -178,116 +489,23 @@ class MemoryAI {
      */
     calculateThinkingTime() {
         const baseTime = this.thinkingTime;
-        const complexity = this.memory.size / (this.config.rows * this.config.cols);
+        const complexity = this.memory.size / (this.board.rows * this.board.cols);
         const difficultyMultiplier = {
             beginner: 0.8,
             intermediate: 1.0,
             advanced: 1.2,
-            expert: 1.5
+            expert: 1.5,
+            custom: 1.0
         }[this.difficulty];
 
-        return Math.floor(baseTime * (1 + complexity) * difficultyMultiplier);
-    }
-
-    /**
-     * Find known matching pairs in memory
-     * @param {Array} availableCards - Available card indices
-     * @returns {Array|null} - [firstCard, secondCard] or null
-     */
-    findKnownPairs(availableCards) {
-        const availableMemory = availableCards.filter(index => this.memory.has(index));
-        
-        for (let i = 0; i < availableMemory.length; i++) {
-            for (let j = i + 1; j < availableMemory.length; j++) {
-                const card1 = availableMemory[i];
-                const card2 = availableMemory[j];
-                
-                if (this.memory.get(card1) === this.memory.get(card2)) {
-                    return [card1, card2];
-                }
-            }
-        }
-        
-        return null;
-    }
-
-    /**
-     * Make probability-based move
-     * @param {Array} availableCards - Available card indices
-     * @returns {Array|null} - [firstCard, secondCard] or null
-     */
-    probabilityBasedMove(availableCards) {
-        // Look for cards with high probability of matching known cards
-        for (const [knownIndex, knownSymbol] of this.memory.entries()) {
-            if (!availableCards.includes(knownIndex)) continue;
-
-            // Find unknown cards with high probability of matching
-            const candidates = availableCards
-                .filter(index => !this.memory.has(index))
-                .map(index => ({
-                    index,
-                    probability: this.probabilityMatrix.get(index)?.[knownSymbol] || 0
-                }))
-                .filter(card => card.probability > 0.3)
-                .sort((a, b) => b.probability - a.probability);
-
-            if (candidates.length > 0) {
-                return [knownIndex, candidates[0].index];
-            }
-        }
-
-        return null;
-    }
-
-    /**
-     * Make exploration move with pattern awareness
-     * @param {Array} availableCards - Available card indices
-     * @returns {Array} - [firstCard, secondCard]
-     */
-    explorationMove(availableCards) {
-        const unknownCards = availableCards.filter(index => !this.memory.has(index));
-        
-        if (unknownCards.length < 2) {
-            // Fallback to random available cards
-            return [
-                GameUtils.randomChoice(availableCards),
-                GameUtils.randomChoice(availableCards.filter(index => index !== availableCards[0]))
-            ];
-        }
-
-        // Analyze player patterns to avoid or target certain areas
-        const patternAnalysis = this.analyzePlayerPatterns();
-        
-        if (patternAnalysis.confidence > 0.4 && Math.random() < 0.3) {
-            // Sometimes block player's preferred areas
-            const gridCols = this.config.cols;
-            const blockedCards = unknownCards.filter(index => {
-                const row = Math.floor(index / gridCols);
-                const col = index % gridCols;
-                const area = `${Math.floor(row / 2)}-${Math.floor(col / 2)}`;
-                return patternAnalysis.predictedAreas.includes(area);
-            });
-
-            if (blockedCards.length >= 2) {
-                return [
-                    GameUtils.randomChoice(blockedCards),
-                    GameUtils.randomChoice(blockedCards.filter(index => index !== blockedCards[0]))
-                ];
-            }
-        }
-
-        // Default exploration: pick two random unknown cards
-        const firstCard = GameUtils.randomChoice(unknownCards);
-        const secondCard = GameUtils.randomChoice(unknownCards.filter(index => index !== firstCard));
-        
-        return [firstCard, secondCard];
+        return Math.floor(baseTime * (1 + complexity) * difficultyMultiplier / this.speed);
     }
 
     /**
      * Record the result of a move for learning
-     * @param {Array} cards - [firstCard, secondCard] indices
+     * @param {Array} cards - Indices of the cards flipped, in order
      * @param {boolean} wasMatch - Whether the cards matched
-     * @param {Array} symbols - [firstSymbol, secondSymbol]
+     * @param {Array} symbols - Match keys of the cards
      */
     recordMoveResult(cards, wasMatch, symbols) {
         this.gameHistory.push({
@@ -299,10 +517,24 @@ class MemoryAI {
 
         if (wasMatch) {
             this.knownPairs.add(symbols[0]);
+            this.beliefs.removeMatched(cards, symbols[0]);
+            cards.forEach(cardIndex => {
+                const trace = this.revealedCards.get(cardIndex);
+                if (trace) {
+                    trace.matched = true;
+                }
+            });
+        }
+        this.turnCount++;
+
+        // Streaky AIs drift between sharp and foggy spells that last a few moves
+        if (this.style.streakiness > 0 && this.random() < MemoryAI.STREAK_SWITCH) {
+            this.focus = this.focus < 1 ? 1 : 1 - this.style.streakiness;
         }
 
         // Learn from the move
         this.learnFromMove(cards, wasMatch, symbols);
+        this.strategy.recordMoveResult(cards, wasMatch, symbols);
     }
 
     /**
@@ -313,16 +545,103 @@ class MemoryAI {
      */
     learnFromMove(cards, wasMatch, symbols) {
         // Update memory accuracy based on performance
+        const { matchGain, missLoss, accuracyFloor, accuracyCeiling } = this.learning;
         if (wasMatch) {
-            this.memoryAccuracy = Math.min(0.99, this.memoryAccuracy + 0.01);
+            this.memoryAccuracy = Math.min(accuracyCeiling, this.memoryAccuracy + matchGain);
         } else {
             // Slightly decrease accuracy on misses (simulate forgetting)
-            this.memoryAccuracy = Math.max(this.config.aiAccuracy * 0.8, this.memoryAccuracy - 0.005);
+            this.memoryAccuracy = Math.max(this.baseAccuracy * accuracyFloor, this.memoryAccuracy - missLoss);
         }
 
-        // Adjust exploration rate based on game progress
-        const gameProgress = this.knownPairs.size / (GameUtils.GAME_CONSTANTS.SYMBOLS.length);
-        this.explorationRate = Math.max(0.1, 0.5 - gameProgress * 0.4);
+        // Explore less as the board is cleared, down to a fifth of the starting rate
+        const matches = this.gameHistory.filter(move => move.wasMatch).length;
+        const gameProgress = Math.min(1, matches / this.totalPairs);
+        this.explorationRate = this.baseExploration * Math.max(0.2, 1 - gameProgress * 0.8);
+    }
+
+    /**
+     * Capture the AI's memory and learning state so a game can be resumed
+     * @returns {Object} - Plain, JSON-serializable snapshot
+     */
+    serialize() {
+        return {
+            difficulty: this.difficulty,
+            board: this.board,
+            totalPairs: this.totalPairs,
+            memory: Array.from(this.memory.entries()),
+            revealedCards: Array.from(this.revealedCards.entries()),
+            deck: this.deck,
+            playerPatterns: this.playerPatterns,
+            gameHistory: this.gameHistory,
+            knownPairs: Array.from(this.knownPairs),
+            moveCount: this.moveCount,
+            turnCount: this.turnCount,
+            memoryAccuracy: this.memoryAccuracy,
+            explorationRate: this.explorationRate,
+            tuning: {
+                baseAccuracy: this.baseAccuracy,
+                baseExploration: this.baseExploration,
+                halfLife: this.decay.halfLife,
+                confusion: this.confusion
+            },
+            personality: this.personality,
+            focus: this.focus,
+            strategy: this.strategyName,
+            strategyState: this.strategy.serialize()
+        };
+    }
+
+    /**
+     * Restore AI state from a snapshot created by serialize()
+     * @param {Object} snapshot - Saved AI snapshot
+     */
+    restore(snapshot) {
+        this.setDifficulty(snapshot.difficulty);
+        this.setBoard(snapshot.board.rows, snapshot.board.cols);
+        // Saves from before match rules were all pairs, the setBoard() default
+        if (snapshot.totalPairs) {
+            this.totalPairs = snapshot.totalPairs;
+        }
+        if (snapshot.strategy && this.setStrategy(snapshot.strategy)) {
+            this.strategy.restore(snapshot.strategyState);
+        }
+        this.style = { ...MemoryAI.DEFAULT_STYLE };
+        this.personality = null;
+        this.thinkingTime = MemoryAI.DEFAULT_THINKING_TIME;
+        if (snapshot.personality) {
+            this.setPersonality(snapshot.personality);
+        }
+        this.focus = snapshot.focus ?? 1;
+
+        this.memory = new Map(snapshot.memory);
+        // Traces saved before memory decay have no age; treat them as fresh
+        this.turnCount = snapshot.turnCount || 0;
+        this.revealedCards = new Map(snapshot.revealedCards.map(([cardIndex, trace]) => [cardIndex, {
+            turn: this.turnCount,
+            seenAt: Date.now(),
+            exposures: 1,
+            matched: false,
+            ...trace
+        }]));
+        // Saves from before the belief state have no deck; assume the standard one
+        if (snapshot.deck) {
+            this.deck = { ...snapshot.deck };
+        }
+        this.rebuildBeliefs();
+        this.playerPatterns = snapshot.playerPatterns;
+        this.gameHistory = snapshot.gameHistory;
+        this.knownPairs = new Set(snapshot.knownPairs);
+        this.moveCount = snapshot.moveCount;
+        this.memoryAccuracy = snapshot.memoryAccuracy;
+        this.explorationRate = snapshot.explorationRate;
+
+        // Tuning that differs from the difficulty's, e.g. set by adaptive difficulty
+        if (snapshot.tuning) {
+            this.baseAccuracy = snapshot.tuning.baseAccuracy;
+            this.baseExploration = snapshot.tuning.baseExploration ?? this.baseExploration;
+            this.decay.halfLife = snapshot.tuning.halfLife;
+            this.confusion = snapshot.tuning.confusion;
+        }
     }
 
     /**
@@ -335,7 +654,36 @@ class MemoryAI {
             knownCards: this.memory.size,
             knownPairs: this.knownPairs.size,
             explorationRate: Math.round(this.explorationRate * 100),
-            difficulty: this.difficulty
+            difficulty: this.difficulty,
+            strategy: this.strategyName,
+            personality: this.personality
+        };
+    }
+
+    /**
+     * Explain the current turn for the reasoning overlay
+     * @returns {Object} - { steps, memory } where steps are the strategy's explanations so far
+     *   and memory lists each remembered face-down card with the strength of its trace
+     */
+    getReasoning() {
+        const memory = [];
+        this.memory.forEach((symbol, cardIndex) => {
+            const trace = this.revealedCards.get(cardIndex);
+            if (trace?.matched) return;
+
+            // A card recalled one cell off has no trace of its own here
+            const misplaced = trace?.symbol !== symbol;
+            memory.push({
+                card: cardIndex,
+                strength: misplaced ? 0 : this.getRecallProbability(trace),
+                misplaced
+            });
+        });
+
+        return {
+            strategy: this.strategyName,
+            steps: [...this.strategy.reasoning],
+            memory
         };
     }
 
@@ -346,7 +694,12 @@ class MemoryAI {
     setDifficulty(newDifficulty) {
         this.difficulty = newDifficulty;
         this.config = GameUtils.GAME_CONSTANTS.DIFFICULTIES[newDifficulty];
-        this.memoryAccuracy = this.config.aiAccuracy;
+        this.baseAccuracy = this.config.aiAccuracy;
+        this.memoryAccuracy = this.baseAccuracy;
+        this.baseExploration = this.config.aiExploration;
+        this.explorationRate = this.baseExploration;
+        this.decay = { ...this.decay, halfLife: this.config.memoryHalfLife };
+        this.confusion = this.config.memoryConfusion;
         this.reset();
     }
 }
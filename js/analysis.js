@@ -0,0 +1,270 @@
+/**
+ * Post-Game Analysis for MemoryMind AI
+ * Replays a recording and judges every turn against perfect-memory play.
+ *
+ * Each turn is two decisions, the first card and the second. Every decision
+ * is scored by the expected score margin of its options, worked out with
+ * MemorySolver from what had been revealed so far, so a turn is judged on
+ * what the player could know and not on how the cards fell. The cost of a
+ * decision is how much worse the chosen option was than the best one.
+ *
+ * A turn is flagged as one of
+ *   optimal             - no decision cost anything
+ *   missedPair          - a pair was known but not taken
+ *   repeatedMismatch    - both cards were already known not to match, and passing was not worth it
+ *   wastedFlip          - a card gave nothing away or revealed too much when another choice was better
+ *
+ * The solver knows only the pairs rule and two players, so only pairs games
+ * of exactly two seats are analysed. Solo games have no opponent to profit
+ * from a revealed card, and with three or four players the margin over one
+ * opponent isn't what a player is playing for, so in either the solver's
+ * best moves aren't the player's.
+ */
+class GameAnalysis {
+    static TOLERANCE = 1e-6; // Costs below this count as optimal
+    static MISTAKES_SHOWN = 3;
+
+    /**
+     * Analyse a recorded game
+     * @param {Object} recording - Recording from GameRecorder
+     * @returns {Object} - { turns, players, mistakes } where players holds
+     *   { turns, counts, accuracy, cost } per seat id and mistakes lists the
+     *   costliest non-optimal turns, worst first; games not played by two seats under the pairs rule have no turns
+     */
+    static analyze(recording) {
+        if ((recording.rule || MatchRules.DEFAULT) !== MatchRules.DEFAULT || recording.seats.length !== 2) {
+            return { turns: [], players: {}, mistakes: [] };
+        }
+
+        const seen = new Set(); // Face-down cards whose face has been revealed
+        const matched = new Set();
+        const pairOf = index => recording.cards[index].pairId;
+        const turns = [];
+        let turn = null;
+
+        recording.events.forEach(event => {
+            if (event.type === 'flip') {
+                const position = GameAnalysis.getPosition(recording, seen, matched);
+                if (!turn) {
+                    turn = { player: event.player, cards: [], decisions: [] };
+                    turns.push(turn);
+                }
+                turn.decisions.push(turn.cards.length === 0
+                    ? GameAnalysis.judgeFirst(position, event.card, seen, pairOf)
+                    : GameAnalysis.judgeSecond(position, turn.cards[0], event.card, seen, pairOf));
+                turn.cards.push(event.card);
+                seen.add(event.card);
+            } else if (event.type === 'match' || event.type === 'mismatch') {
+                if (event.type === 'match') {
+                    event.cards.forEach(cardIndex => matched.add(cardIndex));
+                }
+                turn = null;
+            }
+        });
+
+        const judged = turns
+            .filter(({ decisions }) => decisions.length === 2)
+            .map((t, index) => GameAnalysis.classify(t, index));
+
+        const players = {};
+        recording.seats.forEach(seat => {
+            const own = judged.filter(t => t.player === seat.id);
+            const counts = { optimal: 0, missedPair: 0, repeatedMismatch: 0, wastedFlip: 0 };
+            own.forEach(t => counts[t.type]++);
+            players[seat.id] = {
+                turns: own.length,
+                counts,
+                accuracy: own.length > 0 ? counts.optimal / own.length : null,
+                cost: own.reduce((sum, t) => sum + t.cost, 0)
+            };
+        });
+
+        const mistakes = judged
+            .filter(t => t.type !== 'optimal')
+            .sort((a, b) => b.cost - a.cost);
+
+        return { turns: judged, players, mistakes };
+    }
+
+    /**
+     * Describe the board as the players know it
+     * @param {Object} recording - Recording being analysed
+     * @param {Set} seen - Revealed face-down cards
+     * @param {Set} matched - Matched cards
+     * @returns {Object} - { pairs, known, knownPairs, unknown } where known counts
+     *   revealed cards whose partner is unknown and knownPairs fully revealed pairs
+     */
+    static getPosition(recording, seen, matched) {
+        const revealed = {};
+        recording.cards.forEach((card, index) => {
+            if (seen.has(index) && !matched.has(index)) {
+                revealed[card.pairId] = (revealed[card.pairId] || 0) + 1;
+            }
+        });
+
+        const counts = Object.values(revealed);
+        const cardsLeft = recording.cards.filter(card => !card.filler).length - matched.size;
+        const known = counts.filter(count => count === 1).length;
+        const knownPairs = counts.filter(count => count === 2).length;
+        return {
+            pairs: cardsLeft / 2,
+            known,
+            knownPairs,
+            unknown: cardsLeft - known - 2 * knownPairs
+        };
+    }
+
+    /**
+     * Value of a position for the player to move, who first takes every known pair
+     * @param {number} pairs - Pairs left
+     * @param {number} known - Revealed cards whose partner is unknown
+     * @param {number} knownPairs - Fully revealed pairs
+     * @returns {number} - Expected final score margin
+     */
+    static value(pairs, known, knownPairs) {
+        return knownPairs + MemorySolver.value(pairs - knownPairs, known);
+    }
+
+    /**
+     * Values of the second-card options once the first card is face up
+     * @param {Object} position - { pairs, known, knownPairs, unknown } counting the first card as revealed
+     * @param {boolean} partnerKnown - Whether the first card's partner has been revealed
+     * @returns {Object} - Value per option: partner, known, unknown (missing if impossible)
+     */
+    static secondOptions({ pairs, known, knownPairs, unknown }, partnerKnown) {
+        const { value } = GameAnalysis;
+        const options = {};
+
+        if (partnerKnown) {
+            options.partner = 1 + value(pairs - 1, known, knownPairs - 1);
+        }
+
+        // A known card gives away nothing new
+        if (known + 2 * knownPairs > (partnerKnown ? 2 : 1)) {
+            options.known = -value(pairs, known, knownPairs);
+        }
+
+        if (unknown > 0) {
+            // The first card is counted in known unless its partner is known
+            const others = partnerKnown ? known : known - 1;
+            let expected = 0;
+            if (others > 0) {
+                expected += (others / unknown) * -value(pairs, known - 1, knownPairs + 1);
+            }
+            if (!partnerKnown) {
+                expected += (1 / unknown) * (1 + value(pairs - 1, known - 1, knownPairs));
+            }
+            const fresh = unknown - others - (partnerKnown ? 0 : 1);
+            if (fresh > 0) {
+                expected += (fresh / unknown) * -value(pairs, known + 1, knownPairs);
+            }
+            options.unknown = expected;
+        }
+
+        return options;
+    }
+
+    /**
+     * Best value among options
+     * @param {Object} options - Value per option
+     * @returns {number} - Best value
+     */
+    static best(options) {
+        return Math.max(...Object.values(options));
+    }
+
+    /**
+     * Judge the choice of a first card
+     * @param {Object} position - Position before the flip
+     * @param {number} card - Flipped card
+     * @param {Set} seen - Revealed face-down cards
+     * @param {Function} pairOf - Card index -> pairId
+     * @returns {Object} - { choice, cost, pairAvailable }
+     */
+    static judgeFirst(position, card, seen, pairOf) {
+        const { pairs, known, knownPairs, unknown } = position;
+        const { secondOptions, best } = GameAnalysis;
+        const options = {};
+
+        if (knownPairs > 0) {
+            options.pair = best(secondOptions(position, true));
+        }
+        if (known > 0) {
+            options.known = best(secondOptions(position, false));
+        }
+        if (unknown > 0) {
+            // The new card either completes a known card or is a new face
+            let expected = 0;
+            if (known > 0) {
+                expected += (known / unknown) * best(secondOptions(
+                    { pairs, known: known - 1, knownPairs: knownPairs + 1, unknown: unknown - 1 }, true));
+            }
+            if (unknown > known) {
+                expected += ((unknown - known) / unknown) * best(secondOptions(
+                    { pairs, known: known + 1, knownPairs, unknown: unknown - 1 }, false));
+            }
+            options.unknown = expected;
+        }
+
+        let choice = 'unknown';
+        if (seen.has(card)) {
+            const partnerSeen = Array.from(seen).some(other => other !== card && pairOf(other) === pairOf(card));
+            choice = partnerSeen ? 'pair' : 'known';
+        }
+
+        return { choice, cost: best(options) - options[choice], pairAvailable: knownPairs > 0 };
+    }
+
+    /**
+     * Judge the choice of a second card
+     * @param {Object} position - Position before the second flip, with the first card revealed
+     * @param {number} first - First card of the turn
+     * @param {number} card - Flipped card
+     * @param {Set} seen - Revealed face-down cards, including the first card
+     * @param {Function} pairOf - Card index -> pairId
+     * @returns {Object} - { choice, cost, pairAvailable }
+     */
+    static judgeSecond(position, first, card, seen, pairOf) {
+        const partnerKnown = Array.from(seen).some(other => other !== first && pairOf(other) === pairOf(first));
+        const options = GameAnalysis.secondOptions(position, partnerKnown);
+
+        let choice = 'unknown';
+        if (pairOf(card) === pairOf(first) && seen.has(card)) {
+            choice = 'partner';
+        } else if (seen.has(card)) {
+            choice = 'known';
+        }
+
+        return { choice, cost: GameAnalysis.best(options) - options[choice], pairAvailable: partnerKnown };
+    }
+
+    /**
+     * Flag a turn from its two decisions
+     * @param {Object} turn - { player, cards, decisions }
+     * @param {number} index - Turn number, from 0
+     * @returns {Object} - { turn, player, cards, type, cost }
+     */
+    static classify({ player, cards, decisions }, index) {
+        const [first, second] = decisions;
+        const cost = first.cost + second.cost;
+        let type = 'optimal';
+
+        if (cost > GameAnalysis.TOLERANCE) {
+            if ((first.pairAvailable && first.choice !== 'pair') ||
+                (second.pairAvailable && second.choice !== 'partner')) {
+                type = 'missedPair';
+            } else if (first.choice === 'known' && second.choice === 'known') {
+                type = 'repeatedMismatch';
+            } else {
+                type = 'wastedFlip';
+            }
+        }
+
+        return { turn: index + 1, player, cards, type, cost: Math.max(0, cost) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameAnalysis;
+}
@@ -0,0 +1,139 @@
+/**
+ * Belief State for MemoryMind AI
+ * What an AI can infer about the face-down cards it doesn't remember.
+ *
+ * Every unknown card is equally likely to be any of the cards still
+ * unaccounted for, so the chance that it shows a symbol is that symbol's
+ * remaining count over the number of unknown cards. Counts start from the
+ * deck and drop as cards become known or are matched, so each observation
+ * is a constant-time update rather than a rebuild.
+ */
+class BeliefState {
+    /**
+     * @param {Object} deck - Number of cards per symbol, e.g. { '⭐': 2, '🌙': 2 }
+     */
+    constructor(deck = {}) {
+        this.reset(deck);
+    }
+
+    /**
+     * Start over for a fresh deal
+     * @param {Object} deck - Number of cards per symbol
+     */
+    reset(deck = {}) {
+        this.remaining = new Map(Object.entries(deck)); // Symbol -> cards not known or matched
+        this.known = new Map(); // Card index -> symbol believed to be on it
+        this.matched = new Set(); // Card indices removed from the board
+    }
+
+    /**
+     * Build the deck a board of a given size is dealt from, the way GameEngine.generateCards deals it
+     * @param {number} cardCount - Number of cards on the board
+     * @returns {Object} - Number of cards per symbol
+     */
+    static defaultDeck(cardCount) {
+        const symbols = GameUtils.GAME_CONSTANTS.SYMBOLS;
+        const deck = {};
+        for (let i = 0; i < Math.floor(cardCount / 2); i++) {
+            const symbol = symbols[i];
+            deck[symbol] = (deck[symbol] || 0) + 2;
+        }
+        return deck;
+    }
+
+    /**
+     * Adjust the count of a symbol still unaccounted for
+     * @param {string} symbol - Symbol
+     * @param {number} delta - Change in count
+     */
+    adjust(symbol, delta) {
+        this.remaining.set(symbol, (this.remaining.get(symbol) || 0) + delta);
+    }
+
+    /**
+     * Take a card's symbol as known
+     * @param {number} cardIndex - Card index
+     * @param {string} symbol - Symbol believed to be on the card
+     */
+    setKnown(cardIndex, symbol) {
+        if (this.matched.has(cardIndex)) return;
+
+        const previous = this.known.get(cardIndex);
+        if (previous === symbol) return;
+
+        if (previous !== undefined) {
+            this.adjust(previous, 1);
+        }
+        this.adjust(symbol, -1);
+        this.known.set(cardIndex, symbol);
+    }
+
+    /**
+     * Stop knowing a card's symbol, returning it to the unknown pool
+     * @param {number} cardIndex - Card index
+     */
+    forget(cardIndex) {
+        const symbol = this.known.get(cardIndex);
+        if (symbol === undefined || this.matched.has(cardIndex)) return;
+
+        this.known.delete(cardIndex);
+        this.adjust(symbol, 1);
+    }
+
+    /**
+     * Remove matched cards from the board
+     * @param {Array} cards - Card indices
+     * @param {string} symbol - Symbol on the cards
+     */
+    removeMatched(cards, symbol) {
+        cards.forEach(cardIndex => {
+            this.setKnown(cardIndex, symbol);
+            this.known.delete(cardIndex);
+            this.matched.add(cardIndex);
+        });
+    }
+
+    /**
+     * Get the cards of a symbol that could be on an unknown card
+     * @param {string} symbol - Symbol
+     * @returns {number} - Remaining count
+     */
+    getRemaining(symbol) {
+        return Math.max(0, this.remaining.get(symbol) || 0);
+    }
+
+    /**
+     * Get the chance that a card shows a symbol
+     * @param {number} cardIndex - Card index
+     * @param {string} symbol - Symbol
+     * @returns {number} - Probability between 0 and 1
+     */
+    probability(cardIndex, symbol) {
+        if (this.matched.has(cardIndex)) {
+            return 0;
+        }
+        if (this.known.has(cardIndex)) {
+            return this.known.get(cardIndex) === symbol ? 1 : 0;
+        }
+
+        // A misremembered card can leave the counts briefly inconsistent
+        const total = Array.from(this.remaining.keys())
+            .reduce((sum, other) => sum + this.getRemaining(other), 0);
+        return total > 0 ? this.getRemaining(symbol) / total : 0;
+    }
+
+    /**
+     * Get the chance of every symbol for a card
+     * @param {number} cardIndex - Card index
+     * @returns {Object} - Probability per symbol
+     */
+    distribution(cardIndex) {
+        return Object.fromEntries(Array.from(this.remaining.keys())
+            .map(symbol => [symbol, this.probability(cardIndex, symbol)]));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeliefState;
+}
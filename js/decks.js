@@ -0,0 +1,384 @@
+/**
+ * Card Decks for MemoryMind AI
+ * A deck supplies the faces of each pair. The emoji deck deals two copies of
+ * a symbol; other decks, built in or made in the deck editor, are dealt from
+ * a deck definition:
+ *
+ * {
+ *   "name": "capitals",
+ *   "label": "Capitals",
+ *   "description": "Match each country to its capital.",
+ *   "type": "text",
+ *   "back": { "color": "#2e7d32", "symbol": "🌍" },
+ *   "pairs": [["France", "Paris"], [{ "text": "🐶", "name": "picture of a dog" }, "dog"], ...]
+ * }
+ *
+ * A study deck lists "pairs" of two different faces, such as a word and its
+ * translation or 7×8 and 56; a face set lists "faces" instead, each dealt
+ * twice. A face is its text, { text, name } when screen readers should say
+ * something else, or { image, name } for a picture stored as a data URL.
+ * "type" is what the faces mostly are, "emoji", "text" (the default) or
+ * "image"; emoji are drawn large and other text wrapped to fit. The optional "back" gives the card backs a color, a symbol
+ * and an image. Boards take the pairs in the order listed, and a board
+ * bigger than the deck is topped up with emoji pairs.
+ */
+class CardDeck {
+    static description = 'Match two cards showing the same picture.';
+
+    /**
+     * Get the faces of a pair
+     * @param {number} pairIndex - Index of the pair in the deal
+     * @returns {Array} - Two faces: { symbol, symbolName } and, for defined decks, the pairKey
+     *   both share, how the face is drawn and its image
+     */
+    getFaces(pairIndex) {
+        const face = {
+            symbol: GameUtils.GAME_CONSTANTS.SYMBOLS[pairIndex],
+            symbolName: GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[pairIndex]
+        };
+        return [face, face];
+    }
+}
+
+/**
+ * Deck dealt from a deck definition: study pairs of two faces, or a face set dealt twice
+ */
+class DefinedDeck extends CardDeck {
+    constructor(definition) {
+        super();
+        this.definition = definition;
+        this.pairs = definition.pairs || definition.faces.map(face => [face, face]);
+
+        // Emoji left for topping up big boards, skipping any the deck already shows
+        const faces = new Set(this.pairs.flat().map(face => DefinedDeck.normalizeFace(face).text));
+        this.spare = GameUtils.GAME_CONSTANTS.SYMBOLS
+            .map((symbol, index) => index)
+            .filter(index => !faces.has(GameUtils.GAME_CONSTANTS.SYMBOLS[index]));
+    }
+
+    /**
+     * Read a face of a deck definition
+     * @param {string|Object} face - Text, { text, name } or { image, name }
+     * @returns {Object} - { text, name } or { image, name }
+     */
+    static normalizeFace(face) {
+        if (typeof face === 'string') {
+            return { text: face, name: face };
+        }
+        return face.image ? { image: face.image, name: face.name } : { text: face.text, name: face.name || face.text };
+    }
+
+    getFaces(pairIndex) {
+        if (pairIndex >= this.pairs.length) {
+            const extra = pairIndex - this.pairs.length;
+            return super.getFaces(extra < this.spare.length ? this.spare[extra] : extra);
+        }
+
+        // Both faces share a key, so players and AIs remember either face as the same pair
+        const pairKey = `${this.definition.name}:${pairIndex}`;
+        return this.pairs[pairIndex].map(face => {
+            const { text, image, name } = DefinedDeck.normalizeFace(face);
+            return image
+                ? { symbol: '', symbolName: name, pairKey, face: 'image', image }
+                : { symbol: text, symbolName: name, pairKey, face: this.definition.type === 'emoji' ? 'emoji' : 'text' };
+        });
+    }
+}
+
+/**
+ * Registry of decks by name
+ */
+class CardDecks {
+    static Base = CardDeck;
+    static DEFAULT = 'emoji';
+    static FORMAT = 'memorymind-deck';
+    static VERSION = 1;
+    static TYPES = ['emoji', 'text', 'image'];
+    static registry = new Map([[CardDecks.DEFAULT, { label: 'Emoji', definition: null, custom: false }]]);
+
+    /**
+     * Find what stops a deck definition from being dealt
+     * @param {Object} definition - Candidate deck definition
+     * @returns {string|null} - Problem to show the player, or null if the definition is valid
+     */
+    static getProblem(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name ||
+            typeof definition.label !== 'string' || !definition.label.trim()) {
+            return 'Give the deck a name.';
+        }
+
+        if (definition.type !== undefined && !CardDecks.TYPES.includes(definition.type)) {
+            return `Faces are ${CardDecks.TYPES.join(', ')}.`;
+        }
+
+        const { faces, pairs } = definition;
+        if (Array.isArray(faces) === Array.isArray(pairs) ||
+            (pairs && !pairs.every(pair => Array.isArray(pair) && pair.length === 2))) {
+            return 'A deck lists either faces or pairs of two faces.';
+        }
+
+        const isImage = image => typeof image === 'string' && image.startsWith('data:image/');
+        const all = faces || pairs.flat();
+        for (const face of all) {
+            if (face && typeof face === 'object' && face.image !== undefined) {
+                if (!isImage(face.image) || typeof face.name !== 'string' || !face.name.trim()) {
+                    return 'Every picture needs a name for screen readers.';
+                }
+            } else if (!(typeof face === 'string' || (face && typeof face.text === 'string' &&
+                (face.name === undefined || typeof face.name === 'string'))) ||
+                !DefinedDeck.normalizeFace(face).text.trim()) {
+                return 'Every face needs some text or a picture.';
+            }
+        }
+
+        if ((faces || pairs).length < 2) {
+            return 'A deck needs at least two pairs.';
+        }
+
+        const keys = all.map(face => {
+            const { text, image } = DefinedDeck.normalizeFace(face);
+            return image || text.trim();
+        });
+        if (new Set(keys).size !== keys.length) {
+            return 'Each face can only appear once.';
+        }
+
+        const { back } = definition;
+        if (back !== undefined && (!back || typeof back !== 'object' ||
+            (back.color !== undefined && !/^#[0-9a-f]{6}$/i.test(back.color)) ||
+            (back.symbol !== undefined && (typeof back.symbol !== 'string' || [...back.symbol].length > 4)) ||
+            (back.image !== undefined && !isImage(back.image)))) {
+            return 'The card back takes a color like #1976d2, a symbol of up to four characters and a picture.';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that a deck definition can be dealt
+     * @param {Object} definition - Candidate deck definition
+     * @returns {boolean} - Whether it has a name, a label and at least two pairs of faces,
+     *   with no face used twice
+     */
+    static isValid(definition) {
+        return CardDecks.getProblem(definition) === null;
+    }
+
+    /**
+     * Register a deck so it can be chosen for a game
+     * @param {Object} definition - Deck definition (see above)
+     * @param {boolean} custom - Whether players made it, so they may change and delete it
+     * @returns {boolean} - Whether the definition was valid and registered; built-in decks can't be replaced
+     */
+    static register(definition, custom = false) {
+        const existing = CardDecks.registry.get(definition?.name);
+        if ((existing && !existing.custom) || !CardDecks.isValid(definition)) {
+            return false;
+        }
+
+        CardDecks.registry.set(definition.name, { label: definition.label, definition, custom });
+        return true;
+    }
+
+    /**
+     * Remove a deck players made
+     * @param {string} name - Deck name
+     * @returns {boolean} - Whether a custom deck was removed
+     */
+    static unregister(name) {
+        return CardDecks.isCustom(name) && CardDecks.registry.delete(name);
+    }
+
+    /**
+     * Check whether a deck is registered
+     * @param {string} name - Deck name
+     * @returns {boolean} - Whether it exists
+     */
+    static has(name) {
+        return CardDecks.registry.has(name);
+    }
+
+    /**
+     * Check whether a deck was made by players
+     * @param {string} name - Deck name
+     * @returns {boolean} - Whether it is a custom deck
+     */
+    static isCustom(name) {
+        return Boolean(CardDecks.registry.get(name)?.custom);
+    }
+
+    /**
+     * Get the definition of a deck
+     * @param {string} name - Deck name
+     * @returns {Object|null} - Definition, or null for the emoji deck and unknown names
+     */
+    static getDefinition(name) {
+        return CardDecks.registry.get(name)?.definition || null;
+    }
+
+    /**
+     * Pick an unused name for a new custom deck
+     * @param {string} label - Name shown to players
+     * @returns {string} - Deck name
+     */
+    static createName(label) {
+        const base = `custom-${String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'deck'}`;
+        let name = base;
+        for (let i = 2; CardDecks.has(name); i++) {
+            name = `${base}-${i}`;
+        }
+        return name;
+    }
+
+    /**
+     * Create a deck
+     * @param {string} name - Deck name
+     * @returns {CardDeck} - Deck instance
+     */
+    static create(name) {
+        const { definition } = CardDecks.registry.get(name);
+        return definition ? new DefinedDeck(definition) : new CardDeck();
+    }
+
+    /**
+     * Get how the backs of a deck's cards look
+     * @param {string} name - Deck name
+     * @returns {Object|null} - { color, symbol, image }, each optional, or null for the standard back
+     */
+    static getBack(name) {
+        return CardDecks.getDefinition(name)?.back || null;
+    }
+
+    /**
+     * Get what players are told a deck asks of them
+     * @param {string} name - Deck name
+     * @returns {string} - Description, the emoji deck's for unknown names and face sets without one
+     */
+    static getDescription(name) {
+        const definition = CardDecks.getDefinition(name);
+        if (definition?.description) {
+            return definition.description;
+        }
+        return definition?.pairs ? `Match the two cards of each ${definition.label} pair.` : CardDeck.description;
+    }
+
+    /**
+     * List registered decks
+     * @returns {Array} - Entries of { name, label, pairs, custom } where pairs is the number of
+     *   pairs the deck defines (0 for emoji)
+     */
+    static list() {
+        return Array.from(CardDecks.registry.entries()).map(([name, { label, definition, custom }]) => ({
+            name,
+            label,
+            pairs: definition ? (definition.pairs || definition.faces).length : 0,
+            custom
+        }));
+    }
+
+    /**
+     * Serialize a deck definition for sharing
+     * @param {Object} definition - Deck definition
+     * @returns {string} - Pretty-printed JSON
+     */
+    static toJSON(definition) {
+        return JSON.stringify({ format: CardDecks.FORMAT, version: CardDecks.VERSION, ...definition }, null, 2);
+    }
+
+    /**
+     * Parse and validate a shared deck
+     * @param {string} json - JSON text
+     * @returns {Object|null} - Deck definition, or null if the text isn't a valid deck
+     */
+    static fromJSON(json) {
+        try {
+            const { format, version, ...definition } = JSON.parse(json);
+            return format === CardDecks.FORMAT && version === CardDecks.VERSION && CardDecks.isValid(definition)
+                ? definition : null;
+        } catch (error) {
+            console.warn('Failed to parse deck:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the times tables deck, one fact per product so every answer has a single question
+     * @returns {Array} - Pairs of [question, answer]
+     */
+    static createTimesTablePairs() {
+        const products = new Map();
+        for (let a = 2; a <= 12; a++) {
+            for (let b = a; b <= 12; b++) {
+                if (!products.has(a * b)) {
+                    products.set(a * b, [{ text: `${a}×${b}`, name: `${a} times ${b}` }, String(a * b)]);
+                }
+            }
+        }
+        return Array.from(products.values());
+    }
+}
+
+CardDecks.register({
+    name: 'times',
+    label: 'Times tables',
+    description: 'Match each multiplication to its answer, like 7×8 and 56.',
+    back: { color: '#6a1b9a', symbol: '×' },
+    pairs: CardDecks.createTimesTablePairs()
+});
+
+CardDecks.register({
+    name: 'capitals',
+    label: 'Capitals',
+    description: 'Match each country to its capital.',
+    back: { color: '#2e7d32', symbol: '🌍' },
+    pairs: [
+        ['France', 'Paris'], ['Spain', 'Madrid'], ['Italy', 'Rome'], ['Germany', 'Berlin'],
+        ['Japan', 'Tokyo'], ['Egypt', 'Cairo'], ['Canada', 'Ottawa'], ['Kenya', 'Nairobi'],
+        ['Peru', 'Lima'], ['Norway', 'Oslo'], ['Greece', 'Athens'], ['India', 'New Delhi'],
+        ['Brazil', 'Brasília'], ['Mexico', 'Mexico City'], ['Australia', 'Canberra'], ['China', 'Beijing'],
+        ['Russia', 'Moscow'], ['Ireland', 'Dublin'], ['Portugal', 'Lisbon'], ['Austria', 'Vienna'],
+        ['Poland', 'Warsaw'], ['Sweden', 'Stockholm'], ['Finland', 'Helsinki'], ['Turkey', 'Ankara'],
+        ['Argentina', 'Buenos Aires'], ['Chile', 'Santiago'], ['Morocco', 'Rabat'], ['Nigeria', 'Abuja'],
+        ['Thailand', 'Bangkok'], ['Vietnam', 'Hanoi'], ['South Korea', 'Seoul'], ['Cuba', 'Havana'],
+        ['Hungary', 'Budapest'], ['Denmark', 'Copenhagen'], ['Belgium', 'Brussels'], ['Ghana', 'Accra'],
+        ['Iran', 'Tehran'], ['Colombia', 'Bogotá'], ['Indonesia', 'Jakarta'], ['New Zealand', 'Wellington'],
+        ['Czechia', 'Prague'], ['Romania', 'Bucharest'], ['Ukraine', 'Kyiv'], ['Ethiopia', 'Addis Ababa'],
+        ['Philippines', 'Manila'], ['Pakistan', 'Islamabad'], ['Netherlands', 'Amsterdam'], ['Iceland', 'Reykjavík'],
+        ['Venezuela', 'Caracas'], ['Senegal', 'Dakar']
+    ]
+});
+
+CardDecks.register({
+    name: 'spanish',
+    label: 'Spanish words',
+    description: 'Match each English word to its Spanish translation.',
+    back: { color: '#c62828', symbol: 'ñ' },
+    pairs: [
+        ['dog', 'perro'], ['cat', 'gato'], ['house', 'casa'], ['water', 'agua'], ['book', 'libro'],
+        ['red', 'rojo'], ['sun', 'sol'], ['moon', 'luna'], ['bread', 'pan'], ['friend', 'amigo'],
+        ['school', 'escuela'], ['apple', 'manzana'], ['tree', 'árbol'], ['car', 'coche'], ['milk', 'leche'],
+        ['green', 'verde'], ['bird', 'pájaro'], ['window', 'ventana'], ['door', 'puerta'], ['table', 'mesa'],
+        ['chair', 'silla'], ['sea', 'mar'], ['flower', 'flor'], ['cheese', 'queso'], ['horse', 'caballo'],
+        ['rain', 'lluvia'], ['blue', 'azul'], ['hand', 'mano'], ['head', 'cabeza'], ['city', 'ciudad'],
+        ['night', 'noche'], ['day', 'día'], ['white', 'blanco'], ['black', 'negro'], ['fish', 'pez'],
+        ['egg', 'huevo'], ['shoe', 'zapato'], ['mountain', 'montaña'], ['river', 'río'], ['star', 'estrella'],
+        ['happy', 'feliz'], ['big', 'grande'], ['small', 'pequeño'], ['teacher', 'profesor'], ['money', 'dinero'],
+        ['street', 'calle'], ['time', 'tiempo'], ['song', 'canción'], ['kitchen', 'cocina'], ['garden', 'jardín']
+    ].map(([english, spanish]) => [english, { text: spanish, name: `${spanish}, Spanish` }])
+});
+
+CardDecks.register({
+    name: 'pictures',
+    label: 'Pictures and words',
+    description: 'Match each picture to its word.',
+    back: { color: '#ef6c00', symbol: 'Aa' },
+    pairs: GameUtils.GAME_CONSTANTS.SYMBOLS.map((symbol, index) => {
+        const word = GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[index].replace('-', ' ');
+        return [{ text: symbol, name: `picture of ${word}` }, { text: word, name: `the word ${word}` }];
+    })
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardDecks;
+}
@@ -0,0 +1,507 @@
+/**
+ * Deck Editor for MemoryMind AI
+ * Builds and edits custom decks (see decks.js) and shares them as JSON files.
+ * The editor works on a draft; MemoryGame registers and stores the decks it saves.
+ */
+class DeckEditor {
+    static IMAGE_SIZE = 160; // Longest side of uploaded pictures in pixels, so decks fit in local storage
+    static DEFAULT_BACK_COLOR = '#1976d2';
+
+    constructor(ui) {
+        this.ui = ui;
+        this.draft = null;
+        this.isOpen = false;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.elements = {
+            openBtn: document.getElementById('edit-decks-btn'),
+            modal: document.getElementById('deck-modal'),
+            closeBtn: document.getElementById('deck-modal-close'),
+            deckSelect: document.getElementById('deck-edit-select'),
+            label: document.getElementById('deck-label'),
+            type: document.getElementById('deck-type'),
+            pairing: document.getElementById('deck-pairing'),
+            backColor: document.getElementById('deck-back-color'),
+            backSymbol: document.getElementById('deck-back-symbol'),
+            backImageBtn: document.getElementById('deck-back-image-btn'),
+            backClearBtn: document.getElementById('deck-back-clear'),
+            backFile: document.getElementById('deck-back-file'),
+            faceList: document.getElementById('deck-face-list'),
+            addFaceBtn: document.getElementById('deck-add-face'),
+            note: document.getElementById('deck-editor-note'),
+            saveBtn: document.getElementById('deck-save'),
+            deleteBtn: document.getElementById('deck-delete'),
+            exportBtn: document.getElementById('deck-export'),
+            importBtn: document.getElementById('deck-import'),
+            fileInput: document.getElementById('deck-file')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.openBtn?.addEventListener('click', () => {
+            this.ui.hideDifficultyModal();
+            this.open(this.ui.elements.cardDeck?.value);
+        });
+
+        this.elements.closeBtn?.addEventListener('click', () => this.close());
+        this.elements.modal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.close();
+            }
+        });
+        this.elements.modal?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        this.elements.deckSelect?.addEventListener('change', () => this.edit(this.elements.deckSelect.value));
+
+        this.elements.label?.addEventListener('input', () => {
+            this.draft.label = this.elements.label.value;
+        });
+
+        this.elements.type?.addEventListener('change', () => {
+            this.draft.type = this.elements.type.value;
+            this.renderFaces();
+        });
+
+        this.elements.pairing?.addEventListener('change', () => {
+            this.draft.pairing = this.elements.pairing.value;
+            this.renderFaces();
+        });
+
+        this.elements.backColor?.addEventListener('input', () => {
+            this.draft.back.color = this.elements.backColor.value;
+        });
+
+        this.elements.backSymbol?.addEventListener('input', () => {
+            this.draft.back.symbol = this.elements.backSymbol.value;
+        });
+
+        this.elements.backImageBtn?.addEventListener('click', () => this.elements.backFile?.click());
+        this.elements.backFile?.addEventListener('change', async () => {
+            const image = await this.readChosenImage(this.elements.backFile);
+            if (image) {
+                this.draft.back.image = image;
+                this.showNote('The card back has a picture.');
+            }
+        });
+
+        this.elements.backClearBtn?.addEventListener('click', () => {
+            delete this.draft.back.image;
+            this.showNote('The card back has no picture.');
+        });
+
+        this.elements.addFaceBtn?.addEventListener('click', () => {
+            this.draft.rows.push([DeckEditor.createFace(), DeckEditor.createFace()]);
+            this.renderFaces();
+            this.elements.faceList?.lastElementChild?.querySelector('input[type="text"]')?.focus();
+        });
+
+        this.elements.saveBtn?.addEventListener('click', () => this.save());
+
+        this.elements.deleteBtn?.addEventListener('click', () => {
+            if (this.draft.name) {
+                GameUtils.eventEmitter.emit('deckDeleted', this.draft.name);
+            }
+        });
+
+        this.elements.exportBtn?.addEventListener('click', () => this.exportDeck());
+        this.elements.importBtn?.addEventListener('click', () => this.elements.fileInput?.click());
+        this.elements.fileInput?.addEventListener('change', () => {
+            const file = this.elements.fileInput.files[0];
+            if (file) {
+                this.importDeck(file);
+            }
+            this.elements.fileInput.value = '';
+        });
+    }
+
+    /**
+     * Create an empty face for the draft
+     * @returns {Object} - { text, image, name }
+     */
+    static createFace() {
+        return { text: '', image: '', name: '' };
+    }
+
+    /**
+     * Open the editor
+     * @param {string} name - Deck to start from; built-in decks are edited as a copy
+     */
+    open(name) {
+        if (!this.elements.modal) return;
+
+        this.isOpen = true;
+        this.edit(name);
+        this.elements.modal.classList.add('show');
+        this.elements.modal.style.display = 'flex';
+        GameUtils.accessibility.focus(this.elements.label, 100);
+    }
+
+    /**
+     * Close the editor, dropping unsaved changes
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.elements.modal.classList.remove('show');
+        setTimeout(() => {
+            this.elements.modal.style.display = 'none';
+        }, 300);
+    }
+
+    /**
+     * Start editing a deck
+     * @param {string} name - Deck name, or '' for a new deck
+     */
+    edit(name) {
+        const definition = CardDecks.getDefinition(name);
+        if (CardDecks.isCustom(name)) {
+            this.draft = DeckEditor.fromDefinition(definition);
+        } else if (definition) {
+            this.draft = { ...DeckEditor.fromDefinition(definition), name: null, label: `${definition.label} copy` };
+        } else if (name === CardDecks.DEFAULT) {
+            this.draft = DeckEditor.fromDefinition({
+                label: 'Emoji copy',
+                type: 'emoji',
+                faces: GameUtils.GAME_CONSTANTS.SYMBOLS.map((symbol, index) => ({
+                    text: symbol,
+                    name: GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[index]
+                }))
+            });
+        } else {
+            this.draft = DeckEditor.fromDefinition({
+                label: '',
+                type: 'emoji',
+                faces: [DeckEditor.createFace(), DeckEditor.createFace()]
+            });
+        }
+
+        this.render();
+        this.showNote(definition && !CardDecks.isCustom(name)
+            ? `${definition.label} is built in, so you are editing a copy.` : '');
+    }
+
+    /**
+     * Turn a deck definition into a draft
+     * @param {Object} definition - Deck definition
+     * @returns {Object} - Draft: { name, label, type, pairing, back, rows } where each row holds
+     *   the faces of a pair as { text, image, name }
+     */
+    static fromDefinition(definition) {
+        const toFace = face => {
+            const { text = '', image = '', name = '' } = typeof face === 'string' ? { text: face } : face;
+            return { text, image, name: name === text ? '' : name };
+        };
+        const rows = definition.pairs
+            ? definition.pairs.map(pair => pair.map(toFace))
+            : definition.faces.map(face => [toFace(face), DeckEditor.createFace()]);
+
+        return {
+            name: definition.name || null,
+            label: definition.label,
+            type: definition.type || 'text',
+            pairing: definition.pairs ? 'pairs' : 'faces',
+            back: { color: DeckEditor.DEFAULT_BACK_COLOR, symbol: '', ...definition.back },
+            rows
+        };
+    }
+
+    /**
+     * Turn the draft into a deck definition
+     * @returns {Object} - Deck definition, not yet validated
+     */
+    toDefinition() {
+        const { name, label, type, pairing, back, rows } = this.draft;
+        const sides = pairing === 'pairs' ? 2 : 1;
+        const toFace = ({ text, image, name: faceName }) => {
+            if (image) {
+                return { image, name: faceName.trim() };
+            }
+            return faceName.trim() && faceName.trim() !== text.trim()
+                ? { text: text.trim(), name: faceName.trim() } : text.trim();
+        };
+
+        // Rows left blank are dropped rather than reported
+        const faces = rows
+            .map(row => row.slice(0, sides))
+            .filter(row => row.some(face => face.text.trim() || face.image))
+            .map(row => row.map(toFace));
+
+        const definition = {
+            name: name || CardDecks.createName(label),
+            label: label.trim(),
+            type,
+            back: {
+                color: back.color,
+                ...(back.symbol ? { symbol: back.symbol } : {}),
+                ...(back.image ? { image: back.image } : {})
+            }
+        };
+        if (pairing === 'pairs') {
+            definition.pairs = faces;
+        } else {
+            definition.faces = faces.map(([face]) => face);
+        }
+        return definition;
+    }
+
+    /**
+     * Show the draft in the form
+     */
+    render() {
+        const { deckSelect, label, type, pairing, backColor, backSymbol, deleteBtn } = this.elements;
+
+        if (deckSelect) {
+            deckSelect.innerHTML = '';
+            [{ name: '', label: 'New deck' }, ...CardDecks.list()].forEach(({ name, label: deckLabel, custom }) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name && !custom ? `${deckLabel} (built in)` : deckLabel;
+                deckSelect.appendChild(option);
+            });
+            deckSelect.value = this.draft.name || '';
+        }
+
+        if (label) label.value = this.draft.label;
+        if (type) type.value = this.draft.type;
+        if (pairing) pairing.value = this.draft.pairing;
+        if (backColor) backColor.value = this.draft.back.color;
+        if (backSymbol) backSymbol.value = this.draft.back.symbol;
+        deleteBtn?.toggleAttribute('disabled', !this.draft.name);
+
+        this.renderFaces();
+    }
+
+    /**
+     * Show one row of inputs per pair of the draft
+     */
+    renderFaces() {
+        const list = this.elements.faceList;
+        if (!list) return;
+
+        const sides = this.draft.pairing === 'pairs' ? 2 : 1;
+        const pictures = this.draft.type === 'image';
+        list.innerHTML = '';
+
+        this.draft.rows.forEach((row, index) => {
+            const item = document.createElement('div');
+            item.className = 'deck-face-row';
+
+            row.slice(0, sides).forEach((face, side) => {
+                const what = `Pair ${index + 1}${sides === 2 ? `, face ${side + 1}` : ''}`;
+                const field = document.createElement('div');
+                field.className = 'deck-face';
+
+                if (pictures) {
+                    const preview = document.createElement('img');
+                    preview.className = face.image ? 'deck-face-preview' : 'deck-face-preview hidden';
+                    preview.src = face.image;
+                    preview.alt = '';
+
+                    const fileInput = document.createElement('input');
+                    fileInput.type = 'file';
+                    fileInput.accept = 'image/*';
+                    fileInput.className = 'hidden';
+
+                    const pictureBtn = document.createElement('button');
+                    pictureBtn.className = 'btn btn-secondary';
+                    pictureBtn.textContent = face.image ? 'Change' : 'Picture';
+                    pictureBtn.setAttribute('aria-label', `${what} picture`);
+                    pictureBtn.addEventListener('click', () => fileInput.click());
+                    fileInput.addEventListener('change', async () => {
+                        const image = await this.readChosenImage(fileInput);
+                        if (image) {
+                            face.image = image;
+                            preview.src = image;
+                            preview.classList.remove('hidden');
+                            pictureBtn.textContent = 'Change';
+                        }
+                    });
+
+                    field.append(preview, pictureBtn, fileInput);
+                }
+
+                const textInput = document.createElement('input');
+                textInput.type = 'text';
+                textInput.value = face.text;
+                textInput.placeholder = pictures ? 'or text' : this.draft.type === 'emoji' ? 'Emoji' : 'Text';
+                textInput.setAttribute('aria-label', `${what} ${pictures ? 'text instead of a picture' : 'face'}`);
+                textInput.addEventListener('input', () => {
+                    face.text = textInput.value;
+                });
+
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.value = face.name;
+                nameInput.placeholder = pictures ? 'Name (read aloud)' : 'Read aloud as';
+                nameInput.setAttribute('aria-label', `${what} name for screen readers`);
+                nameInput.addEventListener('input', () => {
+                    face.name = nameInput.value;
+                });
+
+                field.append(textInput, nameInput);
+                item.appendChild(field);
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'modal-close seat-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove pair ${index + 1}`);
+            removeBtn.addEventListener('click', () => {
+                this.draft.rows.splice(index, 1);
+                this.renderFaces();
+            });
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Tell the player about the draft
+     * @param {string} message - Message, or '' to clear it
+     * @param {string} type - Message type (info, error)
+     */
+    showNote(message, type = 'info') {
+        if (!this.elements.note) return;
+
+        this.elements.note.textContent = message;
+        this.elements.note.className = `deck-editor-note ${type}`;
+    }
+
+    /**
+     * Validate the draft and hand it to the game to store
+     */
+    save() {
+        const definition = this.toDefinition();
+        const problem = CardDecks.getProblem(definition);
+        if (problem) {
+            this.showNote(problem, 'error');
+            return;
+        }
+
+        GameUtils.eventEmitter.emit('deckSaved', definition);
+    }
+
+    /**
+     * Read an image chosen in a file input, shrunk to fit the cards
+     * @param {HTMLInputElement} input - File input
+     * @returns {Promise<string|null>} - Image as a data URL, or null if nothing usable was chosen
+     */
+    async readChosenImage(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) {
+            return null;
+        }
+        if (!file.type.startsWith('image/')) {
+            this.showNote('That file is not a picture.', 'error');
+            return null;
+        }
+
+        return DeckEditor.shrinkImage(await DeckEditor.readFile(file));
+    }
+
+    /**
+     * Read a file as a data URL
+     * @param {File} file - File to read
+     * @returns {Promise<string>} - Data URL
+     */
+    static readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Scale a picture down to IMAGE_SIZE so stored decks stay small
+     * @param {string} dataUrl - Picture as a data URL
+     * @returns {Promise<string>} - Smaller picture, or the original where canvases aren't available
+     */
+    static async shrinkImage(dataUrl) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext?.('2d');
+        if (!context) {
+            return dataUrl;
+        }
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = reject;
+                img.src = dataUrl;
+            });
+
+            const scale = Math.min(1, DeckEditor.IMAGE_SIZE / Math.max(image.width, image.height));
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/webp', 0.85);
+        } catch (error) {
+            console.warn('Failed to shrink picture:', error);
+            return dataUrl;
+        }
+    }
+
+    /**
+     * Download the saved deck being edited as a JSON file
+     */
+    exportDeck() {
+        const definition = CardDecks.getDefinition(this.draft.name);
+        if (!definition) {
+            this.showNote('Save the deck before exporting it.', 'error');
+            return;
+        }
+
+        const blob = new Blob([CardDecks.toJSON(definition)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `memorymind-deck-${definition.name}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a deck from a JSON file chosen by the user and hand it to the game to store
+     * @param {File} file - Selected file
+     */
+    async importDeck(file) {
+        const definition = CardDecks.fromJSON(await file.text());
+        if (!definition) {
+            this.showNote('That file is not a valid MemoryMind deck.', 'error');
+            return;
+        }
+
+        // A shared deck never replaces a built-in deck or one of the player's own
+        if (CardDecks.has(definition.name)) {
+            definition.name = CardDecks.createName(definition.label);
+        }
+        GameUtils.eventEmitter.emit('deckSaved', definition);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckEditor;
+}
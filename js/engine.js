@@ -0,0 +1,844 @@
+/**
+ * Game Engine for MemoryMind AI
+ * Pure game rules, turn flow and scoring with no DOM dependencies
+ */
+class GameEngine {
+    /**
+     * Seats used when none are configured: one human against one AI
+     */
+    static DEFAULT_SEATS = [
+        { id: 'player', name: 'Player', type: 'human' },
+        { id: 'ai', name: 'AI', type: 'ai' }
+    ];
+
+    static MIN_SEATS = 2;
+    static MAX_SEATS = 4;
+
+    // Hints each seat may take per game, and the points each one costs
+    static DEFAULT_HINT_RULES = { budget: 3, penalty: 0.5 };
+
+    // Blank card filling the middle of a board whose cells don't divide into the rule's sets; it is never in play
+    static FILLER_CARD = { symbol: '', symbolName: 'blank', pairId: null, filler: true };
+
+    constructor(difficulty = 'beginner', seats = GameEngine.DEFAULT_SEATS) {
+        this.events = GameUtils.createEventEmitter();
+
+        // Players of versus games in turn order: { id, name, type: 'human' | 'ai', difficulty? }
+        this.lineup = GameEngine.normalizeSeats(seats) || GameEngine.DEFAULT_SEATS;
+
+        // Participants of the current game in turn order, chosen from the line-up by the game mode
+        this.seats = this.lineup;
+
+        // Game state
+        this.state = {
+            cards: [],
+            flippedCards: [],
+            matchedPairs: [],
+            currentPlayer: this.seats[0].id, // Seat id whose turn it is
+            scores: this.createScores(),
+            moves: 0,
+            isGameActive: false,
+            difficulty,
+            rule: MatchRules.DEFAULT,
+            deck: CardDecks.DEFAULT,
+            mode: GameModes.DEFAULT,
+            flips: 0, // Cards flipped, counted against the flip limit
+            timeLimit: 0, // Seconds allowed, 0 for none
+            flipLimit: 0, // Flips allowed, 0 for none
+            endReason: null // 'cleared', 'time' or 'flips' once the game is over
+        };
+
+        // Match rule for the next deal, and the rule of the current game
+        this.ruleName = MatchRules.DEFAULT;
+        this.rule = MatchRules.create(this.ruleName);
+
+        // Deck the next deal takes its faces from, and the deck of the current game
+        this.deckName = CardDecks.DEFAULT;
+        this.deck = CardDecks.create(this.deckName);
+
+        // Game mode for the next deal, and the mode of the current game
+        this.modeName = GameModes.DEFAULT;
+        this.mode = GameModes.create(this.modeName);
+
+        // Game configuration; totalPairs counts the matches that clear the board under the rule
+        this.config = GameEngine.getBoardConfig(difficulty);
+        this.totalPairs = this.rule.getSetCount(this.config.rows * this.config.cols);
+
+        // Seed of the current deal and the random source derived from it
+        this.seed = null;
+        this.random = Math.random;
+
+        // Hint rules for the next deal; a game keeps the rules it was dealt with
+        this.hintRules = { ...GameEngine.DEFAULT_HINT_RULES };
+        this.state.hintRules = { ...this.hintRules };
+        this.state.hintsUsed = this.createScores();
+    }
+
+    /**
+     * Get the configuration of a board
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} board - { rows, cols } of a custom board (optional, ignored by the other difficulties)
+     * @returns {Object|null} - Difficulty configuration, or null if the difficulty or board size is invalid
+     */
+    static getBoardConfig(difficulty, board) {
+        const preset = GameUtils.GAME_CONSTANTS.DIFFICULTIES[difficulty];
+        if (difficulty !== 'custom') {
+            return preset || null;
+        }
+
+        const { rows, cols } = board || preset;
+        const { minSize, maxSize } = GameUtils.GAME_CONSTANTS.CUSTOM_BOARD;
+        const fits = size => Number.isInteger(size) && size >= minSize && size <= maxSize;
+        if (!fits(rows) || !fits(cols) ||
+            Math.floor((rows * cols) / 2) > GameUtils.GAME_CONSTANTS.SYMBOLS.length) {
+            return null;
+        }
+
+        return { ...preset, rows, cols };
+    }
+
+    /**
+     * Parse a shareable deal code such as "B-7K2M9Q", "C5X7-7K2M9Q" for a 5×7 custom board
+     * or "B-7K2M9Q-T" for a match rule other than pairs
+     * @param {string} code - Deal code entered by a player
+     * @returns {Object|null} - { difficulty, seed, board, rule } or null if the code is invalid;
+     *   board is { rows, cols } for custom boards and null otherwise
+     */
+    static parseDealCode(code) {
+        const match = String(code || '').trim().toUpperCase()
+            .match(/^([A-Z])(?:(\d+)X(\d+))?-([A-Z0-9]+)(?:-([A-Z]))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const difficulty = Object.keys(GameUtils.GAME_CONSTANTS.DIFFICULTIES)
+            .find(key => key.charAt(0).toUpperCase() === match[1]);
+        const seed = match[4];
+        const validSeed = [...seed].every(char => GameUtils.GAME_CONSTANTS.SEED_ALPHABET.includes(char));
+        const board = match[2] ? { rows: parseInt(match[2], 10), cols: parseInt(match[3], 10) } : null;
+        const rule = MatchRules.fromCode(match[5] || '');
+
+        // Only custom boards carry their size
+        if (!difficulty || !validSeed || !rule || (difficulty === 'custom') !== Boolean(board) ||
+            !GameEngine.getBoardConfig(difficulty, board)) {
+            return null;
+        }
+
+        return { difficulty, seed, board, rule };
+    }
+
+    /**
+     * Validate and copy a seat list
+     * @param {Array} seats - Seats in turn order
+     * @param {number} minSeats - Fewest seats allowed (optional, solo games have one)
+     * @param {number} maxSeats - Most seats allowed (optional)
+     * @returns {Array|null} - Normalized seats, or null if the list is invalid
+     */
+    static normalizeSeats(seats, minSeats = GameEngine.MIN_SEATS, maxSeats = GameEngine.MAX_SEATS) {
+        if (!Array.isArray(seats) || seats.length < minSeats || seats.length > maxSeats) {
+            return null;
+        }
+
+        const ids = new Set(seats.map(seat => seat?.id));
+        const valid = ids.size === seats.length && seats.every(seat =>
+            typeof seat.id === 'string' && seat.id &&
+            (seat.type === 'human' || seat.type === 'ai') &&
+            (!seat.difficulty || GameUtils.GAME_CONSTANTS.DIFFICULTIES[seat.difficulty]) &&
+            (!seat.strategy || typeof seat.strategy === 'string'));
+
+        if (!valid) {
+            return null;
+        }
+
+        return seats.map(({ id, name, type, difficulty, strategy }) => ({
+            id,
+            name: String(name || id).trim().slice(0, 20) || id,
+            type,
+            ...(type === 'ai' && difficulty ? { difficulty } : {}),
+            ...(type === 'ai' && strategy ? { strategy } : {})
+        }));
+    }
+
+    /**
+     * Subscribe to an engine event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        this.events.on(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an engine event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function to remove
+     */
+    off(event, callback) {
+        this.events.off(event, callback);
+    }
+
+    /**
+     * Change the difficulty used for the next game
+     * @param {string} difficulty - New difficulty level
+     * @param {Object} board - { rows, cols } of a custom board (optional)
+     * @returns {boolean} - Whether the difficulty and board size were valid
+     */
+    setDifficulty(difficulty, board) {
+        const config = GameEngine.getBoardConfig(difficulty, board);
+        if (!config) {
+            return false;
+        }
+
+        this.state.difficulty = difficulty;
+        this.config = config;
+        this.totalPairs = this.rule.getSetCount(config.rows * config.cols);
+        return true;
+    }
+
+    /**
+     * Change the match rule from the next deal on
+     * @param {string} name - Name of a registered rule (see rules.js)
+     * @returns {boolean} - Whether the rule exists
+     */
+    setRule(name) {
+        if (!MatchRules.has(name)) {
+            return false;
+        }
+
+        this.ruleName = name;
+        return true;
+    }
+
+    /**
+     * Change the deck from the next deal on
+     * @param {string} name - Name of a registered deck (see decks.js)
+     * @returns {boolean} - Whether the deck exists
+     */
+    setDeck(name) {
+        if (!CardDecks.has(name)) {
+            return false;
+        }
+
+        this.deckName = name;
+        return true;
+    }
+
+    /**
+     * Change the game mode from the next deal on
+     * @param {string} name - Name of a registered mode (see modes.js)
+     * @returns {boolean} - Whether the mode exists
+     */
+    setMode(name) {
+        if (!GameModes.has(name)) {
+            return false;
+        }
+
+        this.modeName = name;
+        return true;
+    }
+
+    /**
+     * Change the line-up from the next deal on; versus games seat it whole
+     * @param {Array} seats - Seats in turn order
+     * @returns {boolean} - Whether the seats were valid
+     */
+    setSeats(seats) {
+        const normalized = GameEngine.normalizeSeats(seats);
+        if (!normalized) {
+            return false;
+        }
+
+        this.lineup = normalized;
+        return true;
+    }
+
+    /**
+     * Look up a seat by id
+     * @param {string} seatId - Seat id
+     * @returns {Object|undefined} - Seat
+     */
+    getSeat(seatId) {
+        return this.seats.find(seat => seat.id === seatId);
+    }
+
+    /**
+     * Get the seat whose turn it is
+     * @returns {Object} - Current seat
+     */
+    getCurrentSeat() {
+        return this.getSeat(this.state.currentPlayer);
+    }
+
+    /**
+     * Change the hint rules from the next deal on
+     * @param {Object} rules - { budget, penalty } (either may be left out)
+     * @returns {boolean} - Whether the rules were valid and applied
+     */
+    setHintRules({ budget = this.hintRules.budget, penalty = this.hintRules.penalty } = {}) {
+        if (!Number.isInteger(budget) || budget < 0 || !(penalty >= 0)) {
+            return false;
+        }
+
+        this.hintRules = { budget, penalty };
+        return true;
+    }
+
+    /**
+     * Get how many hints a seat has left this game
+     * @param {string} seatId - Seat id (defaults to the current seat)
+     * @returns {number} - Hints left
+     */
+    getHintsLeft(seatId = this.state.currentPlayer) {
+        return Math.max(0, this.state.hintRules.budget - (this.state.hintsUsed[seatId] || 0));
+    }
+
+    /**
+     * Charge the current seat for a hint
+     * @param {Array} cards - Card indices the hint points at
+     * @returns {boolean} - Whether the hint was allowed
+     */
+    useHint(cards) {
+        const player = this.state.currentPlayer;
+        if (!this.state.isGameActive || this.getHintsLeft(player) === 0) {
+            return false;
+        }
+
+        const { penalty } = this.state.hintRules;
+        this.state.hintsUsed[player] = (this.state.hintsUsed[player] || 0) + 1;
+        this.state.scores[player] -= penalty;
+
+        this.events.emit('hintUsed', {
+            player,
+            cards: [...cards],
+            penalty,
+            hintsLeft: this.getHintsLeft(player),
+            scores: { ...this.state.scores }
+        });
+        return true;
+    }
+
+    /**
+     * Get how many more cards may be flipped this game
+     * @returns {number|null} - Flips left, or null when the game has no flip limit
+     */
+    getFlipsLeft() {
+        return this.state.flipLimit ? Math.max(0, this.state.flipLimit - this.state.flips) : null;
+    }
+
+    /**
+     * Create a zeroed score table for the current seats
+     * @returns {Object} - Scores keyed by seat id
+     */
+    createScores() {
+        return Object.fromEntries(this.seats.map(seat => [seat.id, 0]));
+    }
+
+    /**
+     * Start a new game with freshly shuffled cards
+     * @param {string} seed - Seed to deal from (optional, a new one is generated)
+     */
+    newGame(seed = GameUtils.generateSeed()) {
+        this.seed = seed;
+        this.random = GameUtils.createRandom(seed);
+        this.rule = MatchRules.create(this.ruleName);
+        this.deck = CardDecks.create(this.deckName);
+        this.mode = GameModes.create(this.modeName);
+        this.seats = this.mode.getSeats(this.lineup);
+
+        const cardCount = this.rule.getCardCount(this.config.rows * this.config.cols);
+        this.state = {
+            ...this.state,
+            rule: this.ruleName,
+            deck: this.deckName,
+            mode: this.modeName,
+            cards: this.generateCards(),
+            flippedCards: [],
+            matchedPairs: [],
+            currentPlayer: this.seats[0].id,
+            scores: this.createScores(),
+            moves: 0,
+            flips: 0,
+            timeLimit: this.mode.getTimeLimit(cardCount),
+            flipLimit: this.mode.getFlipLimit(cardCount, this.rule.setSize),
+            endReason: null,
+            isGameActive: true,
+            hintRules: { ...this.hintRules },
+            hintsUsed: this.createScores()
+        };
+
+        this.announceGame(false);
+    }
+
+    /**
+     * Capture everything needed to resume the current game
+     * @returns {Object} - Plain, JSON-serializable snapshot
+     */
+    serialize() {
+        return {
+            version: 2,
+            seed: this.seed,
+            difficulty: this.state.difficulty,
+            board: { rows: this.config.rows, cols: this.config.cols },
+            rule: this.state.rule,
+            deck: this.state.deck,
+            mode: this.state.mode,
+            seats: this.seats,
+            cards: this.state.cards,
+            flippedCards: [...this.state.flippedCards],
+            matchedPairs: this.state.matchedPairs.map(pair => [...pair]),
+            currentPlayer: this.state.currentPlayer,
+            scores: { ...this.state.scores },
+            moves: this.state.moves,
+            flips: this.state.flips,
+            timeLimit: this.state.timeLimit,
+            flipLimit: this.state.flipLimit,
+            hintRules: { ...this.state.hintRules },
+            hintsUsed: { ...this.state.hintsUsed }
+        };
+    }
+
+    /**
+     * Check every field of a snapshot before anything is restored from it
+     * @param {Object} snapshot - Saved game snapshot
+     * @returns {Object|null} - { rule, modeName, mode, seats } for a usable snapshot, or null
+     */
+    static readSnapshot(snapshot) {
+        // Games saved before match rules were all pairs, and before game modes all versus games
+        const rule = snapshot?.rule || MatchRules.DEFAULT;
+        const modeName = snapshot?.mode || GameModes.DEFAULT;
+        if (!snapshot || snapshot.version !== 2 || typeof snapshot.seed !== 'string' ||
+            !MatchRules.has(rule) || !GameModes.has(modeName)) {
+            return null;
+        }
+
+        const config = GameEngine.getBoardConfig(snapshot.difficulty, snapshot.board);
+        const mode = GameModes.create(modeName);
+        const seats = GameEngine.normalizeSeats(snapshot.seats, mode.minSeats, mode.maxSeats);
+        if (!config || !seats || !seats.some(seat => seat.id === snapshot.currentPlayer)) {
+            return null;
+        }
+
+        const cardCount = config.rows * config.cols;
+        const matchRule = MatchRules.create(rule);
+        const { cards, flippedCards, matchedPairs } = snapshot;
+        if (!Array.isArray(cards) || cards.length !== cardCount ||
+            !cards.every(card => card !== null && typeof card === 'object') ||
+            !Array.isArray(flippedCards) || !Array.isArray(matchedPairs) ||
+            !matchedPairs.every(set => Array.isArray(set))) {
+            return null;
+        }
+
+        // Each card in play is matched or face up at most once, and every matched set matches
+        const inPlay = [...matchedPairs.flat(), ...flippedCards];
+        const isCard = index => Number.isInteger(index) && index >= 0 && index < cardCount && !cards[index].filler;
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isTable = (table, isValue) => table === undefined ||
+            (table !== null && typeof table === 'object' && Object.values(table).every(isValue));
+
+        const valid = inPlay.every(isCard) && new Set(inPlay).size === inPlay.length &&
+            flippedCards.length <= matchRule.setSize &&
+            matchedPairs.length <= matchRule.getSetCount(cardCount) &&
+            matchedPairs.every(set => set.length === matchRule.setSize &&
+                matchRule.isMatch(set.map(index => cards[index]))) &&
+            isCount(snapshot.moves) &&
+            [snapshot.flips, snapshot.timeLimit, snapshot.flipLimit].every(value => value === undefined || isCount(value)) &&
+            isTable(snapshot.scores, Number.isFinite) &&
+            isTable(snapshot.hintsUsed, isCount) &&
+            isTable(snapshot.hintRules, value => value >= 0);
+
+        return valid ? { rule, modeName, mode, seats } : null;
+    }
+
+    /**
+     * Resume a game from a snapshot created by serialize(). A snapshot that
+     * fails any check leaves the engine as it was. A snapshot taken with the
+     * turn's cards all flipped resumes before the move is scored, so the
+     * caller evaluates it next, as after any last flip.
+     * @param {Object} snapshot - Saved game snapshot
+     * @returns {boolean} - Whether the snapshot was valid and restored
+     */
+    restore(snapshot) {
+        const checked = GameEngine.readSnapshot(snapshot);
+        if (!checked) {
+            return false;
+        }
+
+        const { rule, modeName, mode, seats } = checked;
+        this.setDifficulty(snapshot.difficulty, snapshot.board);
+
+        // A versus game brings its players back; a solo game leaves the line-up for the next versus game
+        this.seats = seats;
+        if (!mode.solo) {
+            this.lineup = seats;
+        }
+        this.mode = mode;
+        this.seed = snapshot.seed;
+        this.random = GameUtils.createRandom(snapshot.seed);
+        this.rule = MatchRules.create(rule);
+        this.totalPairs = this.rule.getSetCount(this.config.rows * this.config.cols);
+
+        this.state = {
+            ...this.state,
+            rule,
+            // The cards carry their faces, so a game resumes even if its deck is gone
+            deck: snapshot.deck || CardDecks.DEFAULT,
+            mode: modeName,
+            cards: snapshot.cards,
+            // A full set was flipped but not yet scored; it stays face up for evaluateMove()
+            flippedCards: [...snapshot.flippedCards],
+            matchedPairs: snapshot.matchedPairs.map(pair => [...pair]),
+            currentPlayer: snapshot.currentPlayer,
+            scores: { ...this.createScores(), ...snapshot.scores },
+            moves: snapshot.moves,
+            flips: snapshot.flips || 0,
+            timeLimit: snapshot.timeLimit || 0,
+            flipLimit: snapshot.flipLimit || 0,
+            endReason: null,
+            isGameActive: snapshot.matchedPairs.length < this.totalPairs,
+            // Games saved before hints existed get the current rules
+            hintRules: { ...this.hintRules, ...snapshot.hintRules },
+            hintsUsed: { ...this.createScores(), ...snapshot.hintsUsed }
+        };
+
+        this.announceGame(true);
+        return true;
+    }
+
+    /**
+     * Tell renderers that a game has been dealt or resumed
+     * @param {boolean} restored - Whether the game was resumed from a snapshot
+     */
+    announceGame(restored) {
+        this.events.emit('gameStarted', {
+            rows: this.config.rows,
+            cols: this.config.cols,
+            cards: this.state.cards,
+            seats: this.seats,
+            lineup: this.lineup,
+            currentPlayer: this.state.currentPlayer,
+            rule: this.state.rule,
+            deck: this.state.deck,
+            mode: this.state.mode,
+            timeLimit: this.state.timeLimit,
+            flipLimit: this.state.flipLimit,
+            dealCode: this.getDealCode(),
+            restored,
+            flippedCards: this.state.flippedCards,
+            matchedPairs: this.state.matchedPairs,
+            scores: { ...this.state.scores }
+        });
+        this.events.emit('statsChanged', this.getStats());
+    }
+
+    /**
+     * Generate shuffled cards for the current configuration, dealt by the
+     * match rule with faces from the deck. Cells the rule can't use get
+     * filler cards in the middle of the board.
+     * @returns {Array} - Shuffled card data
+     */
+    generateCards() {
+        const totalCards = this.config.rows * this.config.cols;
+        const cardCount = this.rule.getCardCount(totalCards);
+
+        this.totalPairs = this.rule.getSetCount(totalCards);
+        const cards = GameUtils.shuffleArray(this.rule.createDeck(cardCount, this.deck), this.random);
+        const fillers = Array.from({ length: totalCards - cardCount }, () => ({ ...GameEngine.FILLER_CARD }));
+        cards.splice(Math.floor(cardCount / 2), 0, ...fillers);
+        return cards;
+    }
+
+    /**
+     * Get the shareable code that reproduces the current deal. The deck and
+     * game mode aren't part of it: a code lays out the same pairs in whichever
+     * deck is chosen, and a puzzle's flip limit follows from the board.
+     * @returns {string|null} - Deal code, or null before the first game
+     */
+    getDealCode() {
+        if (!this.seed) {
+            return null;
+        }
+
+        const size = this.state.difficulty === 'custom' ? `${this.config.rows}X${this.config.cols}` : '';
+        const rule = MatchRules.getCode(this.state.rule);
+        return `${this.state.difficulty.charAt(0).toUpperCase()}${size}-${this.seed}${rule ? `-${rule}` : ''}`;
+    }
+
+    /**
+     * Check if a card can be flipped by the current player
+     * @param {number} cardIndex - Card index to validate
+     * @returns {boolean} - Whether the flip is allowed
+     */
+    canFlip(cardIndex) {
+        if (!this.state.isGameActive) {
+            return false;
+        }
+
+        if (cardIndex < 0 || cardIndex >= this.state.cards.length || this.state.cards[cardIndex].filler) {
+            return false;
+        }
+
+        // Check if card is already flipped or matched
+        if (this.state.flippedCards.includes(cardIndex) ||
+            this.isCardMatched(cardIndex)) {
+            return false;
+        }
+
+        // Check if the turn's cards are already flipped
+        return this.state.flippedCards.length < this.rule.setSize;
+    }
+
+    /**
+     * Flip a card face up for the current player
+     * @param {number} cardIndex - Card index to flip
+     * @returns {Object|null} - Revealed card data, or null if the flip was rejected
+     */
+    flipCard(cardIndex) {
+        if (!this.canFlip(cardIndex)) {
+            return null;
+        }
+
+        const card = this.state.cards[cardIndex];
+        this.state.flippedCards.push(cardIndex);
+        this.state.flips++;
+
+        this.events.emit('cardFlipped', {
+            cardIndex,
+            card,
+            player: this.state.currentPlayer
+        });
+        if (this.state.flipLimit) {
+            this.events.emit('statsChanged', this.getStats());
+        }
+
+        return card;
+    }
+
+    /**
+     * Evaluate the flipped cards and score the move under the match rule.
+     * Matched cards leave play immediately; mismatched cards stay face up
+     * until endTurn() is called. The game is over once the board is cleared,
+     * or when too few flips are left for another turn. A move still waiting
+     * when the game ended, as when time ran out, is dropped unscored.
+     * @returns {Object|null} - Move result, or null if the turn's cards aren't all flipped or the game is over
+     */
+    evaluateMove() {
+        if (!this.state.isGameActive) {
+            this.state.flippedCards = [];
+            return null;
+        }
+        if (this.state.flippedCards.length !== this.rule.setSize) {
+            return null;
+        }
+
+        const cardIndices = [...this.state.flippedCards];
+        const cards = cardIndices.map(index => this.state.cards[index]);
+        const player = this.state.currentPlayer;
+        const isMatch = this.rule.isMatch(cards);
+
+        this.state.moves++;
+
+        const result = {
+            cards: cardIndices,
+            symbols: cards.map(card => card.symbol),
+            keys: cards.map(card => this.getMatchKey(card)),
+            isMatch,
+            player,
+            gameOver: false
+        };
+
+        if (isMatch) {
+            this.state.matchedPairs.push([...cardIndices]);
+            this.state.flippedCards = [];
+
+            // Update score
+            this.state.scores[player]++;
+
+            this.events.emit('match', {
+                cards: result.cards,
+                player,
+                scores: { ...this.state.scores }
+            });
+        } else {
+            this.events.emit('mismatch', { cards: result.cards, player });
+        }
+
+        this.events.emit('statsChanged', this.getStats());
+
+        if (this.isGameComplete()) {
+            this.finish('cleared');
+            result.gameOver = true;
+        } else if (this.state.flipLimit && this.getFlipsLeft() < this.rule.setSize) {
+            this.finish('flips');
+            result.gameOver = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * End a game on the clock because its time ran out; the clock itself is
+     * kept by the caller
+     * @returns {boolean} - Whether a timed game in progress was ended
+     */
+    timeUp() {
+        if (!this.state.isGameActive || !this.state.timeLimit) {
+            return false;
+        }
+
+        this.finish('time');
+        return true;
+    }
+
+    /**
+     * Stop play and announce the result
+     * @param {string} reason - 'cleared', 'time' or 'flips'
+     */
+    finish(reason) {
+        this.state.isGameActive = false;
+        this.state.endReason = reason;
+        this.events.emit('gameOver', this.getResult());
+    }
+
+    /**
+     * End the current turn after a mismatch: hide the flipped cards and
+     * pass play to the next seat
+     */
+    endTurn() {
+        const hiddenCards = this.state.flippedCards;
+        this.state.flippedCards = [];
+
+        if (hiddenCards.length > 0) {
+            this.events.emit('cardsHidden', {
+                cards: hiddenCards,
+                player: this.state.currentPlayer
+            });
+        }
+
+        this.switchTurn();
+    }
+
+    /**
+     * Pass the turn to the next seat in order
+     */
+    switchTurn() {
+        const currentIndex = this.seats.findIndex(seat => seat.id === this.state.currentPlayer);
+        this.state.currentPlayer = this.seats[(currentIndex + 1) % this.seats.length].id;
+        this.events.emit('turnChanged', { currentPlayer: this.state.currentPlayer });
+    }
+
+    /**
+     * Check if a card is already matched
+     * @param {number} cardIndex - Card index to check
+     * @returns {boolean} - Whether card is matched
+     */
+    isCardMatched(cardIndex) {
+        return this.state.matchedPairs.some(pair => pair.includes(cardIndex));
+    }
+
+    /**
+     * Get available cards for moves
+     * @returns {Array} - Array of available card indices
+     */
+    getAvailableCards() {
+        const available = [];
+        for (let i = 0; i < this.state.cards.length; i++) {
+            if (!this.state.cards[i].filler && !this.state.flippedCards.includes(i) && !this.isCardMatched(i)) {
+                available.push(i);
+            }
+        }
+        return available;
+    }
+
+    /**
+     * Get what players remember a card by under the current rule: its symbol,
+     * or its family when any card of a family matches
+     * @param {Object} card - Card data
+     * @returns {string} - Match key
+     */
+    getMatchKey(card) {
+        return this.rule.getMatchKey(card);
+    }
+
+    /**
+     * Count the cards dealt with each match key; public knowledge, like the board size
+     * @returns {Object} - Number of cards per match key
+     */
+    getSymbolCounts() {
+        const counts = {};
+        this.state.cards.forEach(card => {
+            if (!card.filler) {
+                const key = this.getMatchKey(card);
+                counts[key] = (counts[key] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Check if game is complete
+     * @returns {boolean} - Whether every set the rule needs is matched
+     */
+    isGameComplete() {
+        return this.state.matchedPairs.length === this.totalPairs;
+    }
+
+    /**
+     * Get the statistics shown alongside the board
+     * @returns {Object} - Moves, matches, pair total, difficulty, match rule, deck, game mode,
+     *   board size, and the flips made and allowed
+     */
+    getStats() {
+        return {
+            moves: this.state.moves,
+            matches: this.state.matchedPairs.length,
+            totalPairs: this.totalPairs,
+            difficulty: this.state.difficulty,
+            rule: this.state.rule,
+            deck: this.state.deck,
+            mode: this.state.mode,
+            rows: this.config.rows,
+            cols: this.config.cols,
+            flips: this.state.flips,
+            flipLimit: this.state.flipLimit
+        };
+    }
+
+    /**
+     * Get the result of the current game
+     * @returns {Object} - Winner ('tie' when the top score is shared, null when a solo game ran out of
+     *   time or flips), scores after hint penalties, seats, moves, how the game ended, the board,
+     *   match rule and game mode, matches, flips and limits, and hints used per seat
+     */
+    getResult() {
+        const topScore = Math.max(...Object.values(this.state.scores));
+        const failed = this.state.endReason === 'time' || this.state.endReason === 'flips';
+        const winners = failed ? [] : this.seats
+            .filter(seat => this.state.scores[seat.id] === topScore)
+            .map(seat => seat.id);
+
+        return {
+            winner: winners.length === 1 ? winners[0] : (failed ? null : 'tie'),
+            winners,
+            scores: { ...this.state.scores },
+            seats: this.seats,
+            totalMoves: this.state.moves,
+            reason: this.state.endReason,
+            difficulty: this.state.difficulty,
+            board: { rows: this.config.rows, cols: this.config.cols },
+            rule: this.state.rule,
+            mode: this.state.mode,
+            matches: this.state.matchedPairs.length,
+            totalPairs: this.totalPairs,
+            flips: this.state.flips,
+            timeLimit: this.state.timeLimit,
+            flipLimit: this.state.flipLimit,
+            hintsUsed: { ...this.state.hintsUsed },
+            hintPenalty: this.state.hintRules.penalty
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
@@ -1,39 +1,83 @@
 /**
  * Main Game Controller for MemoryMind AI
- * Orchestrates game logic, AI, and UI interactions
+ * Connects the game engine to the AI opponents and the browser UI
  */
 class MemoryGame {
     constructor() {
+        this.engine = new GameEngine('beginner');
         this.ui = new GameUI();
-        this.ai = new MemoryAI('beginner');
-        
-        // Game state
-        this.gameState = {
-            cards: [],
-            flippedCards: [],
-            matchedPairs: [],
-            currentPlayer: 'player', // 'player' or 'ai'
-            playerScore: 0,
-            aiScore: 0,
-            moves: 0,
-            isGameActive: false,
-            difficulty: 'beginner'
-        };
-
-        // Game configuration
-        this.config = GameUtils.GAME_CONSTANTS.DIFFICULTIES.beginner;
-        this.totalPairs = (this.config.rows * this.config.cols) / 2;
+        this.ais = new Map(); // MemoryAI instance per AI seat id
+        this.aiSpeed = 1; // Pace of AI turns; raised to fast-forward spectated games
+        this.adaptiveEnabled = false; // Tune AI seats to the players' results instead of the difficulty
+        this.adaptive = new AdaptiveDifficulty();
+        this.isAdaptiveGame = false; // Whether the game in progress was dealt with adaptive AI seats
+        this.showReasoning = false; // Overlay what each AI is thinking on the board
+        this.personality = ''; // Play style of AI seats, a key of GAME_CONSTANTS.PERSONALITIES or '' for none
+        this.policy = null; // LearnedPolicy for learned AI seats, once the policy file has loaded
+        const { rows, cols } = GameUtils.GAME_CONSTANTS.DIFFICULTIES.custom;
+        this.customBoard = { rows, cols }; // Size of the custom board, kept while other difficulties are played
+        this.countdown = null; // Timeout ending a game against the clock
+        this.recorder = new GameRecorder(this.engine);
+        this.playerModels = new PlayerModels(this.engine);
+        this.hints = new HintAdvisor(this.engine);
+        this.replay = new ReplayViewer(this.ui);
+        this.deckEditor = new DeckEditor(this.ui);
+
+        // Render engine events on the board
+        this.ui.attachEngine(this.engine);
 
         this.bindGameEvents();
         this.loadSettings();
+        this.loadPolicy();
+    }
+
+    /**
+     * Current game state, owned by the engine
+     * @returns {Object} - Game state
+     */
+    get gameState() {
+        return this.engine.state;
+    }
+
+    /**
+     * Current board configuration, owned by the engine
+     * @returns {Object} - Difficulty configuration
+     */
+    get config() {
+        return this.engine.config;
+    }
+
+    /**
+     * Number of pairs on the current board
+     * @returns {number} - Total pairs
+     */
+    get totalPairs() {
+        return this.engine.totalPairs;
     }
 
     /**
      * Initialize the game
      */
     init() {
+        const savedGame = this.loadSavedGame();
+        if (savedGame) {
+            this.ui.showResumeModal({
+                difficulty: savedGame.game.difficulty,
+                board: savedGame.game.board,
+                matches: savedGame.game.matchedPairs.length,
+                totalPairs: MatchRules.create(savedGame.game.rule || MatchRules.DEFAULT)
+                    .getSetCount(savedGame.game.cards.length),
+                mode: savedGame.game.mode,
+                seats: savedGame.game.seats,
+                scores: savedGame.game.scores
+            });
+            return;
+        }
+
         this.setupNewGame();
-        this.ui.updateStatusMessage('Welcome to MemoryMind AI! Click two cards to start.');
+        if (!this.isSpectating()) {
+            this.ui.updateStatusMessage(`Welcome to MemoryMind AI! ${this.ui.describeGame(this.gameState)}`);
+        }
     }
 
     /**
@@ -51,20 +95,142 @@ class MemoryGame {
         GameUtils.eventEmitter.on('difficultyChanged', (difficulty) => {
             this.changeDifficulty(difficulty);
         });
+
+        GameUtils.eventEmitter.on('boardSizeChanged', (board) => {
+            this.changeBoardSize(board);
+        });
+
+        GameUtils.eventEmitter.on('seatsChanged', (seats) => {
+            this.changeSeats(seats);
+        });
+
+        GameUtils.eventEmitter.on('aiSpeedChanged', (speed) => {
+            this.setAISpeed(speed);
+        });
+
+        GameUtils.eventEmitter.on('adaptiveChanged', (enabled) => {
+            this.setAdaptive(enabled);
+        });
+
+        GameUtils.eventEmitter.on('reasoningChanged', (enabled) => {
+            this.setShowReasoning(enabled);
+        });
+
+        GameUtils.eventEmitter.on('personalityChanged', (personality) => {
+            this.setPersonality(personality);
+        });
+
+        GameUtils.eventEmitter.on('hintRequested', () => {
+            this.requestHint();
+        });
+
+        GameUtils.eventEmitter.on('hintBudgetChanged', (budget) => {
+            this.setHintBudget(budget);
+        });
+
+        GameUtils.eventEmitter.on('modeChanged', (mode) => {
+            this.setMode(mode);
+        });
+
+        GameUtils.eventEmitter.on('matchRuleChanged', (rule) => {
+            this.setMatchRule(rule);
+        });
+
+        GameUtils.eventEmitter.on('deckChanged', (deck) => {
+            this.setDeck(deck);
+        });
+
+        GameUtils.eventEmitter.on('deckSaved', (definition) => {
+            this.saveDeck(definition);
+        });
+
+        GameUtils.eventEmitter.on('deckDeleted', (name) => {
+            this.deleteDeck(name);
+        });
+
+        GameUtils.eventEmitter.on('dealCodeEntered', (code) => {
+            this.playDealCode(code);
+        });
+
+        GameUtils.eventEmitter.on('resumeGame', () => {
+            this.resumeGame();
+        });
+
+        GameUtils.eventEmitter.on('openReplay', () => {
+            this.openReplay();
+        });
+
+        GameUtils.eventEmitter.on('replayClosed', () => {
+            this.returnFromReplay();
+        });
     }
 
     /**
      * Load saved settings from localStorage
      */
     loadSettings() {
+        const settings = GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.settings, {});
+        if (settings.customBoard && GameEngine.getBoardConfig('custom', settings.customBoard)) {
+            this.customBoard = { rows: settings.customBoard.rows, cols: settings.customBoard.cols };
+        }
+        this.ui.selectCustomBoard(this.customBoard);
+
         const savedDifficulty = GameUtils.storage.load(
             GameUtils.GAME_CONSTANTS.STORAGE_KEYS.difficulty, 
             'beginner'
         );
         
-        if (savedDifficulty !== this.gameState.difficulty) {
-            this.changeDifficulty(savedDifficulty);
+        if (this.engine.setDifficulty(savedDifficulty, this.customBoard)) {
+            this.ui.selectDifficulty(savedDifficulty);
+        }
+
+        const savedSeats = GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.seats);
+        if (savedSeats) {
+            this.engine.setSeats(savedSeats);
+        }
+
+        if (settings.aiSpeed > 0) {
+            this.aiSpeed = settings.aiSpeed;
+            this.ui.selectAISpeed(this.aiSpeed);
+        }
+
+        // Players new to adaptive play start from their lifetime record
+        const profile = GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.adaptive);
+        this.adaptive = profile
+            ? new AdaptiveDifficulty(profile)
+            : AdaptiveDifficulty.fromStats(GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.gameStats));
+        this.adaptiveEnabled = Boolean(settings.adaptive);
+        this.ui.updateAdaptiveStatus(this.getAdaptiveStatus());
+
+        this.showReasoning = Boolean(settings.reasoning);
+        this.ui.selectShowReasoning(this.showReasoning);
+
+        if (GameUtils.GAME_CONSTANTS.PERSONALITIES[settings.personality]) {
+            this.personality = settings.personality;
+        }
+        this.ui.selectPersonality(this.personality);
+
+        if (this.engine.setHintRules({ budget: settings.hintBudget })) {
+            this.ui.selectHintBudget(this.engine.hintRules.budget);
+        }
+
+        if (settings.mode) {
+            this.engine.setMode(settings.mode);
+        }
+        this.ui.selectMode(this.engine.modeName);
+
+        if (settings.rule) {
+            this.engine.setRule(settings.rule);
+        }
+        this.ui.selectMatchRule(this.engine.ruleName);
+
+        GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.decks, [])
+            .forEach(definition => CardDecks.register(definition, true));
+        this.ui.renderDeckOptions();
+        if (settings.deck) {
+            this.engine.setDeck(settings.deck);
         }
+        this.ui.selectDeck(this.engine.deckName);
     }
 
     /**
@@ -75,79 +241,187 @@ class MemoryGame {
             GameUtils.GAME_CONSTANTS.STORAGE_KEYS.difficulty, 
             this.gameState.difficulty
         );
+        GameUtils.storage.save(
+            GameUtils.GAME_CONSTANTS.STORAGE_KEYS.seats,
+            this.engine.lineup
+        );
+        GameUtils.storage.save(
+            GameUtils.GAME_CONSTANTS.STORAGE_KEYS.settings,
+            {
+                aiSpeed: this.aiSpeed,
+                adaptive: this.adaptiveEnabled,
+                reasoning: this.showReasoning,
+                hintBudget: this.engine.hintRules.budget,
+                personality: this.personality,
+                customBoard: this.customBoard,
+                mode: this.engine.modeName,
+                rule: this.engine.ruleName,
+                deck: this.engine.deckName
+            }
+        );
     }
 
     /**
-     * Setup a new game
+     * Create a fresh MemoryAI for every AI seat. Seats without their own
+     * difficulty play at the board's difficulty, or are tuned by adaptive
+     * difficulty when it is on, and without their own strategy use the
+     * default one.
      */
-    setupNewGame() {
-        // Reset game state
-        this.gameState = {
-            ...this.gameState,
-            cards: [],
-            flippedCards: [],
-            matchedPairs: [],
-            currentPlayer: 'player',
-            playerScore: 0,
-            aiScore: 0,
-            moves: 0,
-            isGameActive: true
-        };
-
-        // Reset AI
-        this.ai.reset();
+    createOpponents() {
+        this.ais = new Map();
+        this.isAdaptiveGame = false;
+        this.engine.seats
+            .filter(seat => seat.type === 'ai')
+            .forEach(seat => {
+                const ai = new MemoryAI(seat.difficulty || this.gameState.difficulty, seat.strategy);
+                ai.setBoard(this.config.rows, this.config.cols);
+                ai.setDeck(this.engine.getSymbolCounts());
+                ai.setTotalPairs(this.engine.totalPairs);
+                ai.setSpeed(this.aiSpeed);
+                ai.setPlayerModels(this.playerModels);
+                if (this.adaptiveEnabled && !seat.difficulty) {
+                    ai.configure(this.adaptive.getAIConfig());
+                    this.isAdaptiveGame = true;
+                }
+                if (this.personality) {
+                    ai.setPersonality(this.personality);
+                }
+                if (this.policy) {
+                    ai.setPolicy(this.policy);
+                }
+                this.ais.set(seat.id, ai);
+            });
+    }
 
-        // Generate cards
-        this.generateCards();
+    /**
+     * Load the trained policy of the learned strategy. Until it arrives, or if
+     * it can't be fetched (as when the page is opened from disk), learned AI
+     * seats play an untrained policy.
+     */
+    async loadPolicy() {
+        try {
+            this.policy = await LearnedPolicy.load(GameUtils.GAME_CONSTANTS.POLICY_FILE);
+            this.ais.forEach(ai => ai.setPolicy(this.policy));
+        } catch (error) {
+            console.warn('Learned policy could not be loaded:', error.message);
+        }
+    }
 
-        // Reset UI
-        this.ui.reset();
-        this.ui.createGameBoard(this.config.rows, this.config.cols, this.gameState.cards);
-        this.ui.updateTurnIndicator(this.gameState.currentPlayer);
-        this.ui.updateStats({
-            moves: 0,
-            matches: 0,
-            totalPairs: this.totalPairs,
-            difficulty: this.gameState.difficulty
+    /**
+     * Seed every AI's random source from the deal so games can be reproduced
+     * @param {string} salt - Extra seed text, e.g. the move number when resuming
+     */
+    seedOpponents(salt = '') {
+        this.ais.forEach((ai, seatId) => {
+            ai.setRandom(GameUtils.createRandom(`${this.engine.seed}:${seatId}${salt}`));
         });
-        this.ui.updateAIStatus(this.ai.getStats());
+    }
+
+    /**
+     * Get the status of every AI seat for display
+     * @returns {Array} - Entries of { seat, stats }
+     */
+    getAIStatus() {
+        return Array.from(this.ais.entries()).map(([seatId, ai]) => ({
+            seat: this.engine.getSeat(seatId),
+            stats: ai.getStats()
+        }));
+    }
+
+    /**
+     * Check whether every seat is an AI, so the game is only being watched
+     * @returns {boolean} - Whether no human is playing
+     */
+    isSpectating() {
+        return this.engine.seats.every(seat => seat.type === 'ai');
+    }
+
+    /**
+     * Wait between AI actions, scaled by the AI speed
+     * @param {number} ms - Delay at normal speed in milliseconds
+     * @returns {Promise} - Promise that resolves after the delay
+     */
+    pace(ms) {
+        return GameUtils.delay(ms / this.aiSpeed);
+    }
+
+    /**
+     * Check whether the current turn belongs to an AI seat
+     * @returns {boolean} - Whether an AI is to move
+     */
+    isAITurn() {
+        return this.engine.getCurrentSeat()?.type === 'ai';
+    }
+
+    /**
+     * Setup a new game
+     * @param {string} seed - Seed to deal from (optional, a new one is generated)
+     */
+    setupNewGame(seed) {
+        // Hand the board back if a replay is showing
+        this.replay.close();
+
+        // Deal cards; the UI rebuilds the board from the engine's events
+        this.engine.newGame(seed);
+
+        // Fresh AI opponents for the new board
+        this.createOpponents();
+        this.seedOpponents();
+        this.ui.updateAIStatus(this.getAIStatus());
 
         // Start timer
-        this.ui.startTimer();
+        this.startClock();
+        this.saveGame();
 
         console.log('New game started:', {
             difficulty: this.gameState.difficulty,
             gridSize: `${this.config.rows}x${this.config.cols}`,
-            totalPairs: this.totalPairs
+            totalPairs: this.totalPairs,
+            seats: this.engine.seats.map(seat => seat.name),
+            dealCode: this.engine.getDealCode()
         });
+
+        if (this.isSpectating()) {
+            const players = this.engine.seats.map(seat => {
+                const level = seat.difficulty || this.gameState.difficulty;
+                return `${seat.name} (${level.charAt(0).toUpperCase() + level.slice(1)})`;
+            });
+            this.ui.updateStatusMessage(`Watching ${players.join(' vs ')}.`, 'info');
+        }
+
+        // An AI may hold the first seat
+        this.continuePlay();
     }
 
     /**
-     * Generate cards for the game
+     * Start the clock of the game in progress, and the countdown of a game against the clock
+     * @param {number} elapsed - Seconds already played (optional)
      */
-    generateCards() {
-        const symbols = GameUtils.GAME_CONSTANTS.SYMBOLS;
-        const symbolNames = GameUtils.GAME_CONSTANTS.SYMBOL_NAMES;
-        const totalCards = this.config.rows * this.config.cols;
-        const pairsNeeded = totalCards / 2;
+    startClock(elapsed = 0) {
+        const { timeLimit } = this.gameState;
+        clearTimeout(this.countdown);
+        this.countdown = null;
+
+        this.ui.startTimer(elapsed, timeLimit);
+        if (timeLimit) {
+            this.countdown = setTimeout(() => this.handleTimeUp(), Math.max(0, timeLimit - elapsed) * 1000);
+        }
+    }
 
-        // Create pairs of cards
-        const cardPairs = [];
-        for (let i = 0; i < pairsNeeded; i++) {
-            const symbolIndex = i % symbols.length;
-            const symbol = symbols[symbolIndex];
-            const symbolName = symbolNames[symbolIndex];
+    /**
+     * End a game against the clock when its time runs out
+     */
+    async handleTimeUp() {
+        this.countdown = null;
 
-            // Add two cards with the same symbol
-            cardPairs.push(
-                { symbol, symbolName, pairId: i },
-                { symbol, symbolName, pairId: i }
-            );
+        // Hand the board back so the result is shown on the game
+        this.replay.close();
+        if (!this.engine.timeUp()) {
+            return;
         }
 
-        // Shuffle the cards
-        this.gameState.cards = GameUtils.shuffleArray(cardPairs);
-        this.totalPairs = pairsNeeded;
+        await this.ui.whenIdle();
+        await this.endGame();
     }
 
     /**
@@ -160,11 +434,6 @@ class MemoryGame {
             return;
         }
 
-        // Start game if not active
-        if (!this.gameState.isGameActive) {
-            this.gameState.isGameActive = true;
-        }
-
         // Handle player move
         await this.makePlayerMove(cardIndex);
     }
@@ -175,37 +444,17 @@ class MemoryGame {
      * @returns {boolean} - Whether click is valid
      */
     isValidCardClick(cardIndex) {
-        // Check if it's player's turn
-        if (this.gameState.currentPlayer !== 'player') {
+        // The board belongs to the replay viewer while it is open
+        if (this.replay.isOpen) {
             return false;
         }
 
-        // Check if game is active
-        if (!this.gameState.isGameActive) {
-            return false;
-        }
-
-        // Check if card is already flipped or matched
-        if (this.gameState.flippedCards.includes(cardIndex) || 
-            this.isCardMatched(cardIndex)) {
+        // Check if it's a human player's turn
+        if (this.isAITurn()) {
             return false;
         }
 
-        // Check if already have 2 cards flipped
-        if (this.gameState.flippedCards.length >= 2) {
-            return false;
-        }
-
-        return true;
-    }
-
-    /**
-     * Check if a card is already matched
-     * @param {number} cardIndex - Card index to check
-     * @returns {boolean} - Whether card is matched
-     */
-    isCardMatched(cardIndex) {
-        return this.gameState.matchedPairs.some(pair => pair.includes(cardIndex));
+        return this.engine.canFlip(cardIndex);
     }
 
     /**
@@ -214,18 +463,18 @@ class MemoryGame {
      */
     async makePlayerMove(cardIndex) {
         // Flip the card
-        await this.flipCard(cardIndex);
-
-        // Add to flipped cards
-        this.gameState.flippedCards.push(cardIndex);
+        const card = this.engine.flipCard(cardIndex);
+        await this.ui.whenIdle();
 
-        // Observe card for AI
-        const card = this.gameState.cards[cardIndex];
-        this.ai.observeCard(cardIndex, card.symbol, true);
+        // Observe card for every AI
+        const key = this.engine.getMatchKey(card);
+        this.ais.forEach(ai => ai.observeCard(cardIndex, key, true));
 
-        // Check if we have two cards flipped
-        if (this.gameState.flippedCards.length === 2) {
+        // Check if the turn's cards are all flipped
+        if (this.gameState.flippedCards.length === this.engine.rule.setSize) {
             await this.evaluateMove();
+        } else {
+            this.saveGame();
         }
     }
 
@@ -233,253 +482,567 @@ class MemoryGame {
      * Make an AI move
      */
     async makeAIMove() {
-        if (this.gameState.currentPlayer !== 'ai') {
+        if (!this.isAITurn()) {
             return;
         }
 
+        const seatId = this.gameState.currentPlayer;
+        const ai = this.ais.get(seatId);
+
         // Get available cards
-        const availableCards = this.getAvailableCards();
+        const availableCards = this.engine.getAvailableCards();
         
-        if (availableCards.length < 2) {
+        if (availableCards.length < this.engine.rule.setSize) {
             console.warn('Not enough cards available for AI move');
             return;
         }
 
-        // Get AI decision
-        const [firstCard, secondCard] = await this.ai.makeMove(availableCards);
+        // Pick and reveal the first card
+        const state = this.gameState;
+        this.ui.setThinkingLine(ai.getStatusLine('thinking'));
+        const firstCard = await ai.makeFirstMove(availableCards);
 
-        // Make the moves
-        await this.flipCard(firstCard);
-        this.gameState.flippedCards.push(firstCard);
-        
-        await GameUtils.delay(500); // Brief pause between cards
-        
-        await this.flipCard(secondCard);
-        this.gameState.flippedCards.push(secondCard);
+        // The game may have been restarted while the AI was thinking
+        if (this.gameState !== state || this.gameState.currentPlayer !== seatId ||
+            !this.gameState.isGameActive) {
+            return;
+        }
 
-        // Observe cards for AI memory
-        const card1 = this.gameState.cards[firstCard];
-        const card2 = this.gameState.cards[secondCard];
-        this.ai.observeCard(firstCard, card1.symbol, false);
-        this.ai.observeCard(secondCard, card2.symbol, false);
+        this.explainAIMove(seatId);
+        const firstKey = this.engine.getMatchKey(this.engine.flipCard(firstCard));
+        this.ais.forEach(observer => observer.observeCard(firstCard, firstKey, false));
+        await this.ui.whenIdle();
+
+        // Pick the rest of the turn's cards knowing what the first one shows
+        while (this.gameState.flippedCards.length < this.engine.rule.setSize) {
+            await this.pace(500); // Brief pause between cards
+            if (this.gameState !== state) return; // A new game was started meanwhile
+
+            const flipped = this.gameState.flippedCards.slice(1);
+            const nextCard = ai.chooseSecondCard(
+                availableCards.filter(index => !flipped.includes(index)), firstCard, firstKey);
+            this.explainAIMove(seatId);
+            const key = this.engine.getMatchKey(this.engine.flipCard(nextCard));
+            this.ais.forEach(observer => observer.observeCard(nextCard, key, false));
+            await this.ui.whenIdle();
+        }
 
         // Evaluate the move
         await this.evaluateMove();
     }
 
     /**
-     * Get available cards for moves
-     * @returns {Array} - Array of available card indices
+     * Show an AI's reasoning so far this turn, if the overlay is on
+     * @param {string} seatId - Seat of the AI
      */
-    getAvailableCards() {
-        const available = [];
-        for (let i = 0; i < this.gameState.cards.length; i++) {
-            if (!this.gameState.flippedCards.includes(i) && !this.isCardMatched(i)) {
-                available.push(i);
-            }
+    explainAIMove(seatId) {
+        if (this.showReasoning) {
+            this.ui.showAIReasoning(this.engine.getSeat(seatId), this.ais.get(seatId).getReasoning());
         }
-        return available;
-    }
-
-    /**
-     * Flip a card
-     * @param {number} cardIndex - Card index to flip
-     */
-    async flipCard(cardIndex) {
-        await this.ui.flipCard(cardIndex);
     }
 
     /**
-     * Evaluate the current move (two flipped cards)
+     * Evaluate the current move (the turn's flipped cards)
      */
     async evaluateMove() {
-        const [card1Index, card2Index] = this.gameState.flippedCards;
-        const card1 = this.gameState.cards[card1Index];
-        const card2 = this.gameState.cards[card2Index];
-
-        this.gameState.moves++;
-        this.ui.updateStats({
-            moves: this.gameState.moves,
-            matches: this.gameState.matchedPairs.length,
-            totalPairs: this.totalPairs,
-            difficulty: this.gameState.difficulty
-        });
-
-        // Check if cards match
-        const isMatch = card1.pairId === card2.pairId;
-
-        if (isMatch) {
-            await this.handleMatch(card1Index, card2Index);
-        } else {
-            await this.handleMismatch(card1Index, card2Index);
+        const state = this.gameState;
+        const result = this.engine.evaluateMove();
+        if (!result) {
+            return; // The game ended meanwhile, as when time runs out
         }
 
         // Record move result for AI learning
-        this.ai.recordMoveResult(
-            [card1Index, card2Index], 
-            isMatch, 
-            [card1.symbol, card2.symbol]
-        );
-
-        // Update AI status
-        this.ui.updateAIStatus(this.ai.getStats());
-
-        // Clear flipped cards
-        this.gameState.flippedCards = [];
+        this.ais.forEach(ai => ai.recordMoveResult(result.cards, result.isMatch, result.keys));
+
+        // Update AI status, with a word from the mover if it has a personality
+        this.ui.updateAIStatus(this.getAIStatus());
+        const moverAI = this.ais.get(result.player);
+        const line = moverAI?.getStatusLine(result.isMatch ? 'match' : 'miss');
+        if (line) {
+            this.ui.showAIQuip(this.engine.getSeat(result.player), moverAI.personality, line);
+        }
+        await this.ui.whenIdle();
+
+        if (!result.isMatch && !result.gameOver) {
+            // Wait a moment to let player see the cards, then pass the turn
+            const mover = this.engine.getSeat(result.player);
+            await (mover?.type === 'ai' ? this.pace(1500) : GameUtils.delay(1500));
+            if (this.gameState !== state || !state.isGameActive) return; // A new game was started or time ran out meanwhile
+            this.engine.endTurn();
+            await this.ui.whenIdle();
+        }
 
         // Check for game end
-        if (this.isGameComplete()) {
+        if (result.gameOver) {
             await this.endGame();
             return;
         }
 
-        // Continue with next turn or same player if match
-        if (!isMatch) {
-            this.switchTurn();
-        }
+        this.saveGame();
+        await this.continuePlay();
+    }
 
-        // If it's AI's turn, make AI move
-        if (this.gameState.currentPlayer === 'ai') {
-            await GameUtils.delay(1000); // Brief pause before AI move
+    /**
+     * Let an AI take its turn; human seats wait for clicks
+     */
+    async continuePlay() {
+        if (this.gameState.isGameActive && this.isAITurn()) {
+            const state = this.gameState;
+            await this.pace(1000); // Brief pause before AI move
+            if (this.gameState !== state) return; // A new game was started meanwhile
             await this.makeAIMove();
         }
     }
 
     /**
-     * Handle matching cards
-     * @param {number} card1Index - First card index
-     * @param {number} card2Index - Second card index
+     * End the game and show results
      */
-    async handleMatch(card1Index, card2Index) {
-        // Add to matched pairs
-        this.gameState.matchedPairs.push([card1Index, card2Index]);
+    async endGame() {
+        const gameTime = this.ui.stopTimer();
+        clearTimeout(this.countdown);
+        this.countdown = null;
+        this.clearSavedGame();
 
-        // Update score
-        if (this.gameState.currentPlayer === 'player') {
-            this.gameState.playerScore++;
-        } else {
-            this.gameState.aiScore++;
-        }
+        // Prepare game result
+        const gameResult = {
+            ...this.engine.getResult(),
+            gameTime
+        };
+        const winnerSeat = this.engine.getSeat(gameResult.winner);
 
-        // Update UI
-        await this.ui.markCardsAsMatched([card1Index, card2Index]);
-        this.ui.updateScore(this.gameState.playerScore, this.gameState.aiScore);
-        
-        const matchesFound = this.gameState.matchedPairs.length;
-        this.ui.updateStats({
-            moves: this.gameState.moves,
-            matches: matchesFound,
-            totalPairs: this.totalPairs,
-            difficulty: this.gameState.difficulty
-        });
+        // Save game statistics
+        const record = this.saveGameStats(gameResult);
+        this.updateAdaptiveDifficulty(gameResult);
+
+        // Show game over modal with how each player's turns compare to perfect play
+        this.ui.showGameOverModal({ ...gameResult, record });
+        this.showGameAnalysis();
 
-        // Update status message
-        const currentPlayerName = this.gameState.currentPlayer === 'player' ? 'You' : 'AI';
-        this.ui.updateStatusMessage(`${currentPlayerName} found a match! ${currentPlayerName} get${this.gameState.currentPlayer === 'player' ? '' : 's'} another turn.`, 'success');
+        // Update final status message
+        this.ui.updateStatusMessage(this.ui.getResultMessage(gameResult),
+            winnerSeat?.type === 'human' ? 'success' : 'info');
+
+        console.log('Game ended:', gameResult);
     }
 
     /**
-     * Handle mismatched cards
-     * @param {number} card1Index - First card index
-     * @param {number} card2Index - Second card index
+     * Persist the game in progress so it survives a page reload
      */
-    async handleMismatch(card1Index, card2Index) {
-        // Wait a moment to let player see the cards
-        await GameUtils.delay(1500);
-
-        // Flip cards back
-        await this.ui.flipCardBack(card1Index);
-        await this.ui.flipCardBack(card2Index);
+    saveGame() {
+        if (!this.gameState.isGameActive) {
+            return;
+        }
 
-        // Update status message
-        const currentPlayerName = this.gameState.currentPlayer === 'player' ? 'You' : 'AI';
-        this.ui.updateStatusMessage(`No match. ${currentPlayerName === 'You' ? 'Your' : 'AI\'s'} turn is over.`, 'info');
+        GameUtils.storage.save(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.savedGame, {
+            game: this.engine.serialize(),
+            ais: Object.fromEntries(Array.from(this.ais.entries()).map(([seatId, ai]) => [seatId, ai.serialize()])),
+            recording: this.recorder.getRecording(),
+            elapsedTime: this.ui.getElapsedTime(),
+            savedAt: Date.now()
+        });
     }
 
     /**
-     * Switch turn between player and AI
+     * Load the saved game in progress, if there is a usable one
+     * @returns {Object|null} - Saved game or null
      */
-    switchTurn() {
-        this.gameState.currentPlayer = this.gameState.currentPlayer === 'player' ? 'ai' : 'player';
-        this.ui.updateTurnIndicator(this.gameState.currentPlayer);
+    loadSavedGame() {
+        const savedGame = GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.savedGame);
+        if (!savedGame?.ais || !GameEngine.readSnapshot(savedGame.game)) {
+            return null;
+        }
+        return savedGame;
     }
 
     /**
-     * Check if game is complete
-     * @returns {boolean} - Whether all pairs are matched
+     * Remove the saved game in progress
      */
-    isGameComplete() {
-        return this.gameState.matchedPairs.length === this.totalPairs;
+    clearSavedGame() {
+        GameUtils.storage.remove(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.savedGame);
     }
 
     /**
-     * End the game and show results
+     * Resume the saved game in progress
      */
-    async endGame() {
-        this.gameState.isGameActive = false;
-        const gameTime = this.ui.stopTimer();
+    async resumeGame() {
+        const savedGame = this.loadSavedGame();
+        if (!savedGame || !this.engine.restore(savedGame.game)) {
+            console.warn('Saved game could not be restored, starting a new one');
+            this.clearSavedGame();
+            this.setupNewGame();
+            return;
+        }
 
-        // Determine winner
-        let winner = 'tie';
-        if (this.gameState.playerScore > this.gameState.aiScore) {
-            winner = 'player';
-        } else if (this.gameState.aiScore > this.gameState.playerScore) {
-            winner = 'ai';
+        const { difficulty, moves } = savedGame.game;
+        if (difficulty === 'custom') {
+            this.customBoard = { rows: this.config.rows, cols: this.config.cols };
+            this.ui.selectCustomBoard(this.customBoard);
         }
+        this.createOpponents();
+        this.ais.forEach((ai, seatId) => {
+            if (savedGame.ais[seatId]) {
+                ai.restore(savedGame.ais[seatId]);
+            }
+        });
+        this.seedOpponents(`:${moves}`);
+        this.recorder.resume(savedGame.recording, savedGame.elapsedTime || 0);
+        this.hints.learnFromRecording(savedGame.recording);
+        this.saveSettings();
+        this.ui.selectDifficulty(difficulty);
+        this.ui.updateAIStatus(this.getAIStatus());
+        this.startClock(savedGame.elapsedTime || 0);
+        this.ui.updateStatusMessage('Welcome back! Your game has been restored.');
+
+        console.log('Game resumed:', {
+            difficulty,
+            moves,
+            dealCode: this.engine.getDealCode()
+        });
 
-        // Prepare game result
-        const gameResult = {
-            winner,
-            playerScore: this.gameState.playerScore,
-            aiScore: this.gameState.aiScore,
-            totalMoves: this.gameState.moves,
-            gameTime,
-            difficulty: this.gameState.difficulty
-        };
+        // A turn saved with all its cards flipped is scored before play goes on
+        if (this.gameState.flippedCards.length === this.engine.rule.setSize) {
+            await this.evaluateMove();
+        } else {
+            await this.continuePlay();
+        }
+    }
 
-        // Save game statistics
-        this.saveGameStats(gameResult);
+    /**
+     * Analyse the finished game's moves for the game over modal. The humans'
+     * turns are reported, or every seat's when AIs played each other.
+     */
+    showGameAnalysis() {
+        const recording = this.recorder.getRecording();
+        if (!recording) {
+            return;
+        }
 
-        // Show game over modal
-        this.ui.showGameOverModal(gameResult);
+        const humans = recording.seats.filter(seat => seat.type === 'human');
+        this.ui.showGameAnalysis(GameAnalysis.analyze(recording), humans.length > 0 ? humans : recording.seats);
+    }
 
-        // Update final status message
-        let statusMessage = '';
-        if (winner === 'player') {
-            statusMessage = '🎉 Congratulations! You beat the AI!';
-        } else if (winner === 'ai') {
-            statusMessage = '🤖 AI wins this round! Try again?';
-        } else {
-            statusMessage = '🤝 It\'s a tie! Great game!';
+    /**
+     * Show the recording of the current or just finished game
+     */
+    openReplay() {
+        const recording = this.recorder.getRecording();
+        if (!recording) {
+            this.ui.updateStatusMessage('There is no game to replay yet.', 'info');
+            return;
         }
-        this.ui.updateStatusMessage(statusMessage, winner === 'player' ? 'success' : 'info');
 
-        console.log('Game ended:', gameResult);
+        if (this.gameState.isGameActive && this.isAITurn()) {
+            this.ui.updateStatusMessage('Wait for the AI to finish its turn before watching the replay.', 'info');
+            return;
+        }
+
+        // Replay a copy so the live game can't change it underneath the viewer
+        this.replay.open(JSON.parse(JSON.stringify(recording)));
     }
 
     /**
-     * Save game statistics
+     * Redraw the live game after the replay viewer closes
+     */
+    returnFromReplay() {
+        const elapsed = this.ui.getElapsedTime();
+        this.engine.announceGame(true);
+
+        if (this.gameState.isGameActive) {
+            this.startClock(elapsed);
+        }
+    }
+
+    /**
+     * Save game statistics from the human players' point of view. Versus games
+     * count as wins, losses and ties; solo games keep a tally per mode with the
+     * best score on each board, and leave the win rate adaptive difficulty
+     * starts from alone. A solo game in which a hint was taken counts as
+     * played and cleared but sets no best score, since the hint penalty
+     * can't be taken off a time, a flip count or a move count.
      * @param {Object} gameResult - Game result data
+     * @returns {Object|null} - For solo games { score, best, previousBest, hinted } on the board played,
+     *   where score is null if the board wasn't cleared or hints were taken and best scores are null until it first is
      */
     saveGameStats(gameResult) {
+        const humanSeats = gameResult.seats
+            .filter(seat => seat.type === 'human')
+            .map(seat => seat.id);
+        if (humanSeats.length === 0) {
+            return null;
+        }
+
         const existingStats = GameUtils.storage.load(
             GameUtils.GAME_CONSTANTS.STORAGE_KEYS.gameStats, 
             { gamesPlayed: 0, wins: 0, losses: 0, ties: 0 }
         );
 
-        existingStats.gamesPlayed++;
-        if (gameResult.winner === 'player') {
-            existingStats.wins++;
-        } else if (gameResult.winner === 'ai') {
-            existingStats.losses++;
+        const mode = GameModes.create(gameResult.mode || GameModes.DEFAULT);
+        let record = null;
+        if (mode.solo) {
+            const tally = existingStats.solo?.[gameResult.mode] || { played: 0, cleared: 0, best: {} };
+            const board = GameModes.getBoardKey(gameResult);
+            const hinted = Object.values(gameResult.hintsUsed || {}).some(count => count > 0);
+            const score = hinted ? null : mode.getScore(gameResult);
+            const previousBest = tally.best[board] ?? null;
+
+            tally.played++;
+            if (gameResult.reason === 'cleared') {
+                tally.cleared++;
+            }
+            if (score !== null && (previousBest === null || score < previousBest)) {
+                tally.best[board] = score;
+            }
+            existingStats.solo = { ...existingStats.solo, [gameResult.mode]: tally };
+            record = { score, best: tally.best[board] ?? null, previousBest, hinted };
         } else {
-            existingStats.ties++;
+            existingStats.gamesPlayed++;
+            if (humanSeats.includes(gameResult.winner)) {
+                existingStats.wins++;
+            } else if (gameResult.winners.some(seatId => humanSeats.includes(seatId))) {
+                existingStats.ties++;
+            } else {
+                existingStats.losses++;
+            }
         }
 
         GameUtils.storage.save(
             GameUtils.GAME_CONSTANTS.STORAGE_KEYS.gameStats, 
             existingStats
         );
+        return record;
+    }
+
+    /**
+     * Retune adaptive difficulty from a game the humans played against adaptive AI seats
+     * @param {Object} gameResult - Game result data
+     */
+    updateAdaptiveDifficulty(gameResult) {
+        if (!this.isAdaptiveGame || !gameResult.seats.some(seat => seat.type === 'human')) {
+            return;
+        }
+
+        this.adaptive.recordGame(gameResult);
+        GameUtils.storage.save(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.adaptive, this.adaptive.serialize());
+        this.ui.updateAdaptiveStatus(this.getAdaptiveStatus());
+    }
+
+    /**
+     * Get the adaptive difficulty summary for display
+     * @returns {Object} - { enabled, level, levelName, recentWinRate, recentGames }
+     */
+    getAdaptiveStatus() {
+        return {
+            enabled: this.adaptiveEnabled,
+            level: this.adaptive.level,
+            levelName: this.adaptive.getLevelName(),
+            recentWinRate: this.adaptive.getRecentWinRate(),
+            recentGames: this.adaptive.history.length
+        };
+    }
+
+    /**
+     * Turn adaptive difficulty on or off; it applies from the next game
+     * @param {boolean} enabled - Whether to adapt the AI to the players
+     */
+    setAdaptive(enabled) {
+        this.adaptiveEnabled = Boolean(enabled);
+        this.saveSettings();
+        this.ui.updateAdaptiveStatus(this.getAdaptiveStatus());
+        this.ui.updateStatusMessage(this.adaptiveEnabled
+            ? 'Adaptive difficulty is on. The AI will adjust to you from the next game.'
+            : 'Adaptive difficulty is off. The AI will play at the chosen difficulty from the next game.', 'info');
+    }
+
+    /**
+     * Suggest the next flip to the human to move, charging it to their hint budget
+     */
+    async requestHint() {
+        if (this.replay.isOpen || this.isAITurn() || !this.gameState.isGameActive) {
+            return;
+        }
+
+        if (this.engine.rule.setSize !== 2) {
+            this.ui.updateStatusMessage('Hints are only given in games played two cards at a time.', 'info');
+            return;
+        }
+
+        if (this.engine.getHintsLeft() === 0) {
+            this.ui.updateStatusMessage('No hints left this game.', 'error');
+            return;
+        }
+
+        // Let the flip animation finish before pointing at the board
+        await this.ui.whenIdle();
+        const hint = this.hints.getHint();
+        if (!hint || !this.engine.useHint(hint.cards)) {
+            return;
+        }
+
+        this.ui.showHint(hint);
+        this.saveGame();
+    }
+
+    /**
+     * Change how many hints each player may take per game; it applies from the next game
+     * @param {number} budget - Hints per game
+     */
+    setHintBudget(budget) {
+        if (!this.engine.setHintRules({ budget })) {
+            return;
+        }
+
+        this.saveSettings();
+        this.ui.updateStatusMessage(budget > 0
+            ? `Each player gets ${budget} hint${budget === 1 ? '' : 's'} from the next game.`
+            : 'Hints are off from the next game.', 'info');
+    }
+
+    /**
+     * Change the game mode; it applies from the next game
+     * @param {string} mode - Name of a registered game mode
+     */
+    setMode(mode) {
+        if (!this.engine.setMode(mode)) {
+            console.warn('Invalid game mode:', mode);
+            return;
+        }
+
+        this.saveSettings();
+        const { label } = GameModes.list().find(entry => entry.name === mode);
+        this.ui.updateStatusMessage(`${label} from the next game. ${GameModes.getDescription(mode)}`, 'info');
+    }
+
+    /**
+     * Change how cards match; it applies from the next game
+     * @param {string} rule - Name of a registered match rule
+     */
+    setMatchRule(rule) {
+        if (!this.engine.setRule(rule)) {
+            console.warn('Invalid match rule:', rule);
+            return;
+        }
+
+        this.saveSettings();
+        const { label } = MatchRules.list().find(entry => entry.name === rule);
+        this.ui.updateStatusMessage(`${label} from the next game. ${MatchRules.getDescription(rule)}`, 'info');
+    }
+
+    /**
+     * Change the deck the cards' faces come from; it applies from the next game
+     * @param {string} deck - Name of a registered deck
+     */
+    setDeck(deck) {
+        if (!this.engine.setDeck(deck)) {
+            console.warn('Invalid deck:', deck);
+            return;
+        }
+
+        this.saveSettings();
+        const { label } = CardDecks.list().find(entry => entry.name === deck);
+        this.ui.updateStatusMessage(`${label} from the next game. ${CardDecks.getDescription(deck)}`, 'info');
+    }
+
+    /**
+     * Store a deck made in the deck editor or imported, and deal it from the next game
+     * @param {Object} definition - Deck definition (see decks.js)
+     */
+    saveDeck(definition) {
+        const previous = CardDecks.getDefinition(definition.name);
+        if (!CardDecks.register(definition, true)) {
+            this.deckEditor.showNote(CardDecks.getProblem(definition) || 'Built-in decks can\'t be replaced.', 'error');
+            return;
+        }
+
+        // Pictures can fill local storage; keep the deck as it was rather than lose it on reload
+        if (!this.storeCustomDecks()) {
+            CardDecks.unregister(definition.name);
+            if (previous) {
+                CardDecks.register(previous, true);
+            }
+            this.deckEditor.showNote('There is no room left to store this deck. Try fewer or smaller pictures.', 'error');
+            return;
+        }
+
+        this.ui.renderDeckOptions();
+        this.ui.selectDeck(definition.name);
+        this.setDeck(definition.name);
+        this.deckEditor.edit(definition.name);
+        this.deckEditor.showNote(`Saved. ${definition.label} is dealt from the next game.`);
+    }
+
+    /**
+     * Delete a deck made in the deck editor; games dealt from it can still be resumed and replayed
+     * @param {string} name - Deck name
+     */
+    deleteDeck(name) {
+        const { label } = CardDecks.getDefinition(name) || {};
+        if (!CardDecks.unregister(name)) {
+            return;
+        }
+
+        this.storeCustomDecks();
+        if (this.engine.deckName === name) {
+            this.engine.setDeck(CardDecks.DEFAULT);
+            this.saveSettings();
+        }
+        this.ui.renderDeckOptions();
+        this.ui.selectDeck(this.engine.deckName);
+        this.deckEditor.edit('');
+        this.deckEditor.showNote(`Deleted ${label}.`);
+    }
+
+    /**
+     * Save the decks players made
+     * @returns {boolean} - Whether they were stored
+     */
+    storeCustomDecks() {
+        const decks = CardDecks.list()
+            .filter(({ custom }) => custom)
+            .map(({ name }) => CardDecks.getDefinition(name));
+        return GameUtils.storage.save(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.decks, decks);
+    }
+
+    /**
+     * Choose the personality of the AI seats; it applies from the next game
+     * @param {string} personality - Key of GAME_CONSTANTS.PERSONALITIES, or '' for none
+     */
+    setPersonality(personality) {
+        const entry = GameUtils.GAME_CONSTANTS.PERSONALITIES[personality];
+        if (personality && !entry) {
+            console.warn('Invalid personality:', personality);
+            return;
+        }
+
+        this.personality = personality || '';
+        this.ui.selectPersonality(this.personality);
+        this.saveSettings();
+        this.ui.updateStatusMessage(entry
+            ? `${entry.avatar} ${entry.name} will play from the next game.`
+            : 'The AI will play by the difficulty alone from the next game.', 'info');
+    }
+
+    /**
+     * Turn the AI reasoning overlay on or off
+     * @param {boolean} enabled - Whether to show what the AI is thinking
+     */
+    setShowReasoning(enabled) {
+        this.showReasoning = Boolean(enabled);
+        this.ui.selectShowReasoning(this.showReasoning);
+        this.saveSettings();
+    }
+
+    /**
+     * Change how fast AI seats think and move
+     * @param {number} speed - Speed factor (2 plays twice as fast)
+     */
+    setAISpeed(speed) {
+        if (!(speed > 0)) {
+            return;
+        }
+
+        this.aiSpeed = speed;
+        this.ais.forEach(ai => ai.setSpeed(speed));
+        this.saveSettings();
     }
 
     /**
@@ -492,9 +1055,7 @@ class MemoryGame {
             return;
         }
 
-        this.gameState.difficulty = difficulty;
-        this.config = GameUtils.GAME_CONSTANTS.DIFFICULTIES[difficulty];
-        this.ai.setDifficulty(difficulty);
+        this.engine.setDifficulty(difficulty, this.customBoard);
         
         // Save setting
         this.saveSettings();
@@ -508,6 +1069,72 @@ class MemoryGame {
         console.log('Difficulty changed to:', difficulty);
     }
 
+    /**
+     * Play a custom board of the given size
+     * @param {Object} board - { rows, cols }
+     */
+    changeBoardSize(board) {
+        if (!this.engine.setDifficulty('custom', board)) {
+            const { minSize, maxSize } = GameUtils.GAME_CONSTANTS.CUSTOM_BOARD;
+            this.ui.updateStatusMessage(`Choose between ${minSize} and ${maxSize} rows and columns.`, 'error');
+            return;
+        }
+
+        this.customBoard = { rows: board.rows, cols: board.cols };
+        this.saveSettings();
+        this.ui.selectDifficulty('custom');
+        this.ui.selectCustomBoard(this.customBoard);
+        this.setupNewGame();
+
+        console.log('Board size changed to:', `${board.rows}x${board.cols}`);
+    }
+
+    /**
+     * Change who is playing and start a new game; seating players leaves a solo mode for versus play
+     * @param {Array} seats - Seats in turn order
+     */
+    changeSeats(seats) {
+        if (!this.engine.setSeats(seats)) {
+            this.ui.updateStatusMessage(`Choose between ${GameEngine.MIN_SEATS} and ${GameEngine.MAX_SEATS} players.`, 'error');
+            return;
+        }
+
+        if (GameModes.create(this.engine.modeName).solo) {
+            this.engine.setMode(GameModes.DEFAULT);
+            this.ui.selectMode(this.engine.modeName);
+        }
+
+        this.saveSettings();
+        this.setupNewGame();
+
+        console.log('Seats changed to:', this.engine.lineup);
+    }
+
+    /**
+     * Start a game from a shared deal code
+     * @param {string} code - Deal code such as "B-7K2M9Q", "C5X7-7K2M9Q" or "B-7K2M9Q-T"
+     */
+    playDealCode(code) {
+        const deal = GameEngine.parseDealCode(code);
+        if (!deal) {
+            this.ui.updateStatusMessage(`"${code}" is not a valid deal code.`, 'error');
+            return;
+        }
+
+        if (deal.board) {
+            this.customBoard = deal.board;
+            this.ui.selectCustomBoard(this.customBoard);
+        }
+        this.engine.setDifficulty(deal.difficulty, this.customBoard);
+        this.engine.setRule(deal.rule);
+        this.saveSettings();
+        this.ui.selectDifficulty(deal.difficulty);
+        this.ui.selectMatchRule(deal.rule);
+
+        this.setupNewGame(deal.seed);
+        this.ui.updateStatusMessage(`Playing deal ${this.engine.getDealCode()}. Good luck!`);
+    }
+
     /**
      * Get current game statistics
      * @returns {Object} - Current game stats
@@ -516,8 +1143,8 @@ class MemoryGame {
         return {
             ...this.gameState,
             totalPairs: this.totalPairs,
-            gameTime: this.ui.gameStartTime ? 
-                Math.floor((Date.now() - this.ui.gameStartTime) / 1000) : 0
+            dealCode: this.engine.getDealCode(),
+            gameTime: this.ui.getElapsedTime()
         };
     }
 }
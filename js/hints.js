@@ -0,0 +1,113 @@
+/**
+ * Hint Advisor for MemoryMind AI
+ * Suggests the best next flip from what has been revealed so far, never from
+ * the hidden card faces. The advice is the perfect-memory play worked out by
+ * MemorySolver, so a hint is what a player who remembered everything would do.
+ * Cards are remembered by their match key, so under the families rule any two
+ * revealed animals count as a pair, though passing and safe cards are only
+ * advised for decks of pairs. Rules that flip more than two cards a turn get
+ * no hints. Solo games skip the solver, whose advice is about what an
+ * opponent could learn: with no one to profit from a revealed card, exploring
+ * always beats flipping a card already known.
+ */
+class HintAdvisor {
+    constructor(engine) {
+        this.engine = engine;
+        this.seen = new Map(); // Card index -> match key of face-down cards revealed this game
+
+        this.bindEngineEvents();
+    }
+
+    /**
+     * Subscribe to the engine events that reveal cards
+     */
+    bindEngineEvents() {
+        this.engine.on('gameStarted', () => {
+            this.seen.clear();
+        });
+
+        this.engine.on('cardFlipped', ({ cardIndex, card }) => {
+            this.seen.set(cardIndex, this.engine.getMatchKey(card));
+        });
+
+        this.engine.on('match', ({ cards }) => {
+            cards.forEach(cardIndex => this.seen.delete(cardIndex));
+        });
+    }
+
+    /**
+     * Catch up on a resumed game from its recording
+     * @param {Object} recording - Recording of the game so far
+     */
+    learnFromRecording(recording) {
+        this.seen.clear();
+        recording?.events.forEach(event => {
+            if (event.type === 'flip') {
+                this.seen.set(event.card, this.engine.getMatchKey(recording.cards[event.card]));
+            } else if (event.type === 'match') {
+                event.cards.forEach(cardIndex => this.seen.delete(cardIndex));
+            }
+        });
+    }
+
+    /**
+     * Find a revealed card with a match key
+     * @param {Array} cards - Candidate card indices
+     * @param {string} key - Match key to look for
+     * @param {number} exclude - Card index to skip
+     * @returns {number|undefined} - Card index
+     */
+    findPartner(cards, key, exclude) {
+        return cards.find(index => index !== exclude && this.seen.get(index) === key);
+    }
+
+    /**
+     * Work out the best next flip for the player to move
+     * @returns {Object|null} - { type, cards } where type is 'pair', 'partner', 'explore',
+     *   'safe' or 'pass', or null if there is nothing to suggest
+     */
+    getHint() {
+        const { state } = this.engine;
+        if (!state.isGameActive || state.flippedCards.length > 1 || this.engine.rule.setSize !== 2) {
+            return null;
+        }
+
+        const available = this.engine.getAvailableCards();
+        const firstCard = state.flippedCards[0];
+        const unseen = available.filter(index => !this.seen.has(index));
+        const unpaired = available.filter(index => this.seen.has(index) &&
+            this.findPartner(available, this.seen.get(index), index) === undefined);
+        const pairs = (available.length + state.flippedCards.length) / 2;
+        // Solver advice holds for pairs only, and only with an opponent
+        const solved = !this.engine.mode.solo && MemorySolver.covers(this.engine.getSymbolCounts());
+
+        if (firstCard !== undefined) {
+            const partner = this.findPartner(available, this.engine.getMatchKey(state.cards[firstCard]), firstCard);
+            if (partner !== undefined) {
+                return { type: 'partner', cards: [partner] };
+            }
+
+            const { second } = solved ? MemorySolver.bestMove(pairs, unpaired.length) : {};
+            if ((second === 'known' || unseen.length === 0) && unpaired.length > 0) {
+                return { type: 'safe', cards: [unpaired[0]] };
+            }
+            return unseen.length > 0 ? { type: 'explore', cards: [unseen[0]] } : null;
+        }
+
+        const pairCard = available.find(index => this.seen.has(index) &&
+            this.findPartner(available, this.seen.get(index), index) !== undefined);
+        if (pairCard !== undefined) {
+            return { type: 'pair', cards: [pairCard, this.findPartner(available, this.seen.get(pairCard), pairCard)] };
+        }
+
+        if (solved && MemorySolver.bestMove(pairs, unpaired.length).first === 'pass' && unpaired.length >= 2) {
+            return { type: 'pass', cards: unpaired.slice(0, 2) };
+        }
+        return unseen.length > 0 ? { type: 'explore', cards: [unseen[0]] } : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HintAdvisor;
+}
@@ -0,0 +1,255 @@
+/**
+ * Game Modes for MemoryMind AI
+ * A mode decides who sits at a game and how it can end. Versus games seat the
+ * players in turn order and end when the board is cleared; solo modes seat a
+ * single human against the board, some racing a countdown or a flip budget.
+ * GameEngine deals and scores every mode alike and ends a game early when its
+ * flips run out; the clock is kept by the controller, which tells the engine
+ * when time is up.
+ */
+class GameMode {
+    static description = 'Take turns with the other players; the most matches wins.';
+
+    constructor() {
+        this.solo = false; // One human against the board, with no turns to pass
+        this.minSeats = 2;
+        this.maxSeats = 4;
+        this.clock = 'up'; // 'up' counts the time played, 'down' the time left, 'none' hides it
+    }
+
+    /**
+     * Choose who plays a game from the configured players
+     * @param {Array} lineup - Seats of versus games in turn order
+     * @returns {Array} - Seats of the game
+     */
+    getSeats(lineup) {
+        return lineup;
+    }
+
+    /**
+     * Get how long a board may take
+     * @param {number} cardCount - Cards dealt
+     * @returns {number} - Seconds allowed, or 0 for no limit
+     */
+    getTimeLimit(cardCount) {
+        return 0;
+    }
+
+    /**
+     * Get how many cards may be flipped to clear a board
+     * @param {number} cardCount - Cards dealt
+     * @param {number} setSize - Cards flipped per turn under the match rule
+     * @returns {number} - Flips allowed, or 0 for no limit
+     */
+    getFlipLimit(cardCount, setSize) {
+        return 0;
+    }
+
+    /**
+     * Tell the player what a dealt game asks of them beyond the match rule
+     * @param {Object} game - { timeLimit, flipLimit } of the game
+     * @returns {string} - Goal, or '' when clearing the board is all there is
+     */
+    getGoal(game) {
+        return '';
+    }
+
+    /**
+     * Score a finished game for the best scores; lower is better
+     * @param {Object} result - Game result from GameEngine.getResult()
+     * @returns {number|null} - Score, or null if the game has none (versus games and uncleared boards)
+     */
+    getScore(result) {
+        return null;
+    }
+
+    /**
+     * Show a score for display
+     * @param {number} score - Score from getScore()
+     * @returns {string} - e.g. "01:12" or "24 flips"
+     */
+    formatScore(score) {
+        return String(score);
+    }
+}
+
+/**
+ * The players take turns and a miss passes play on
+ */
+class VersusMode extends GameMode {}
+
+/**
+ * One human clears the board alone: the first human of the line-up, or a
+ * default player when every seat is an AI
+ */
+class SoloMode extends GameMode {
+    static description = 'Clear the board on your own.';
+    static SEAT = { id: 'player', name: 'Player', type: 'human' };
+
+    constructor() {
+        super();
+        this.solo = true;
+        this.minSeats = 1;
+        this.maxSeats = 1;
+    }
+
+    getSeats(lineup) {
+        return [lineup.find(seat => seat.type === 'human') || SoloMode.SEAT];
+    }
+}
+
+/**
+ * Clear the board before a countdown ends; the fastest clear is best
+ */
+class TimeAttackMode extends SoloMode {
+    static description = 'Clear the board before the clock runs out.';
+    static SECONDS_PER_CARD = 4;
+
+    constructor() {
+        super();
+        this.clock = 'down';
+    }
+
+    getTimeLimit(cardCount) {
+        return cardCount * TimeAttackMode.SECONDS_PER_CARD;
+    }
+
+    getGoal({ timeLimit }) {
+        return `Clear the board within ${GameUtils.formatTime(timeLimit)}.`;
+    }
+
+    getScore(result) {
+        return result.reason === 'cleared' ? result.gameTime : null;
+    }
+
+    formatScore(score) {
+        return GameUtils.formatTime(score);
+    }
+}
+
+/**
+ * Clear the board within a flip budget; the fewest flips are best. A board
+ * allows as many flips per card as the rule flips per turn, so pairs get
+ * twice the cards dealt and triples three times.
+ */
+class PuzzleMode extends SoloMode {
+    static description = 'Clear the board within a limited number of flips.';
+
+    getFlipLimit(cardCount, setSize) {
+        return cardCount * setSize;
+    }
+
+    getGoal({ flipLimit }) {
+        return `Clear the board within ${flipLimit} flips.`;
+    }
+
+    getScore(result) {
+        return result.reason === 'cleared' ? result.flips : null;
+    }
+
+    formatScore(score) {
+        return `${score} flips`;
+    }
+}
+
+/**
+ * No opponent and no clock; the fewest moves are best
+ */
+class ZenMode extends SoloMode {
+    static description = 'No opponent and no clock: clear the board at your own pace.';
+
+    constructor() {
+        super();
+        this.clock = 'none';
+    }
+
+    getGoal() {
+        return 'Take your time.';
+    }
+
+    getScore(result) {
+        return result.reason === 'cleared' ? result.totalMoves : null;
+    }
+
+    formatScore(score) {
+        return `${score} moves`;
+    }
+}
+
+/**
+ * Registry of game modes by name
+ */
+class GameModes {
+    static Base = GameMode;
+    static DEFAULT = 'versus';
+    static registry = new Map();
+
+    /**
+     * Register a mode so it can be chosen for a game
+     * @param {string} name - Unique mode name
+     * @param {Function} ModeClass - Subclass of GameMode
+     * @param {string} label - Name shown to players
+     */
+    static register(name, ModeClass, label = name) {
+        GameModes.registry.set(name, { ModeClass, label });
+    }
+
+    /**
+     * Check whether a mode is registered
+     * @param {string} name - Mode name
+     * @returns {boolean} - Whether it exists
+     */
+    static has(name) {
+        return GameModes.registry.has(name);
+    }
+
+    /**
+     * Create a mode
+     * @param {string} name - Mode name
+     * @returns {GameMode} - Mode instance
+     */
+    static create(name) {
+        const { ModeClass } = GameModes.registry.get(name);
+        return new ModeClass();
+    }
+
+    /**
+     * Get what players are told a mode asks of them
+     * @param {string} name - Mode name
+     * @returns {string} - Description, the default mode's for unknown names
+     */
+    static getDescription(name) {
+        const entry = GameModes.registry.get(name) || GameModes.registry.get(GameModes.DEFAULT);
+        return entry.ModeClass.description;
+    }
+
+    /**
+     * Name the board a best score is kept for: its size and match rule, but
+     * not its deck, since a deal plays alike in any deck
+     * @param {Object} result - { difficulty, board, rule } of a game result
+     * @returns {string} - e.g. "beginner" or "custom-5x7:triples"
+     */
+    static getBoardKey({ difficulty, board, rule }) {
+        const size = difficulty === 'custom' ? `${difficulty}-${board.rows}x${board.cols}` : difficulty;
+        return rule && rule !== MatchRules.DEFAULT ? `${size}:${rule}` : size;
+    }
+
+    /**
+     * List registered modes
+     * @returns {Array} - Entries of { name, label, solo }
+     */
+    static list() {
+        return Array.from(GameModes.registry.entries())
+            .map(([name, { ModeClass, label }]) => ({ name, label, solo: new ModeClass().solo }));
+    }
+}
+
+GameModes.register('versus', VersusMode, 'Versus');
+GameModes.register('timeAttack', TimeAttackMode, 'Time attack');
+GameModes.register('puzzle', PuzzleMode, 'Puzzle');
+GameModes.register('zen', ZenMode, 'Zen');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameModes;
+}
@@ -0,0 +1,269 @@
+/**
+ * Player Models for MemoryMind AI
+ * Learns each human player's habits from the engine's events and keeps them
+ * across sessions, so AI strategies can play against the person, not just the board.
+ *
+ * Players are known by their seat name. For each one the model keeps:
+ *   regions   - flips per ninth of the board (3x3 grid, so boards of any size compare)
+ *   openings  - first-turn card pairs per board size, e.g. { "4x4": { "0,3": 2 } }
+ *   recall    - turns where the first card's partner had been seen, and how many of those missed it
+ *   responses - total time to the first and to the second click of a turn
+ */
+class PlayerModels {
+    static REGION_GRID = 3;
+
+    constructor(engine) {
+        this.engine = engine;
+        this.models = GameUtils.storage.load(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.players, {});
+
+        // Per-game tracking
+        this.seen = new Map(); // Card index -> pairId of face-down cards revealed this game
+        this.openings = new Map(); // Seat id -> first-turn cards, while the first turn is in progress
+        this.turnStartedAt = Date.now();
+        this.firstFlipAt = null;
+        this.pendingPartner = null; // Seen partner of the current first card, if any
+
+        this.bindEngineEvents();
+    }
+
+    /**
+     * Subscribe to the engine events the models learn from
+     */
+    bindEngineEvents() {
+        this.engine.on('gameStarted', (game) => {
+            this.seen.clear();
+            this.openings.clear();
+            this.turnStartedAt = Date.now();
+            this.firstFlipAt = null;
+
+            // A resumed game's opening has already been played
+            if (!game.restored) {
+                game.seats
+                    .filter(seat => seat.type === 'human')
+                    .forEach(seat => {
+                        this.openings.set(seat.id, []);
+                        this.getModel(seat.id).games++;
+                    });
+            }
+        });
+
+        this.engine.on('cardFlipped', ({ cardIndex, card, player }) => {
+            this.observeFlip(cardIndex, card, player);
+            this.seen.set(cardIndex, card.pairId);
+        });
+
+        this.engine.on('match', ({ cards, player }) => {
+            cards.forEach(cardIndex => this.seen.delete(cardIndex));
+            this.endMove(player);
+        });
+
+        this.engine.on('mismatch', ({ player }) => {
+            this.endMove(player);
+        });
+
+        this.engine.on('turnChanged', () => {
+            this.turnStartedAt = Date.now();
+        });
+    }
+
+    /**
+     * Get the model of a seat's player, creating it on first sight
+     * @param {string} seatId - Seat id
+     * @returns {Object} - Mutable model
+     */
+    getModel(seatId) {
+        const name = this.engine.getSeat(seatId)?.name || seatId;
+        if (!this.models[name]) {
+            this.models[name] = {
+                games: 0,
+                regions: new Array(PlayerModels.REGION_GRID ** 2).fill(0),
+                openings: {},
+                recall: { opportunities: 0, forgets: 0 },
+                responses: { turns: 0, first: 0, second: 0 }
+            };
+        }
+        return this.models[name];
+    }
+
+    /**
+     * Learn from a human flipping a card
+     * @param {number} cardIndex - Flipped card
+     * @param {Object} card - Card data
+     * @param {string} player - Seat id of the mover
+     */
+    observeFlip(cardIndex, card, player) {
+        if (this.engine.getSeat(player)?.type !== 'human') return;
+
+        const model = this.getModel(player);
+        const isFirstCard = this.engine.state.flippedCards.length === 1;
+        const now = Date.now();
+
+        model.regions[this.getRegion(cardIndex)]++;
+
+        if (isFirstCard) {
+            model.responses.first += now - this.turnStartedAt;
+            this.firstFlipAt = now;
+
+            // Did they already see where this card's partner is?
+            const partner = Array.from(this.seen.entries())
+                .find(([index, pairId]) => index !== cardIndex && pairId === card.pairId);
+            this.pendingPartner = partner ? partner[0] : null;
+        } else if (this.engine.state.flippedCards.length === 2) {
+            // Later cards of a turn under rules that flip more than two aren't timed
+            model.responses.second += now - (this.firstFlipAt ?? now);
+            model.responses.turns++;
+
+            if (this.pendingPartner !== null) {
+                model.recall.opportunities++;
+                if (cardIndex !== this.pendingPartner) {
+                    model.recall.forgets++;
+                }
+            }
+            this.pendingPartner = null;
+        }
+
+        const opening = this.openings.get(player);
+        if (opening) {
+            opening.push(cardIndex);
+            if (opening.length === 2) {
+                const { rows, cols } = this.engine.config;
+                const openings = model.openings[`${rows}x${cols}`] ??= {};
+                const key = opening.join(',');
+                openings[key] = (openings[key] || 0) + 1;
+                this.openings.delete(player);
+            }
+        }
+    }
+
+    /**
+     * Finish a move: a match gives the mover another turn, and human moves are saved
+     * @param {string} player - Seat id of the mover
+     */
+    endMove(player) {
+        this.turnStartedAt = Date.now();
+        if (this.engine.getSeat(player)?.type === 'human') {
+            this.save();
+        }
+    }
+
+    /**
+     * Persist all models
+     */
+    save() {
+        GameUtils.storage.save(GameUtils.GAME_CONSTANTS.STORAGE_KEYS.players, this.models);
+    }
+
+    /**
+     * Get the ninth of the board a card lies in
+     * @param {number} cardIndex - Card index
+     * @param {Object} board - { rows, cols } (defaults to the engine's board)
+     * @returns {number} - Region 0-8, row by row
+     */
+    getRegion(cardIndex, { rows, cols } = this.engine.config) {
+        const grid = PlayerModels.REGION_GRID;
+        const row = Math.floor(cardIndex / cols);
+        const col = cardIndex % cols;
+        return Math.floor(row * grid / rows) * grid + Math.floor(col * grid / cols);
+    }
+
+    /**
+     * Get the models of the human seats in the current game, or of one seat
+     * @param {string} seatId - Seat id (optional)
+     * @returns {Array} - Models with at least one recorded game
+     */
+    getModels(seatId) {
+        const seats = seatId
+            ? [this.engine.getSeat(seatId)].filter(Boolean)
+            : this.engine.seats.filter(seat => seat.type === 'human');
+        return seats
+            .map(seat => this.models[seat.name])
+            .filter(model => model?.games > 0);
+    }
+
+    /**
+     * Get how likely the players are to flip each card, from the regions they favour
+     * @param {Object} board - { rows, cols }
+     * @param {string} seatId - Seat id (optional, defaults to every human seat)
+     * @returns {Array|null} - Weight per card index summing to 1, or null with no history
+     */
+    getCardWeights(board, seatId) {
+        const models = this.getModels(seatId);
+        const regions = new Array(PlayerModels.REGION_GRID ** 2).fill(0);
+        models.forEach(model => model.regions.forEach((count, region) => {
+            regions[region] += count;
+        }));
+
+        const total = regions.reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            return null;
+        }
+
+        // Spread each region's share over its cards
+        const cardCount = board.rows * board.cols;
+        const regionOf = Array.from({ length: cardCount }, (_, index) => this.getRegion(index, board));
+        const sizes = regions.map((_, region) => regionOf.filter(r => r === region).length);
+        const weights = regionOf.map(region => regions[region] / total / sizes[region]);
+        const sum = weights.reduce((a, b) => a + b, 0);
+        return weights.map(weight => weight / sum);
+    }
+
+    /**
+     * Get the players' most common first turn on a board size
+     * @param {Object} board - { rows, cols }
+     * @param {string} seatId - Seat id (optional, defaults to every human seat)
+     * @returns {Object|null} - { cards: [first, second], share } or null with no history
+     */
+    getLikelyOpening(board, seatId) {
+        const counts = {};
+        this.getModels(seatId).forEach(model => {
+            Object.entries(model.openings[`${board.rows}x${board.cols}`] || {}).forEach(([key, count]) => {
+                counts[key] = (counts[key] || 0) + count;
+            });
+        });
+
+        const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) {
+            return null;
+        }
+
+        const total = entries.reduce((sum, [, count]) => sum + count, 0);
+        return {
+            cards: entries[0][0].split(',').map(Number),
+            share: entries[0][1] / total
+        };
+    }
+
+    /**
+     * Get how often the players miss a partner card they have already seen
+     * @param {string} seatId - Seat id (optional, defaults to every human seat)
+     * @returns {number|null} - Share of missed chances, or null with fewer than 5 chances
+     */
+    getForgetRate(seatId) {
+        const { opportunities, forgets } = this.getModels(seatId).reduce((sum, model) => ({
+            opportunities: sum.opportunities + model.recall.opportunities,
+            forgets: sum.forgets + model.recall.forgets
+        }), { opportunities: 0, forgets: 0 });
+
+        return opportunities >= 5 ? forgets / opportunities : null;
+    }
+
+    /**
+     * Get how long the players take to pick their cards
+     * @param {string} seatId - Seat id (optional, defaults to every human seat)
+     * @returns {Object|null} - { first, second } average milliseconds, or null with no history
+     */
+    getResponseTimes(seatId) {
+        const { turns, first, second } = this.getModels(seatId).reduce((sum, model) => ({
+            turns: sum.turns + model.responses.turns,
+            first: sum.first + model.responses.first,
+            second: sum.second + model.responses.second
+        }), { turns: 0, first: 0, second: 0 });
+
+        return turns > 0 ? { first: first / turns, second: second / turns } : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlayerModels;
+}
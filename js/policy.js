@@ -0,0 +1,191 @@
+/**
+ * Learned Policy for MemoryMind AI
+ * A small trainable model of which kind of card to flip, trained offline by
+ * self-play (tools/train.js) and loaded from a JSON policy file.
+ *
+ * Each decision offers a few kinds of card:
+ *   first  - pair (half of a remembered pair), known (remembered, partner
+ *            unknown) or unknown (not remembered)
+ *   second - partner (remembered match for the first card), known or unknown
+ * Every kind has a weight per feature of the position; the weighted sums are
+ * turned into probabilities with a softmax over the kinds on offer.
+ *
+ * Policy file format (version 1):
+ * {
+ *   "format": "memorymind-policy",
+ *   "version": 1,
+ *   "features": ["bias", "pairKnown", "known", "unknown", "pairsLeft", "knownRatio", "knownOdd"],
+ *   "weights": { "first": { "pair": [...], "known": [...], "unknown": [...] },
+ *                "second": { "partner": [...], "known": [...], "unknown": [...] } },
+ *   "training": { "games": 20000, "board": "beginner", "difficulty": "expert", "rate": 0.05, "seed": "training" }
+ * }
+ */
+class LearnedPolicy {
+    static FORMAT = 'memorymind-policy';
+    static VERSION = 1;
+    static FEATURES = ['bias', 'pairKnown', 'known', 'unknown', 'pairsLeft', 'knownRatio', 'knownOdd'];
+    static ACTIONS = {
+        first: ['pair', 'known', 'unknown'],
+        second: ['partner', 'known', 'unknown']
+    };
+
+    /**
+     * @param {Object} weights - Weights per decision and action (optional, all zero)
+     * @param {Object} training - How the weights were trained (optional)
+     */
+    constructor(weights = {}, training = null) {
+        this.weights = {};
+        Object.entries(LearnedPolicy.ACTIONS).forEach(([decision, actions]) => {
+            this.weights[decision] = {};
+            actions.forEach(action => {
+                const given = weights[decision]?.[action];
+                this.weights[decision][action] = Array.isArray(given)
+                    ? [...given]
+                    : new Array(LearnedPolicy.FEATURES.length).fill(0);
+            });
+        });
+        this.training = training;
+        this.sampling = false; // Sample actions by their probability instead of taking the likeliest
+    }
+
+    /**
+     * Describe a position as features
+     * @param {Object} view - { pairs, known, unknown, pairKnown, totalPairs } as the player sees it
+     * @returns {Array} - Feature values in FEATURES order
+     */
+    static features({ pairs, known, unknown, pairKnown, totalPairs }) {
+        return [
+            1,
+            pairKnown ? 1 : 0,
+            pairs > 0 ? known / pairs : 0,
+            pairs > 0 ? unknown / (2 * pairs) : 0,
+            totalPairs > 0 ? pairs / totalPairs : 0,
+            known / Math.max(1, unknown),
+            known % 2 // Whether a known card is worth flipping often turns on parity
+        ];
+    }
+
+    /**
+     * Get the probability of each action on offer
+     * @param {string} decision - 'first' or 'second'
+     * @param {Array} features - Feature values
+     * @param {Array} actions - Actions on offer
+     * @returns {Array} - Probabilities in the order of actions
+     */
+    probabilities(decision, features, actions) {
+        const scores = actions.map(action => this.weights[decision][action]
+            .reduce((sum, weight, index) => sum + weight * features[index], 0));
+        const max = Math.max(...scores);
+        const exps = scores.map(score => Math.exp(score - max));
+        const total = exps.reduce((sum, value) => sum + value, 0);
+        return exps.map(value => value / total);
+    }
+
+    /**
+     * Choose an action
+     * @param {string} decision - 'first' or 'second'
+     * @param {Array} features - Feature values
+     * @param {Array} actions - Actions on offer
+     * @param {Function} random - Random source, used when sampling
+     * @returns {Object} - { action, probability, probabilities }
+     */
+    choose(decision, features, actions, random = Math.random) {
+        const probabilities = this.probabilities(decision, features, actions);
+        let chosen = probabilities.indexOf(Math.max(...probabilities));
+
+        if (this.sampling) {
+            let roll = random();
+            chosen = probabilities.findIndex(probability => (roll -= probability) < 0);
+            if (chosen === -1) {
+                chosen = probabilities.length - 1;
+            }
+        }
+
+        return { action: actions[chosen], probability: probabilities[chosen], probabilities };
+    }
+
+    /**
+     * Move the weights along the policy gradient of one decision (REINFORCE)
+     * @param {Object} step - { decision, features, actions, chosen, probabilities } as recorded in play
+     * @param {number} advantage - How much better than expected the game went
+     * @param {number} learningRate - Step size
+     */
+    update({ decision, features, actions, chosen, probabilities }, advantage, learningRate) {
+        actions.forEach((action, index) => {
+            const gradient = (action === chosen ? 1 : 0) - probabilities[index];
+            const weights = this.weights[decision][action];
+            features.forEach((value, feature) => {
+                weights[feature] += learningRate * advantage * gradient * value;
+            });
+        });
+    }
+
+    /**
+     * Capture the policy as a JSON policy file
+     * @returns {Object} - Policy file contents
+     */
+    toJSON() {
+        const round = value => Math.round(value * 10000) / 10000;
+        return {
+            format: LearnedPolicy.FORMAT,
+            version: LearnedPolicy.VERSION,
+            features: LearnedPolicy.FEATURES,
+            weights: Object.fromEntries(Object.entries(this.weights).map(([decision, actions]) => [
+                decision,
+                Object.fromEntries(Object.entries(actions).map(([action, weights]) => [action, weights.map(round)]))
+            ])),
+            training: this.training
+        };
+    }
+
+    /**
+     * Check that a policy file matches the format
+     * @param {Object} json - Parsed policy file
+     * @returns {boolean} - Whether the file can be loaded
+     */
+    static isValid(json) {
+        if (json?.format !== LearnedPolicy.FORMAT || json.version !== LearnedPolicy.VERSION ||
+            JSON.stringify(json.features) !== JSON.stringify(LearnedPolicy.FEATURES)) {
+            return false;
+        }
+
+        return Object.entries(LearnedPolicy.ACTIONS).every(([decision, actions]) =>
+            actions.every(action => {
+                const weights = json.weights?.[decision]?.[action];
+                return Array.isArray(weights) && weights.length === LearnedPolicy.FEATURES.length &&
+                    weights.every(Number.isFinite);
+            }));
+    }
+
+    /**
+     * Create a policy from a policy file
+     * @param {Object} json - Parsed policy file
+     * @returns {LearnedPolicy|null} - Policy, or null if the file is invalid
+     */
+    static fromJSON(json) {
+        return LearnedPolicy.isValid(json) ? new LearnedPolicy(json.weights, json.training || null) : null;
+    }
+
+    /**
+     * Fetch a policy file
+     * @param {string} url - Location of the policy file
+     * @returns {Promise<LearnedPolicy>} - Policy; rejects if it can't be fetched or is invalid
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Policy file ${url} returned ${response.status}`);
+        }
+
+        const policy = LearnedPolicy.fromJSON(await response.json());
+        if (!policy) {
+            throw new Error(`Policy file ${url} is not a valid policy`);
+        }
+        return policy;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LearnedPolicy;
+}
@@ -0,0 +1,276 @@
+/**
+ * Move Recorder for MemoryMind AI
+ * Records every flip, match and turn change of a game as a shareable JSON document
+ *
+ * Recording format (version 1):
+ * {
+ *   "format": "memorymind-recording",
+ *   "version": 1,
+ *   "dealCode": "B-7K2M9Q",
+ *   "difficulty": "beginner",
+ *   "rule": "pairs",
+ *   "deck": "emoji",
+ *   "mode": "versus",
+ *   "rows": 4,
+ *   "cols": 4,
+ *   "seats": [{ "id": "player", "name": "Player", "type": "human" }, { "id": "ai", "name": "AI", "type": "ai" }],
+ *   "cards": [{ "symbol": "⭐", "symbolName": "star", "pairId": 0 }, ...],
+ *   "recordedAt": "2026-01-01T12:00:00.000Z",
+ *   "events": [
+ *     { "t": 1200, "type": "flip", "player": "player", "card": 3 },
+ *     { "t": 2100, "type": "match", "player": "player", "cards": [3, 9] },
+ *     { "t": 5400, "type": "mismatch", "player": "player", "cards": [1, 4] },
+ *     { "t": 6900, "type": "hide", "player": "player", "cards": [1, 4] },
+ *     { "t": 6900, "type": "turn", "player": "ai" },
+ *     { "t": 9800, "type": "hint", "player": "player", "cards": [5], "penalty": 0.5 },
+ *     { "t": 48000, "type": "gameOver", "result": { "winner": "ai", "scores": { "player": 3, "ai": 5 }, ... } }
+ *   ]
+ * }
+ *
+ * Header fields:
+ *   rule     - match rule (see rules.js), "pairs" when missing
+ *   deck     - deck the faces came from (see decks.js)
+ *   mode     - game mode (see modes.js), "versus" when missing
+ *   seats    - players in turn order, just one in a solo game
+ *   cards    - the board in index order, each card with:
+ *     filler   - true for the blank cards in the middle, in cells the rule can't use
+ *     family   - family of the card under the families rule
+ *     odd      - true for the unmatched cards of the odd-one-out rule
+ *     pairKey  - key shared by both cards of a pair in any deck but emoji
+ *     face     - how the card is drawn in any deck but emoji
+ *     image    - picture of a picture card, as a data URL
+ *
+ * Event fields:
+ *   t        - milliseconds since the deal
+ *   player   - id of a seat in "seats"
+ *   penalty  - points a hint cost its player
+ *   result   - the game result; its "reason" is "time" or "flips" when a solo game ran out
+ */
+class GameRecorder {
+    static FORMAT = 'memorymind-recording';
+    static VERSION = 1;
+
+    constructor(engine) {
+        this.engine = engine;
+        this.recording = null;
+        this.startTime = Date.now();
+
+        this.bindEngineEvents();
+    }
+
+    /**
+     * Subscribe to the engine events that make up a recording
+     */
+    bindEngineEvents() {
+        this.engine.on('gameStarted', (game) => {
+            // Resumed games continue the recording saved with them
+            if (!game.restored) {
+                this.start(game);
+            }
+        });
+
+        this.engine.on('cardFlipped', ({ cardIndex, player }) => {
+            this.record({ type: 'flip', player, card: cardIndex });
+        });
+
+        this.engine.on('match', ({ cards, player }) => {
+            this.record({ type: 'match', player, cards: [...cards] });
+        });
+
+        this.engine.on('mismatch', ({ cards, player }) => {
+            this.record({ type: 'mismatch', player, cards: [...cards] });
+        });
+
+        this.engine.on('cardsHidden', ({ cards, player }) => {
+            this.record({ type: 'hide', player, cards: [...cards] });
+        });
+
+        this.engine.on('hintUsed', ({ player, cards, penalty }) => {
+            this.record({ type: 'hint', player, cards: [...cards], penalty });
+        });
+
+        this.engine.on('turnChanged', ({ currentPlayer }) => {
+            this.record({ type: 'turn', player: currentPlayer });
+        });
+
+        this.engine.on('gameOver', (result) => {
+            this.record({ type: 'gameOver', result });
+        });
+    }
+
+    /**
+     * Begin a fresh recording for a newly dealt game
+     * @param {Object} game - Payload of the engine's gameStarted event
+     */
+    start(game) {
+        this.startTime = Date.now();
+        this.recording = {
+            format: GameRecorder.FORMAT,
+            version: GameRecorder.VERSION,
+            dealCode: game.dealCode,
+            difficulty: this.engine.state.difficulty,
+            rule: game.rule,
+            deck: game.deck,
+            mode: game.mode,
+            rows: game.rows,
+            cols: game.cols,
+            seats: game.seats,
+            cards: game.cards.map(card => ({ ...card })),
+            recordedAt: new Date(this.startTime).toISOString(),
+            events: []
+        };
+    }
+
+    /**
+     * Continue a recording saved with a resumed game
+     * @param {Object} recording - Saved recording
+     * @param {number} elapsedSeconds - Time already played
+     */
+    resume(recording, elapsedSeconds = 0) {
+        if (!GameRecorder.isValid(recording)) {
+            this.recording = null;
+            return;
+        }
+
+        this.recording = recording;
+        this.startTime = Date.now() - elapsedSeconds * 1000;
+    }
+
+    /**
+     * Append an event to the current recording
+     * @param {Object} event - Event without timestamp
+     */
+    record(event) {
+        if (!this.recording) return;
+
+        this.recording.events.push({
+            t: Date.now() - this.startTime,
+            ...event
+        });
+    }
+
+    /**
+     * Get the current recording
+     * @returns {Object|null} - Recording, or null if nothing has been dealt
+     */
+    getRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Serialize a recording for export
+     * @param {Object} recording - Recording to export
+     * @returns {string} - Pretty-printed JSON
+     */
+    static toJSON(recording) {
+        return JSON.stringify(recording, null, 2);
+    }
+
+    /**
+     * Parse and validate an imported recording
+     * @param {string} json - JSON text
+     * @returns {Object|null} - Recording, or null if the text isn't a valid recording
+     */
+    static fromJSON(json) {
+        try {
+            const recording = JSON.parse(json);
+            return GameRecorder.isValid(recording) ? recording : null;
+        } catch (error) {
+            console.warn('Failed to parse recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check that an object is a recording this version can replay
+     * @param {Object} recording - Candidate recording
+     * @returns {boolean} - Whether the recording is valid
+     */
+    static isValid(recording) {
+        if (!recording || recording.format !== GameRecorder.FORMAT ||
+            recording.version !== GameRecorder.VERSION) {
+            return false;
+        }
+
+        const mode = recording.mode || GameModes.DEFAULT;
+        if (!GameModes.has(mode)) {
+            return false;
+        }
+
+        const { minSeats, maxSeats } = GameModes.create(mode);
+        const cardCount = recording.rows * recording.cols;
+        if (!Array.isArray(recording.cards) || recording.cards.length !== cardCount ||
+            !Array.isArray(recording.events) || !GameEngine.normalizeSeats(recording.seats, minSeats, maxSeats) ||
+            (recording.rule !== undefined && !MatchRules.has(recording.rule)) ||
+            !recording.cards.every(card => card.image === undefined || String(card.image).startsWith('data:image/'))) {
+            return false;
+        }
+
+        const isCard = index => Number.isInteger(index) && index >= 0 && index < cardCount;
+        return recording.events.every(event => {
+            switch (event.type) {
+                case 'flip':
+                    return isCard(event.card);
+                case 'match':
+                case 'mismatch':
+                case 'hide':
+                    return Array.isArray(event.cards) && event.cards.every(isCard);
+                case 'hint':
+                    return Array.isArray(event.cards) && event.cards.every(isCard) && event.penalty >= 0;
+                case 'turn':
+                case 'gameOver':
+                    return true;
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * Reconstruct the board after a number of recorded events
+     * @param {Object} recording - Recording to replay
+     * @param {number} position - Number of events applied
+     * @returns {Object} - { faceUp, matched, scores, currentPlayer, result }
+     */
+    static getStateAt(recording, position) {
+        const state = {
+            faceUp: new Set(),
+            matched: new Set(),
+            scores: Object.fromEntries(recording.seats.map(seat => [seat.id, 0])),
+            currentPlayer: recording.seats[0].id,
+            result: null
+        };
+
+        recording.events.slice(0, position).forEach(event => {
+            switch (event.type) {
+                case 'flip':
+                    state.faceUp.add(event.card);
+                    state.currentPlayer = event.player;
+                    break;
+                case 'match':
+                    event.cards.forEach(card => state.matched.add(card));
+                    state.scores[event.player] = (state.scores[event.player] || 0) + 1;
+                    break;
+                case 'hide':
+                    event.cards.forEach(card => state.faceUp.delete(card));
+                    break;
+                case 'hint':
+                    state.scores[event.player] = (state.scores[event.player] || 0) - event.penalty;
+                    break;
+                case 'turn':
+                    state.currentPlayer = event.player;
+                    break;
+                case 'gameOver':
+                    state.result = event.result;
+                    break;
+            }
+        });
+
+        return state;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRecorder;
+}
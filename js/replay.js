@@ -0,0 +1,293 @@
+/**
+ * Replay Viewer for MemoryMind AI
+ * Steps through a recorded game on the main board with play/pause, step and scrub controls
+ */
+class ReplayViewer {
+    constructor(ui) {
+        this.ui = ui;
+        this.recording = null;
+        this.position = 0; // Number of recorded events applied to the board
+        this.isOpen = false;
+        this.isPlaying = false;
+        this.isStepping = false;
+        this.speed = 1;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.elements = {
+            panel: document.getElementById('replay-panel'),
+            dealCode: document.getElementById('replay-deal-code'),
+            closeBtn: document.getElementById('replay-close'),
+            startBtn: document.getElementById('replay-start'),
+            backBtn: document.getElementById('replay-back'),
+            playBtn: document.getElementById('replay-play'),
+            forwardBtn: document.getElementById('replay-forward'),
+            endBtn: document.getElementById('replay-end'),
+            scrub: document.getElementById('replay-scrub'),
+            position: document.getElementById('replay-position'),
+            speed: document.getElementById('replay-speed'),
+            exportBtn: document.getElementById('replay-export'),
+            importBtn: document.getElementById('replay-import'),
+            fileInput: document.getElementById('replay-file')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.closeBtn?.addEventListener('click', () => this.close());
+        this.elements.startBtn?.addEventListener('click', () => this.seek(0));
+        this.elements.backBtn?.addEventListener('click', () => this.seek(this.position - 1));
+        this.elements.playBtn?.addEventListener('click', () => this.togglePlay());
+        this.elements.forwardBtn?.addEventListener('click', () => {
+            this.pause();
+            this.stepForward();
+        });
+        this.elements.endBtn?.addEventListener('click', () => this.seek(this.recording?.events.length || 0));
+
+        this.elements.scrub?.addEventListener('input', () => {
+            this.seek(parseInt(this.elements.scrub.value, 10));
+        });
+
+        this.elements.speed?.addEventListener('change', () => {
+            this.speed = parseFloat(this.elements.speed.value) || 1;
+        });
+
+        this.elements.exportBtn?.addEventListener('click', () => this.exportRecording());
+        this.elements.importBtn?.addEventListener('click', () => this.elements.fileInput?.click());
+        this.elements.fileInput?.addEventListener('change', () => {
+            const file = this.elements.fileInput.files[0];
+            if (file) {
+                this.importRecording(file);
+            }
+            this.elements.fileInput.value = '';
+        });
+    }
+
+    /**
+     * Open the viewer with a recording
+     * @param {Object} recording - Recording to replay
+     */
+    open(recording) {
+        this.isOpen = true;
+        this.elements.panel?.classList.remove('hidden');
+        this.load(recording);
+        GameUtils.eventEmitter.emit('replayOpened');
+    }
+
+    /**
+     * Close the viewer and hand the board back to the game
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.pause();
+        this.isOpen = false;
+        this.elements.panel?.classList.add('hidden');
+        GameUtils.eventEmitter.emit('replayClosed');
+    }
+
+    /**
+     * Load a recording and show its starting position
+     * @param {Object} recording - Recording to replay
+     */
+    load(recording) {
+        this.pause();
+        this.recording = recording;
+
+        if (this.elements.scrub) {
+            this.elements.scrub.max = recording.events.length;
+        }
+        if (this.elements.dealCode) {
+            this.elements.dealCode.textContent = recording.dealCode || '';
+        }
+        this.ui.applyCardBack(CardDecks.getBack(recording.deck));
+
+        this.seek(0);
+    }
+
+    /**
+     * Jump to a position without animation
+     * @param {number} position - Number of events to apply
+     */
+    seek(position) {
+        if (!this.recording) return;
+
+        this.pause();
+        this.position = Math.max(0, Math.min(position, this.recording.events.length));
+        this.renderPosition();
+    }
+
+    /**
+     * Rebuild the board for the current position
+     */
+    renderPosition() {
+        const { rows, cols, cards } = this.recording;
+        const state = GameRecorder.getStateAt(this.recording, this.position);
+
+        this.ui.setSeats(this.recording.seats);
+        this.ui.createGameBoard(rows, cols, cards);
+        state.faceUp.forEach(cardIndex => this.ui.flipCard(cardIndex, false));
+        state.matched.forEach(cardIndex => this.ui.flipCard(cardIndex, false));
+        this.ui.updateScore(state.scores);
+        this.ui.updateTurnIndicator(state.currentPlayer);
+
+        this.updateControls();
+    }
+
+    /**
+     * Apply the next recorded event with animation
+     */
+    async stepForward() {
+        if (!this.recording || this.isStepping ||
+            this.position >= this.recording.events.length) {
+            return;
+        }
+
+        this.isStepping = true;
+        const event = this.recording.events[this.position];
+        this.position++;
+        this.updateControls();
+
+        switch (event.type) {
+            case 'flip':
+                await this.ui.flipCard(event.card);
+                break;
+            case 'match': {
+                await this.ui.markCardsAsMatched(event.cards);
+                const { scores } = GameRecorder.getStateAt(this.recording, this.position);
+                this.ui.updateScore(scores);
+                break;
+            }
+            case 'hide':
+                for (const cardIndex of event.cards) {
+                    await this.ui.flipCardBack(cardIndex);
+                }
+                break;
+            case 'turn':
+                this.ui.updateTurnIndicator(event.player);
+                break;
+            case 'hint': {
+                const { scores } = GameRecorder.getStateAt(this.recording, this.position);
+                this.ui.updateScore(scores);
+                this.ui.showHint({ type: 'replay', cards: event.cards });
+                break;
+            }
+            case 'gameOver':
+                this.ui.updateStatusMessage(`Replay finished: ${this.ui.getResultTitle(event.result)}`, 'info');
+                break;
+        }
+
+        this.isStepping = false;
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Play the recording from the current position, paced by its timestamps
+     */
+    async play() {
+        if (!this.recording || this.isPlaying) return;
+
+        if (this.position >= this.recording.events.length) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.updateControls();
+
+        while (this.isPlaying && this.position < this.recording.events.length) {
+            const previous = this.recording.events[this.position - 1];
+            const next = this.recording.events[this.position];
+            const gap = previous ? next.t - previous.t : 0;
+
+            // Keep long pauses watchable and bursts visible
+            await GameUtils.delay(Math.min(Math.max(gap, 200), 2000) / this.speed);
+            if (!this.isPlaying) break;
+
+            await this.stepForward();
+        }
+
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    /**
+     * Sync the controls with the current position
+     */
+    updateControls() {
+        const total = this.recording ? this.recording.events.length : 0;
+
+        if (this.elements.scrub) {
+            this.elements.scrub.value = this.position;
+        }
+        if (this.elements.position) {
+            this.elements.position.textContent = `${this.position} / ${total}`;
+        }
+        if (this.elements.playBtn) {
+            this.elements.playBtn.textContent = this.isPlaying ? '⏸' : '▶';
+            this.elements.playBtn.setAttribute('aria-label', this.isPlaying ? 'Pause replay' : 'Play replay');
+        }
+    }
+
+    /**
+     * Download the loaded recording as a JSON file
+     */
+    exportRecording() {
+        if (!this.recording) return;
+
+        const blob = new Blob([GameRecorder.toJSON(this.recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `memorymind-${this.recording.dealCode || 'replay'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a recording from a JSON file chosen by the user
+     * @param {File} file - Selected file
+     */
+    async importRecording(file) {
+        const recording = GameRecorder.fromJSON(await file.text());
+        if (!recording) {
+            this.ui.updateStatusMessage('That file is not a valid MemoryMind recording.', 'error');
+            return;
+        }
+
+        this.load(recording);
+        this.ui.updateStatusMessage(`Loaded replay of deal ${recording.dealCode || ''}.`, 'success');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayViewer;
+}
@@ -0,0 +1,261 @@
+/**
+ * Match Rules for MemoryMind AI
+ * A rule decides how many cards a turn flips, which cards are dealt and when
+ * the flipped cards match, dealing faces from the active deck (see decks.js).
+ * GameEngine deals and scores by the active rule, and AIs remember each card
+ * by the rule's match key, so cards that match share a key.
+ */
+class MatchRule {
+    static description = 'Click two cards to find matching pairs!';
+
+    constructor() {
+        this.setSize = 2; // Cards flipped per turn
+    }
+
+    /**
+     * Get how many cells of a board are dealt; the rest get a filler card
+     * @param {number} cells - Cells on the board
+     * @returns {number} - Cards dealt
+     */
+    getCardCount(cells) {
+        return cells - (cells % this.setSize);
+    }
+
+    /**
+     * Get how many matches clear a board
+     * @param {number} cells - Cells on the board
+     * @returns {number} - Matches needed
+     */
+    getSetCount(cells) {
+        return this.getCardCount(cells) / this.setSize;
+    }
+
+    /**
+     * Create the cards for a deal, unshuffled; a set of more than two cards
+     * repeats its pair's faces
+     * @param {number} cardCount - Cards to deal, from getCardCount()
+     * @param {CardDeck} deck - Deck supplying the faces of each pair
+     * @returns {Array} - Card data: { symbol, symbolName, pairId, ... }
+     */
+    createDeck(cardCount, deck = new CardDecks.Base()) {
+        const cards = [];
+        for (let i = 0; i < cardCount / this.setSize; i++) {
+            const faces = deck.getFaces(i);
+            for (let copy = 0; copy < this.setSize; copy++) {
+                cards.push({ ...faces[copy % faces.length], pairId: i });
+            }
+        }
+        return cards;
+    }
+
+    /**
+     * Create a card showing a symbol from the catalogue
+     * @param {number} symbolIndex - Index into GAME_CONSTANTS.SYMBOLS
+     * @param {number} pairId - Cards with the same pairId match
+     * @returns {Object} - Card data
+     */
+    static createCard(symbolIndex, pairId) {
+        return {
+            symbol: GameUtils.GAME_CONSTANTS.SYMBOLS[symbolIndex],
+            symbolName: GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[symbolIndex],
+            pairId
+        };
+    }
+
+    /**
+     * Get what a player has to remember about a card to match it
+     * @param {Object} card - Card data
+     * @returns {string} - Match key; cards that match share it, so the two faces
+     *   of a study pair share their pairKey
+     */
+    getMatchKey(card) {
+        return card.pairKey || card.symbol;
+    }
+
+    /**
+     * Check whether the flipped cards match
+     * @param {Array} cards - Card data of the flipped cards
+     * @returns {boolean} - Whether they match
+     */
+    isMatch(cards) {
+        return cards.every(card => card.pairId === cards[0].pairId);
+    }
+}
+
+/**
+ * Classic Concentration: flip two, match two of a kind
+ */
+class PairRule extends MatchRule {}
+
+/**
+ * Flip three, match three of a kind
+ */
+class TripleRule extends MatchRule {
+    static description = 'Click three cards to find three of a kind!';
+
+    constructor() {
+        super();
+        this.setSize = 3;
+    }
+}
+
+/**
+ * Flip two, match any two cards of the same family (shapes, animals, ...),
+ * so one card can match many others. Families come from the emoji, so this
+ * rule always deals emoji whatever the deck.
+ */
+class FamilyRule extends MatchRule {
+    static description = 'Click two cards of the same family, like two animals or two shapes!';
+
+    /**
+     * Deal pairs family by family, each pair two different members of its family
+     * @param {number} cardCount - Cards to deal
+     * @returns {Array} - Card data with the family name
+     */
+    createDeck(cardCount) {
+        const { SYMBOL_NAMES, SYMBOL_FAMILIES } = GameUtils.GAME_CONSTANTS;
+        const families = Object.entries(SYMBOL_FAMILIES);
+        const cards = [];
+
+        for (let i = 0; i < cardCount / 2; i++) {
+            const familyIndex = i % families.length;
+            const [family, members] = families[familyIndex];
+            const dealt = Math.floor(i / families.length) * 2; // Members of this family dealt so far
+            [dealt, dealt + 1].forEach(member => {
+                const symbolIndex = SYMBOL_NAMES.indexOf(members[member % members.length]);
+                cards.push({ ...MatchRule.createCard(symbolIndex, familyIndex), family });
+            });
+        }
+        return cards;
+    }
+
+    getMatchKey(card) {
+        return card.family;
+    }
+}
+
+/**
+ * Flip two, match two of a kind, but a card or two has no partner and can
+ * never be matched
+ */
+class OddOneOutRule extends MatchRule {
+    static description = 'Click two cards to find matching pairs, but watch out: some cards have no partner!';
+
+    /**
+     * Get how many unmatched cards a board hides
+     * @param {number} cells - Cells on the board
+     * @returns {number} - One on an odd board, two on an even one
+     */
+    static getOddCount(cells) {
+        return cells % 2 === 1 ? 1 : 2;
+    }
+
+    getCardCount(cells) {
+        return cells;
+    }
+
+    getSetCount(cells) {
+        return (cells - OddOneOutRule.getOddCount(cells)) / 2;
+    }
+
+    /**
+     * Deal the pairs, then the odd cards: one face of pairs no other card belongs to
+     * @param {number} cardCount - Cards to deal
+     * @param {CardDeck} deck - Deck supplying the faces of each pair
+     * @returns {Array} - Card data; odd cards are marked odd
+     */
+    createDeck(cardCount, deck = new CardDecks.Base()) {
+        const pairs = this.getSetCount(cardCount);
+        const cards = super.createDeck(pairs * 2, deck);
+        for (let i = 0; i < OddOneOutRule.getOddCount(cardCount); i++) {
+            cards.push({ ...deck.getFaces(pairs + i)[0], pairId: pairs + i, odd: true });
+        }
+        return cards;
+    }
+}
+
+/**
+ * Registry of match rules by name
+ */
+class MatchRules {
+    static Base = MatchRule;
+    static DEFAULT = 'pairs';
+    static registry = new Map();
+
+    /**
+     * Register a rule so it can be chosen for a game
+     * @param {string} name - Unique rule name
+     * @param {Function} RuleClass - Subclass of MatchRule
+     * @param {string} label - Name shown to players
+     * @param {string} code - Letter marking the rule in deal codes (the default rule has none)
+     */
+    static register(name, RuleClass, label = name, code = '') {
+        MatchRules.registry.set(name, { RuleClass, label, code });
+    }
+
+    /**
+     * Check whether a rule is registered
+     * @param {string} name - Rule name
+     * @returns {boolean} - Whether it exists
+     */
+    static has(name) {
+        return MatchRules.registry.has(name);
+    }
+
+    /**
+     * Create a rule
+     * @param {string} name - Rule name
+     * @returns {MatchRule} - Rule instance
+     */
+    static create(name) {
+        const { RuleClass } = MatchRules.registry.get(name);
+        return new RuleClass();
+    }
+
+    /**
+     * Get the deal code letter of a rule
+     * @param {string} name - Rule name
+     * @returns {string} - Letter, or '' for the default rule
+     */
+    static getCode(name) {
+        return MatchRules.registry.get(name)?.code || '';
+    }
+
+    /**
+     * Get what players are told a rule asks of them
+     * @param {string} name - Rule name
+     * @returns {string} - Description, the default rule's for unknown names
+     */
+    static getDescription(name) {
+        const entry = MatchRules.registry.get(name) || MatchRules.registry.get(MatchRules.DEFAULT);
+        return entry.RuleClass.description;
+    }
+
+    /**
+     * Find a rule by its deal code letter
+     * @param {string} code - Letter from a deal code ('' for the default rule)
+     * @returns {string|undefined} - Rule name
+     */
+    static fromCode(code) {
+        return Array.from(MatchRules.registry.entries())
+            .find(([, entry]) => entry.code === code)?.[0];
+    }
+
+    /**
+     * List registered rules
+     * @returns {Array} - Entries of { name, label }
+     */
+    static list() {
+        return Array.from(MatchRules.registry.entries()).map(([name, { label }]) => ({ name, label }));
+    }
+}
+
+MatchRules.register('pairs', PairRule, 'Pairs');
+MatchRules.register('triples', TripleRule, 'Triples', 'T');
+MatchRules.register('families', FamilyRule, 'Families', 'F');
+MatchRules.register('oddOneOut', OddOneOutRule, 'Odd one out', 'O');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchRules;
+}
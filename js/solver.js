@@ -0,0 +1,108 @@
+/**
+ * Memory Solver for MemoryMind AI
+ * Optimal play for two players who both remember every card they have seen.
+ *
+ * With perfect memory a position is just (pairs, known): the pairs left on the
+ * board and the face-down cards whose symbol is known but whose partner is
+ * not (a known pair is always taken at once). The value of a position is the
+ * expected final score margin of the player to move under best play by both
+ * sides, found by dynamic programming over these two numbers.
+ *
+ * Each turn the player to move either
+ *   - explores: flips an unknown card, takes the pair if it matches a known
+ *     card, and otherwise chooses the second card:
+ *       'unknown' - flips another unknown card, hoping for a match but maybe
+ *                   revealing a pair to the opponent
+ *       'known'   - flips a known card, giving away only the first card
+ *   - or passes: flips two known cards, revealing nothing. If passing is best
+ *     the opponent faces the same position and would pass too, so such a
+ *     position is worth 0 to both.
+ */
+class MemorySolver {
+    static values = [[0]]; // values[pairs][known]
+    static moves = [[null]]; // moves[pairs][known] = { first, second }
+
+    /**
+     * Fill the tables up to a number of pairs
+     * @param {number} pairs - Pairs on the board
+     */
+    static solve(pairs) {
+        const { values, moves } = MemorySolver;
+
+        for (let n = values.length; n <= pairs; n++) {
+            values[n] = [];
+            moves[n] = [];
+
+            // Each position depends on fewer pairs or more known cards
+            for (let k = n; k >= 0; k--) {
+                const unknown = 2 * n - k;
+                let explore = 0;
+                let second = null;
+
+                // The first card completes a pair with a known card
+                if (k > 0) {
+                    explore += (k / unknown) * (1 + values[n - 1][k - 1]);
+                }
+
+                // The first card is new
+                if (unknown > k) {
+                    const others = unknown - 1;
+                    let flipUnknown = (1 / others) * (1 + values[n - 1][k]);
+                    if (k > 0) {
+                        flipUnknown -= (k / others) * (1 + values[n - 1][k]);
+                    }
+                    if (others - 1 - k > 0) {
+                        flipUnknown -= ((others - 1 - k) / others) * values[n][k + 2];
+                    }
+
+                    const flipKnown = k > 0 ? -values[n][k + 1] : -Infinity;
+                    second = flipKnown > flipUnknown ? 'known' : 'unknown';
+                    explore += ((unknown - k) / unknown) * Math.max(flipUnknown, flipKnown);
+                }
+
+                const canPass = k >= 2;
+                const pass = canPass && explore < 0;
+                values[n][k] = pass ? 0 : explore;
+                moves[n][k] = { first: pass ? 'pass' : 'explore', second, explore };
+            }
+        }
+    }
+
+    /**
+     * Check whether the solver applies to a deal: it models every symbol being
+     * dealt exactly twice, so not triples, families or odd cards
+     * @param {Object} deck - Number of cards per symbol (or match key)
+     * @returns {boolean} - Whether the deck is made of pairs
+     */
+    static covers(deck) {
+        return Object.values(deck).every(count => count === 2);
+    }
+
+    /**
+     * Get the value of a position for the player to move
+     * @param {number} pairs - Pairs left on the board
+     * @param {number} known - Known cards whose partner is unknown
+     * @returns {number} - Expected final score margin
+     */
+    static value(pairs, known) {
+        MemorySolver.solve(pairs);
+        return MemorySolver.values[pairs][known];
+    }
+
+    /**
+     * Get the best move in a position
+     * @param {number} pairs - Pairs left on the board
+     * @param {number} known - Known cards whose partner is unknown
+     * @returns {Object} - { first: 'explore'|'pass', second: 'unknown'|'known'|null, explore }
+     *   where second is the choice after a new first card and explore is the value of exploring
+     */
+    static bestMove(pairs, known) {
+        MemorySolver.solve(pairs);
+        return MemorySolver.moves[pairs][known];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemorySolver;
+}
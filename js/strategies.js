@@ -0,0 +1,649 @@
+/**
+ * AI Strategies for MemoryMind AI
+ * A MemoryAI keeps what it has seen; its strategy decides which cards to flip.
+ * New opponents are added by registering a strategy, without editing MemoryAI.
+ */
+
+/**
+ * Strategy interface. Subclasses override chooseFirstCard and chooseSecondCard
+ * and may keep their own state through reset, observe and recordMoveResult.
+ * `this.ai` is the owning MemoryAI, whose memory, board and random source a
+ * strategy may read. Strategies say why they picked a card with explain(),
+ * which the reasoning overlay shows.
+ */
+class AIStrategy {
+    constructor(ai) {
+        this.ai = ai;
+        this.reasoning = []; // Steps explained so far this turn
+        this.reset();
+    }
+
+    /**
+     * Forget everything about the previous game
+     */
+    reset() {}
+
+    /**
+     * See a card being revealed
+     * @param {number} cardIndex - Index of the revealed card
+     * @param {string} symbol - Symbol on the card
+     * @param {boolean} isPlayerMove - Whether a human revealed it
+     */
+    observe(cardIndex, symbol, isPlayerMove) {}
+
+    /**
+     * Learn the outcome of a move
+     * @param {Array} cards - Indices of the cards flipped, in order
+     * @param {boolean} wasMatch - Whether the cards matched
+     * @param {Array} symbols - Match keys of the cards
+     */
+    recordMoveResult(cards, wasMatch, symbols) {}
+
+    /**
+     * Pick the first card of a turn
+     * @param {Array} availableCards - Available card indices
+     * @returns {number} - Card index
+     */
+    chooseFirstCard(availableCards) {
+        throw new Error(`${this.constructor.name} must implement chooseFirstCard`);
+    }
+
+    /**
+     * Pick the second card of a turn, after the first has been turned over; also
+     * picks any further cards when the match rule flips more than two
+     * @param {Array} availableCards - Available card indices, including the first card
+     * @param {number} firstCard - Index of the first card
+     * @param {string} firstSymbol - Symbol revealed on the first card
+     * @returns {number} - Card index
+     */
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        throw new Error(`${this.constructor.name} must implement chooseSecondCard`);
+    }
+
+    /**
+     * Capture strategy state for a saved game
+     * @returns {*} - JSON-serializable state, or null if there is none
+     */
+    serialize() {
+        return null;
+    }
+
+    /**
+     * Restore strategy state from serialize()
+     * @param {*} state - Saved state
+     */
+    restore(state) {}
+
+    /**
+     * Record why a card was picked
+     * @param {string} reason - Reason id, e.g. 'knownPair', 'probability' or 'exploration'
+     * @param {Object} details - Extra data such as { cards, candidates } (optional)
+     */
+    explain(reason, details = {}) {
+        this.reasoning.push({ reason, ...details });
+    }
+
+    /**
+     * Pick a random card other than one to skip
+     * @param {Array} cards - Candidate card indices
+     * @param {number} exclude - Card index to skip (optional)
+     * @returns {number} - Card index
+     */
+    randomCard(cards, exclude) {
+        return GameUtils.randomChoice(cards.filter(index => index !== exclude), this.ai.random);
+    }
+}
+
+/**
+ * The original MemoryAI play: take known pairs, then likely pairs from the
+ * belief state, then explore while steering around the player's
+ * favourite areas, as seen this game and in earlier ones. Plans both cards at
+ * the start of the turn and changes the second if the first card turns out to
+ * match one it remembers.
+ */
+class ProbabilisticStrategy extends AIStrategy {
+    static RELIABLE_FORGET_RATE = 0.2; // Players missing fewer seen partners than this are treated as perfect
+
+    reset() {
+        this.plannedMove = null;
+        this.firstWasKnown = false;
+        this.candidates = [];
+        this.chance = 0; // Odds of the pair chosen by probabilityBasedMove
+    }
+
+    chooseFirstCard(availableCards) {
+        this.plannedMove = this.planMove(availableCards);
+        this.firstWasKnown = this.ai.memory.has(this.plannedMove[0]);
+        return this.plannedMove[0];
+    }
+
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const memory = this.ai.memory;
+        const planned = this.plannedMove;
+        this.plannedMove = null;
+
+        // The revealed symbol may complete a pair the AI remembers
+        const partner = availableCards.find(index => index !== firstCard && memory.get(index) === firstSymbol);
+        if (partner !== undefined) {
+            this.explain('partner', { cards: [partner] });
+            return partner;
+        }
+
+        // Against players who hardly ever forget, a second unknown card mostly
+        // helps them; flip a known card when the solver says that is better
+        const known = availableCards.filter(index => index !== firstCard && memory.has(index));
+        const forgetRate = this.ai.playerModels?.getForgetRate() ?? null;
+        if (!this.firstWasKnown && this.ai.playsPairs() && forgetRate !== null &&
+            forgetRate < ProbabilisticStrategy.RELIABLE_FORGET_RATE && known.length > 0 &&
+            MemorySolver.bestMove(availableCards.length / 2, known.length).second === 'known') {
+            const card = this.randomCard(known);
+            this.explain('safeSecond', { cards: [card], forgetRate });
+            return card;
+        }
+
+        // Cautious AIs often settle for a known card rather than reveal a new one
+        const { caution } = this.ai.style;
+        if (!this.firstWasKnown && known.length > 0 && caution > 0 && this.ai.random() < caution) {
+            const card = this.randomCard(known);
+            this.explain('safeSecond', { cards: [card], caution });
+            return card;
+        }
+
+        // Otherwise follow the plan, unless it flips a card known not to match
+        if (planned && planned[0] === firstCard && planned[1] !== firstCard &&
+            availableCards.includes(planned[1]) && !memory.has(planned[1])) {
+            this.explain('plan', { cards: [planned[1]] });
+            return planned[1];
+        }
+
+        const unknown = availableCards.filter(index => index !== firstCard && !memory.has(index));
+        const card = this.randomCard(unknown.length > 0 ? unknown : availableCards, firstCard);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+
+    /**
+     * Plan both cards of the turn
+     * @param {Array} availableCards - Available card indices
+     * @returns {Array} - [firstCard, secondCard]
+     */
+    planMove(availableCards) {
+        // Strategy 1: Look for known matching pairs
+        const knownPair = this.findKnownPairs(availableCards);
+        if (knownPair) {
+            this.explain('knownPair', { cards: knownPair });
+            return knownPair;
+        }
+
+        // Strategy 2: Use probability-based exploration
+        const likelyPair = this.probabilityBasedMove(availableCards);
+        if (likelyPair) {
+            this.explain('probability', { cards: likelyPair, probability: this.chance, candidates: this.candidates });
+            return likelyPair;
+        }
+
+        // Strategy 3: Random exploration with pattern awareness
+        return this.explorationMove(availableCards);
+    }
+
+    /**
+     * Find known matching pairs in memory
+     * @param {Array} availableCards - Available card indices
+     * @returns {Array|null} - [firstCard, secondCard] or null
+     */
+    findKnownPairs(availableCards) {
+        const memory = this.ai.memory;
+        const availableMemory = availableCards.filter(index => memory.has(index));
+
+        for (let i = 0; i < availableMemory.length; i++) {
+            for (let j = i + 1; j < availableMemory.length; j++) {
+                const card1 = availableMemory[i];
+                const card2 = availableMemory[j];
+
+                if (memory.get(card1) === memory.get(card2)) {
+                    return [card1, card2];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Make probability-based move
+     * @param {Array} availableCards - Available card indices
+     * @returns {Array|null} - [firstCard, secondCard] or null
+     */
+    probabilityBasedMove(availableCards) {
+        const memory = this.ai.memory;
+
+        // Chance of each unknown card matching any remembered card, for explanations
+        const rememberedSymbols = new Set(availableCards.filter(index => memory.has(index)).map(index => memory.get(index)));
+        this.candidates = availableCards
+            .filter(index => !memory.has(index))
+            .map(index => ({
+                card: index,
+                probability: Array.from(rememberedSymbols)
+                    .reduce((sum, symbol) => sum + this.ai.getMatchProbability(index, symbol), 0)
+            }));
+
+        // Look for cards with high probability of matching known cards
+        for (const [knownIndex, knownSymbol] of memory.entries()) {
+            if (!availableCards.includes(knownIndex)) continue;
+
+            // Find unknown cards with high probability of matching
+            const candidates = availableCards
+                .filter(index => !memory.has(index))
+                .map(index => ({
+                    index,
+                    probability: this.ai.getMatchProbability(index, knownSymbol)
+                }))
+                .filter(card => card.probability > 1 - this.ai.style.riskTolerance)
+                .sort((a, b) => b.probability - a.probability);
+
+            if (candidates.length > 0) {
+                this.chance = candidates[0].probability;
+                return [knownIndex, candidates[0].index];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Make exploration move with pattern awareness
+     * @param {Array} availableCards - Available card indices
+     * @returns {Array} - [firstCard, secondCard]
+     */
+    explorationMove(availableCards) {
+        const random = this.ai.random;
+        const unknownCards = availableCards.filter(index => !this.ai.memory.has(index));
+
+        if (unknownCards.length < 2) {
+            // Fallback to random available cards
+            const firstCard = GameUtils.randomChoice(availableCards, random);
+            const move = [firstCard, this.randomCard(availableCards, firstCard)];
+            this.explain('random', { cards: move });
+            return move;
+        }
+
+        // Analyze player patterns to avoid or target certain areas
+        const patternAnalysis = this.ai.analyzePlayerPatterns();
+
+        if (patternAnalysis.confidence > 0.4 && random() < this.ai.style.blockRate) {
+            // Sometimes block player's preferred areas
+            const gridCols = this.ai.board.cols;
+            const blockedCards = unknownCards.filter(index => {
+                const row = Math.floor(index / gridCols);
+                const col = index % gridCols;
+                const area = `${Math.floor(row / 2)}-${Math.floor(col / 2)}`;
+                return patternAnalysis.predictedAreas.includes(area);
+            });
+
+            if (blockedCards.length >= 2) {
+                const firstCard = GameUtils.randomChoice(blockedCards, random);
+                const move = [firstCard, this.randomCard(blockedCards, firstCard)];
+                this.explain('blocking', { cards: move, areas: patternAnalysis.predictedAreas });
+                return move;
+            }
+        }
+
+        // Default exploration: pick two random unknown cards
+        const firstCard = GameUtils.randomChoice(unknownCards, random);
+        const move = [firstCard, this.randomCard(unknownCards, firstCard)];
+        this.explain('exploration', { cards: move, candidates: this.candidates });
+        return move;
+    }
+}
+
+/**
+ * Remembers every card it sees, ignoring the difficulty's memory accuracy
+ */
+class PerfectMemoryStrategy extends AIStrategy {
+    reset() {
+        this.seen = new Map(); // Card index -> symbol
+    }
+
+    observe(cardIndex, symbol) {
+        this.seen.set(cardIndex, symbol);
+    }
+
+    recordMoveResult(cards, wasMatch) {
+        if (wasMatch) {
+            cards.forEach(cardIndex => this.seen.delete(cardIndex));
+        }
+    }
+
+    /**
+     * Find an available card known to hold a symbol
+     * @param {Array} availableCards - Available card indices
+     * @param {string} symbol - Symbol to look for
+     * @param {number} exclude - Card index to skip
+     * @returns {number|undefined} - Card index
+     */
+    findPartner(availableCards, symbol, exclude) {
+        return availableCards.find(index => index !== exclude && this.seen.get(index) === symbol);
+    }
+
+    chooseFirstCard(availableCards) {
+        const knownCard = availableCards.find(index =>
+            this.seen.has(index) &&
+            this.findPartner(availableCards, this.seen.get(index), index) !== undefined);
+        if (knownCard !== undefined) {
+            this.explain('knownPair', { cards: [knownCard] });
+            return knownCard;
+        }
+
+        const unseen = availableCards.filter(index => !this.seen.has(index));
+        const card = this.randomCard(unseen.length > 0 ? unseen : availableCards);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const partner = this.findPartner(availableCards, firstSymbol, firstCard);
+        if (partner !== undefined) {
+            this.explain('partner', { cards: [partner] });
+            return partner;
+        }
+
+        // Flip an unseen card rather than one already known not to match
+        const unseen = availableCards.filter(index => index !== firstCard && !this.seen.has(index));
+        const card = this.randomCard(unseen.length > 0 ? unseen : availableCards, firstCard);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+
+    serialize() {
+        return Array.from(this.seen.entries());
+    }
+
+    restore(state) {
+        this.seen = new Map(state || []);
+    }
+}
+
+/**
+ * Perfect memory plus the solver's choices: when to flip a known card as the
+ * second card rather than risk revealing a pair, and when to pass by flipping
+ * two known cards. Never passes straight after an opponent has passed, so two
+ * Masters can't stall a game. The solver only models decks of pairs, so under
+ * other match rules Master plays like Perfect memory.
+ */
+class MasterStrategy extends PerfectMemoryStrategy {
+    reset() {
+        super.reset();
+        this.passing = false;
+        this.turnCards = []; // Whether each card of the current move had been seen before
+        this.lastMoveWasPass = false;
+    }
+
+    observe(cardIndex, symbol) {
+        this.turnCards.push(this.seen.has(cardIndex));
+        super.observe(cardIndex, symbol);
+    }
+
+    recordMoveResult(cards, wasMatch) {
+        super.recordMoveResult(cards, wasMatch);
+        this.lastMoveWasPass = !wasMatch && this.turnCards.length === 2 && this.turnCards.every(Boolean);
+        this.turnCards = [];
+    }
+
+    /**
+     * Get the known cards whose partner hasn't been seen
+     * @param {Array} availableCards - Available card indices
+     * @param {number} exclude - Card index to leave out (optional)
+     * @returns {Array} - Card indices
+     */
+    getUnpairedKnown(availableCards, exclude) {
+        return availableCards.filter(index => index !== exclude && this.seen.has(index) &&
+            this.findPartner(availableCards, this.seen.get(index), index) === undefined);
+    }
+
+    chooseFirstCard(availableCards) {
+        this.passing = false;
+
+        const knownCard = availableCards.find(index =>
+            this.seen.has(index) &&
+            this.findPartner(availableCards, this.seen.get(index), index) !== undefined);
+        if (knownCard !== undefined) {
+            this.explain('knownPair', { cards: [knownCard] });
+            return knownCard;
+        }
+
+        const known = this.getUnpairedKnown(availableCards);
+        const move = this.ai.playsPairs() ? MemorySolver.bestMove(availableCards.length / 2, known.length) : {};
+        if (move.first === 'pass' && !this.lastMoveWasPass) {
+            this.passing = true;
+            const card = this.randomCard(known);
+            this.explain('pass', { cards: [card], value: move.explore });
+            return card;
+        }
+
+        const unseen = availableCards.filter(index => !this.seen.has(index));
+        const card = this.randomCard(unseen.length > 0 ? unseen : availableCards);
+        this.explain('exploration', { cards: [card], value: move.explore });
+        return card;
+    }
+
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const partner = this.findPartner(availableCards, firstSymbol, firstCard);
+        if (partner !== undefined) {
+            this.explain('partner', { cards: [partner] });
+            return partner;
+        }
+
+        const known = this.getUnpairedKnown(availableCards, firstCard);
+        const unseen = availableCards.filter(index => index !== firstCard && !this.seen.has(index));
+        const { second } = this.ai.playsPairs() ? MemorySolver.bestMove(availableCards.length / 2, known.length) : {};
+
+        if (known.length > 0 && (this.passing || second === 'known' || unseen.length === 0)) {
+            const card = this.randomCard(known);
+            this.explain(this.passing ? 'pass' : 'safeSecond', { cards: [card] });
+            return card;
+        }
+
+        const card = this.randomCard(unseen.length > 0 ? unseen : availableCards, firstCard);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+
+    serialize() {
+        return { seen: super.serialize(), lastMoveWasPass: this.lastMoveWasPass };
+    }
+
+    restore(state) {
+        super.restore(state?.seen);
+        this.lastMoveWasPass = Boolean(state?.lastMoveWasPass);
+    }
+}
+
+/**
+ * Takes any pair it remembers and otherwise flips unknown cards, without
+ * probability estimates or player modelling
+ */
+class GreedyStrategy extends AIStrategy {
+    chooseFirstCard(availableCards) {
+        const memory = this.ai.memory;
+        const knownCard = availableCards.find(index =>
+            memory.has(index) &&
+            availableCards.some(other => other !== index && memory.get(other) === memory.get(index)));
+        if (knownCard !== undefined) {
+            this.explain('knownPair', { cards: [knownCard] });
+            return knownCard;
+        }
+
+        const unknown = availableCards.filter(index => !memory.has(index));
+        const card = this.randomCard(unknown.length > 0 ? unknown : availableCards);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const memory = this.ai.memory;
+        const partner = availableCards.find(index => index !== firstCard && memory.get(index) === firstSymbol);
+        if (partner !== undefined) {
+            this.explain('partner', { cards: [partner] });
+            return partner;
+        }
+
+        const unknown = availableCards.filter(index => index !== firstCard && !memory.has(index));
+        const card = this.randomCard(unknown.length > 0 ? unknown : availableCards, firstCard);
+        this.explain('exploration', { cards: [card] });
+        return card;
+    }
+}
+
+/**
+ * Flips two random cards; a baseline for comparing other strategies
+ */
+class RandomStrategy extends AIStrategy {
+    chooseFirstCard(availableCards) {
+        const card = this.randomCard(availableCards);
+        this.explain('random', { cards: [card] });
+        return card;
+    }
+
+    chooseSecondCard(availableCards, firstCard) {
+        const card = this.randomCard(availableCards, firstCard);
+        this.explain('random', { cards: [card] });
+        return card;
+    }
+}
+
+/**
+ * Lets a LearnedPolicy trained by self-play (tools/train.js) choose which kind
+ * of card to flip, then picks a card of that kind. Every decision is kept in
+ * the trajectory so the trainer can learn from how the game went.
+ */
+class LearnedStrategy extends AIStrategy {
+    static untrained = null; // Shared all-zero policy for AIs without a trained one
+
+    reset() {
+        this.trajectory = []; // { decision, features, actions, chosen, probabilities } per decision this game
+    }
+
+    /**
+     * Get the policy in use; without a trained one every kind of card is equally likely
+     * @returns {LearnedPolicy} - Policy
+     */
+    getPolicy() {
+        return this.ai.policy || (LearnedStrategy.untrained ??= new LearnedPolicy());
+    }
+
+    /**
+     * Let the policy choose a kind of card, then pick one
+     * @param {string} decision - 'first' or 'second'
+     * @param {Object} options - Card indices per action
+     * @param {Object} view - Position for LearnedPolicy.features
+     * @returns {number} - Card index
+     */
+    decide(decision, options, view) {
+        const actions = LearnedPolicy.ACTIONS[decision].filter(action => options[action].length > 0);
+        const features = LearnedPolicy.features(view);
+        const { action, probability, probabilities } = this.getPolicy().choose(decision, features, actions, this.ai.random);
+
+        this.trajectory.push({ decision, features, actions, chosen: action, probabilities });
+        const card = this.randomCard(options[action]);
+        this.explain('learned', { cards: [card], action, probability });
+        return card;
+    }
+
+    chooseFirstCard(availableCards) {
+        const memory = this.ai.memory;
+        const remembered = availableCards.filter(index => memory.has(index));
+        const paired = remembered.filter(index =>
+            remembered.some(other => other !== index && memory.get(other) === memory.get(index)));
+        const options = {
+            pair: paired,
+            known: remembered.filter(index => !paired.includes(index)),
+            unknown: availableCards.filter(index => !memory.has(index))
+        };
+
+        return this.decide('first', options, {
+            pairs: availableCards.length / 2,
+            known: options.known.length,
+            unknown: options.unknown.length,
+            pairKnown: paired.length > 0,
+            totalPairs: Math.floor(this.ai.board.rows * this.ai.board.cols / 2)
+        });
+    }
+
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const memory = this.ai.memory;
+        const others = availableCards.filter(index => index !== firstCard);
+        const partner = others.filter(index => memory.get(index) === firstSymbol);
+        const options = {
+            partner,
+            known: others.filter(index => memory.has(index) && !partner.includes(index)),
+            unknown: others.filter(index => !memory.has(index))
+        };
+
+        return this.decide('second', options, {
+            pairs: availableCards.length / 2,
+            known: options.known.length,
+            unknown: options.unknown.length,
+            pairKnown: partner.length > 0,
+            totalPairs: Math.floor(this.ai.board.rows * this.ai.board.cols / 2)
+        });
+    }
+}
+
+/**
+ * Registry of strategies by name
+ */
+class AIStrategies {
+    static Base = AIStrategy;
+    static DEFAULT = 'probabilistic';
+    static registry = new Map();
+
+    /**
+     * Register a strategy so it can be chosen for a seat
+     * @param {string} name - Unique strategy name
+     * @param {Function} StrategyClass - Subclass of AIStrategy
+     * @param {string} label - Name shown to players (optional)
+     */
+    static register(name, StrategyClass, label = name) {
+        AIStrategies.registry.set(name, { StrategyClass, label });
+    }
+
+    /**
+     * Check whether a strategy is registered
+     * @param {string} name - Strategy name
+     * @returns {boolean} - Whether it exists
+     */
+    static has(name) {
+        return AIStrategies.registry.has(name);
+    }
+
+    /**
+     * Create a strategy for an AI
+     * @param {string} name - Strategy name
+     * @param {MemoryAI} ai - Owning AI
+     * @returns {AIStrategy} - Strategy instance
+     */
+    static create(name, ai) {
+        const { StrategyClass } = AIStrategies.registry.get(name);
+        return new StrategyClass(ai);
+    }
+
+    /**
+     * List registered strategies
+     * @returns {Array} - Entries of { name, label }
+     */
+    static list() {
+        return Array.from(AIStrategies.registry.entries()).map(([name, { label }]) => ({ name, label }));
+    }
+}
+
+AIStrategies.register('probabilistic', ProbabilisticStrategy, 'Adaptive');
+AIStrategies.register('perfect', PerfectMemoryStrategy, 'Perfect memory');
+AIStrategies.register('master', MasterStrategy, 'Master');
+AIStrategies.register('learned', LearnedStrategy, 'Learned');
+AIStrategies.register('greedy', GreedyStrategy, 'Greedy');
+AIStrategies.register('random', RandomStrategy, 'Random');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIStrategies;
+}
@@ -3,13 +3,20 @@
  * Handles all user interface interactions and visual updates
  */
 class GameUI {
+    static COMPACT_BOARD_CELLS = 48; // Boards with more cells than the expert board get smaller cards
+
     constructor() {
         this.elements = {};
         this.isAnimating = false;
         this.gameTimer = null;
         this.gameStartTime = null;
+        this.timeLimit = 0; // Seconds the timer counts down from, 0 to count up
+        this.animationQueue = Promise.resolve();
+        this.seats = GameEngine.DEFAULT_SEATS;
+        this.lineup = GameEngine.DEFAULT_SEATS; // Players of versus games, edited in the players modal
         
         this.initializeElements();
+        this.renderDeckOptions();
         this.bindEvents();
         this.setupAccessibility();
     }
@@ -23,8 +30,7 @@ class GameUI {
             gameBoard: document.getElementById('game-board'),
             
             // Score display
-            playerScore: document.getElementById('player-score'),
-            aiScore: document.getElementById('ai-score'),
+            scoreItems: document.getElementById('score-items'),
             
             // Turn indicator
             turnIndicator: document.getElementById('turn-indicator'),
@@ -33,12 +39,24 @@ class GameUI {
             // Statistics
             movesCount: document.getElementById('moves-count'),
             gameTime: document.getElementById('game-time'),
+            timeStat: document.getElementById('time-stat'),
+            timeLabel: document.getElementById('time-label'),
+            flipsStat: document.getElementById('flips-stat'),
+            flipsLeft: document.getElementById('flips-left'),
             totalMatches: document.getElementById('total-matches'),
             difficultyLevel: document.getElementById('difficulty-level'),
+            dealCode: document.getElementById('deal-code'),
             
             // AI status
             aiThinking: document.getElementById('ai-thinking'),
-            aiAccuracy: document.getElementById('ai-accuracy'),
+            aiThinkingText: document.getElementById('ai-thinking-text'),
+            aiQuip: document.getElementById('ai-quip'),
+            aiMemoryList: document.getElementById('ai-memory-list'),
+            aiSpeed: document.getElementById('ai-speed'),
+            adaptiveToggle: document.getElementById('adaptive-toggle'),
+            adaptiveLevel: document.getElementById('adaptive-level'),
+            reasoningToggle: document.getElementById('reasoning-toggle'),
+            aiReasoning: document.getElementById('ai-reasoning'),
             
             // Status message
             statusMessage: document.getElementById('status-message'),
@@ -46,24 +64,56 @@ class GameUI {
             // Control buttons
             restartBtn: document.getElementById('restart-btn'),
             difficultyBtn: document.getElementById('difficulty-btn'),
+            playersBtn: document.getElementById('players-btn'),
+            replayBtn: document.getElementById('replay-btn'),
             helpBtn: document.getElementById('help-btn'),
+            hintBtn: document.getElementById('hint-btn'),
+            hintCount: document.getElementById('hint-count'),
+            hintBudget: document.getElementById('hint-budget'),
+            gameMode: document.getElementById('game-mode'),
+            matchRule: document.getElementById('match-rule'),
+            cardDeck: document.getElementById('card-deck'),
             
             // Modals
             difficultyModal: document.getElementById('difficulty-modal'),
             gameOverModal: document.getElementById('game-over-modal'),
+            resumeModal: document.getElementById('resume-modal'),
+            playersModal: document.getElementById('players-modal'),
             modalClose: document.getElementById('modal-close'),
             
             // Difficulty options
             difficultyOptions: document.querySelectorAll('.difficulty-option'),
+            personalityOptions: document.querySelectorAll('.personality-option'),
+            customBoardForm: document.getElementById('custom-board-form'),
+            customRows: document.getElementById('custom-rows'),
+            customCols: document.getElementById('custom-cols'),
+            customBoardNote: document.getElementById('custom-board-note'),
+            dealForm: document.getElementById('deal-form'),
+            dealInput: document.getElementById('deal-input'),
             
             // Game over elements
             gameResultTitle: document.getElementById('game-result-title'),
-            finalPlayerScore: document.getElementById('final-player-score'),
-            finalAiScore: document.getElementById('final-ai-score'),
+            finalScores: document.getElementById('final-scores'),
+            gameAnalysis: document.getElementById('game-analysis'),
             finalMoves: document.getElementById('final-moves'),
             finalTime: document.getElementById('final-time'),
+            finalTimeLine: document.getElementById('final-time-line'),
+            soloRecord: document.getElementById('solo-record'),
             playAgainBtn: document.getElementById('play-again-btn'),
-            changeDifficultyBtn: document.getElementById('change-difficulty-btn')
+            changeDifficultyBtn: document.getElementById('change-difficulty-btn'),
+            watchReplayBtn: document.getElementById('watch-replay-btn'),
+
+            // Resume prompt elements
+            resumeSummary: document.getElementById('resume-summary'),
+            resumeBtn: document.getElementById('resume-btn'),
+            newGameBtn: document.getElementById('new-game-btn'),
+
+            // Players setup elements
+            seatList: document.getElementById('seat-list'),
+            addSeatBtn: document.getElementById('add-seat-btn'),
+            spectateBtn: document.getElementById('spectate-btn'),
+            startSeatsBtn: document.getElementById('start-seats-btn'),
+            playersModalClose: document.getElementById('players-modal-close')
         };
     }
 
@@ -80,10 +130,39 @@ class GameUI {
             this.showDifficultyModal();
         });
 
+        this.elements.playersBtn?.addEventListener('click', () => {
+            this.showPlayersModal();
+        });
+
+        this.elements.replayBtn?.addEventListener('click', () => {
+            GameUtils.eventEmitter.emit('openReplay');
+        });
+
         this.elements.helpBtn?.addEventListener('click', () => {
             this.showHelpMessage();
         });
 
+        this.elements.hintBtn?.addEventListener('click', () => {
+            GameUtils.eventEmitter.emit('hintRequested');
+        });
+
+        this.elements.hintBudget?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('hintBudgetChanged', parseInt(this.elements.hintBudget.value, 10));
+        });
+
+        this.elements.gameMode?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('modeChanged', this.elements.gameMode.value);
+        });
+
+        this.elements.matchRule?.addEventListener('change', () => {
+            this.updateCustomBoardNote();
+            GameUtils.eventEmitter.emit('matchRuleChanged', this.elements.matchRule.value);
+        });
+
+        this.elements.cardDeck?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('deckChanged', this.elements.cardDeck.value);
+        });
+
         // Modal events
         this.elements.modalClose?.addEventListener('click', () => {
             this.hideDifficultyModal();
@@ -99,17 +178,102 @@ class GameUI {
             });
         });
 
+        // Custom board size
+        this.elements.customBoardForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const board = this.getCustomBoard();
+            GameUtils.eventEmitter.emit('boardSizeChanged', board);
+            this.hideDifficultyModal();
+        });
+
+        [this.elements.customRows, this.elements.customCols].forEach(input => {
+            input?.addEventListener('input', () => this.updateCustomBoardNote());
+        });
+
+        // Personality selection applies from the next game, so the modal stays open
+        this.elements.personalityOptions?.forEach(option => {
+            option.addEventListener('click', () => {
+                const personality = option.dataset.personality;
+                this.selectPersonality(personality);
+                GameUtils.eventEmitter.emit('personalityChanged', personality);
+            });
+        });
+
+        // Start a shared deal
+        this.elements.dealForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = this.elements.dealInput?.value.trim();
+            if (!code) return;
+
+            GameUtils.eventEmitter.emit('dealCodeEntered', code);
+            this.elements.dealInput.value = '';
+            this.hideDifficultyModal();
+        });
+
         // Game over modal buttons
         this.elements.playAgainBtn?.addEventListener('click', () => {
             this.hideGameOverModal();
             GameUtils.eventEmitter.emit('restartGame');
         });
 
+        this.elements.watchReplayBtn?.addEventListener('click', () => {
+            this.hideGameOverModal();
+            GameUtils.eventEmitter.emit('openReplay');
+        });
+
         this.elements.changeDifficultyBtn?.addEventListener('click', () => {
             this.hideGameOverModal();
             this.showDifficultyModal();
         });
 
+        // Resume prompt buttons
+        this.elements.resumeBtn?.addEventListener('click', () => {
+            this.hideResumeModal();
+            GameUtils.eventEmitter.emit('resumeGame');
+        });
+
+        this.elements.newGameBtn?.addEventListener('click', () => {
+            this.hideResumeModal();
+            GameUtils.eventEmitter.emit('restartGame');
+        });
+
+        // Players setup
+        this.elements.addSeatBtn?.addEventListener('click', () => {
+            const seats = this.readSeatRows();
+            if (seats.length < GameEngine.MAX_SEATS) {
+                seats.push({ name: `Player ${seats.length + 1}`, type: 'human' });
+                this.renderSeatRows(seats);
+            }
+        });
+
+        this.elements.spectateBtn?.addEventListener('click', () => {
+            const seats = this.readSeatRows().map((seat, index) => (
+                seat.type === 'ai' ? seat : { ...seat, name: `AI ${index + 1}`, type: 'ai' }
+            ));
+            this.renderSeatRows(seats);
+        });
+
+        this.elements.startSeatsBtn?.addEventListener('click', () => {
+            GameUtils.eventEmitter.emit('seatsChanged', this.readSeatRows());
+            this.hidePlayersModal();
+        });
+
+        this.elements.playersModalClose?.addEventListener('click', () => {
+            this.hidePlayersModal();
+        });
+
+        this.elements.aiSpeed?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('aiSpeedChanged', parseFloat(this.elements.aiSpeed.value));
+        });
+
+        this.elements.adaptiveToggle?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('adaptiveChanged', this.elements.adaptiveToggle.checked);
+        });
+
+        this.elements.reasoningToggle?.addEventListener('change', () => {
+            GameUtils.eventEmitter.emit('reasoningChanged', this.elements.reasoningToggle.checked);
+        });
+
         // Close modals on outside click
         this.elements.difficultyModal?.addEventListener('click', (e) => {
             if (e.target === this.elements.difficultyModal) {
@@ -160,6 +324,163 @@ class GameUI {
         this.elements.liveRegion = liveRegion;
     }
 
+    /**
+     * Attach the UI as a renderer for a game engine
+     * @param {GameEngine} engine - Engine whose events should be rendered
+     */
+    attachEngine(engine) {
+        engine.on('gameStarted', (game) => {
+            this.animationQueue = Promise.resolve();
+            this.lineup = game.lineup;
+            this.setSeats(game.seats);
+            this.reset();
+            this.setClock(GameModes.create(game.mode).clock);
+            this.createGameBoard(game.rows, game.cols, game.cards);
+            this.updateTurnIndicator(game.currentPlayer);
+            this.updateDealCode(game.dealCode);
+            this.refreshHintCount(engine);
+            this.applyCardBack(CardDecks.getBack(game.deck));
+            this.updateStatusMessage(this.describeGame(game));
+
+            if (game.restored) {
+                this.restoreBoardState(game);
+            }
+        });
+
+        engine.on('cardFlipped', ({ cardIndex }) => {
+            this.enqueue(() => this.flipCard(cardIndex));
+        });
+
+        engine.on('match', ({ cards, player, scores }) => {
+            this.enqueue(async () => {
+                await this.markCardsAsMatched(cards);
+                this.updateScore(scores);
+
+                const { name, isYou } = this.getSeatLabel(player);
+                this.updateStatusMessage(this.seats.length === 1
+                    ? `${name} found a match!`
+                    : `${name} found a match! ${name} get${isYou ? '' : 's'} another turn.`, 'success');
+            });
+        });
+
+        engine.on('hintUsed', ({ scores }) => {
+            this.updateScore(scores);
+            this.refreshHintCount(engine);
+        });
+
+        engine.on('cardsHidden', ({ cards, player }) => {
+            this.enqueue(async () => {
+                for (const cardIndex of cards) {
+                    await this.flipCardBack(cardIndex);
+                }
+
+                const { name, isYou } = this.getSeatLabel(player);
+                this.updateStatusMessage(this.seats.length === 1
+                    ? 'No match.'
+                    : `No match. ${isYou ? 'Your' : `${name}'s`} turn is over.`, 'info');
+            });
+        });
+
+        engine.on('turnChanged', ({ currentPlayer }) => {
+            this.enqueue(() => this.updateTurnIndicator(currentPlayer));
+            this.refreshHintCount(engine);
+        });
+
+        engine.on('statsChanged', (stats) => {
+            this.updateStats(stats);
+        });
+    }
+
+    /**
+     * Show matched and face-up cards of a resumed game without animating
+     * @param {Object} game - Resumed game state
+     */
+    restoreBoardState({ matchedPairs, flippedCards, scores }) {
+        matchedPairs.flat().forEach(cardIndex => {
+            const cardElement = this.getCardElement(cardIndex);
+            if (cardElement) {
+                cardElement.classList.add('flipped');
+                cardElement.setAttribute('aria-label', `Card ${cardIndex + 1}, matched`);
+            }
+        });
+
+        flippedCards.forEach(cardIndex => {
+            this.flipCard(cardIndex, false);
+        });
+
+        this.updateScore(scores);
+    }
+
+    /**
+     * Set the seats shown on the scoreboard and turn indicator
+     * @param {Array} seats - Seats in turn order
+     */
+    setSeats(seats) {
+        this.seats = seats;
+        this.renderScoreboard();
+    }
+
+    /**
+     * Describe a seat for status messages; a lone human is addressed as "You"
+     * @param {string} seatId - Seat id
+     * @returns {Object} - { name, isYou }
+     */
+    getSeatLabel(seatId) {
+        const seat = this.seats.find(s => s.id === seatId);
+        const humans = this.seats.filter(s => s.type === 'human');
+
+        if (seat?.type === 'human' && humans.length === 1) {
+            return { name: 'You', isYou: true };
+        }
+        return { name: seat ? seat.name : seatId, isYou: false };
+    }
+
+    /**
+     * Rebuild the scoreboard for the current seats
+     */
+    renderScoreboard() {
+        if (!this.elements.scoreItems) return;
+
+        this.elements.scoreItems.innerHTML = '';
+        this.seats.forEach((seat, index) => {
+            const item = document.createElement('div');
+            item.className = `score-item seat-${index}`;
+            item.dataset.seatId = seat.id;
+
+            const label = document.createElement('span');
+            label.className = 'score-label';
+            label.textContent = seat.name;
+
+            const value = document.createElement('span');
+            value.className = 'score-value';
+            value.textContent = '0';
+
+            item.appendChild(label);
+            item.appendChild(value);
+            this.elements.scoreItems.appendChild(item);
+        });
+    }
+
+    /**
+     * Queue a rendering task behind any running animations
+     * @param {Function} task - Task to run, may return a promise
+     * @returns {Promise} - Promise that resolves when the task completes
+     */
+    enqueue(task) {
+        this.animationQueue = this.animationQueue
+            .then(task)
+            .catch(error => console.warn('Rendering task failed:', error));
+        return this.animationQueue;
+    }
+
+    /**
+     * Wait for all queued animations to finish
+     * @returns {Promise} - Promise that resolves when the UI is idle
+     */
+    whenIdle() {
+        return this.animationQueue;
+    }
+
     /**
      * Create and render the game board
      * @param {number} rows - Number of rows
@@ -175,6 +496,7 @@ class GameUI {
         // Set grid layout
         this.elements.gameBoard.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
         this.elements.gameBoard.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+        this.elements.gameBoard.classList.toggle('compact', rows * cols > GameUI.COMPACT_BOARD_CELLS);
 
         // Create cards
         cards.forEach((card, index) => {
@@ -186,6 +508,21 @@ class GameUI {
         this.announce(`Game board created with ${rows} rows and ${cols} columns`);
     }
 
+    /**
+     * Draw the card backs in a deck's design
+     * @param {Object|null} back - { color, symbol, image } from CardDecks.getBack(), or null for the standard back
+     */
+    applyCardBack(back) {
+        const style = this.elements.gameBoard?.style;
+        if (!style) return;
+
+        const set = (property, value) => (value ? style.setProperty(property, value) : style.removeProperty(property));
+        set('--card-back-color', back?.color);
+        set('--card-back-shade', back?.color && `color-mix(in srgb, ${back.color} 75%, black)`);
+        set('--card-back-symbol', back?.symbol !== undefined && JSON.stringify(back.symbol));
+        set('--card-back-image', back?.image && `url("${back.image}")`);
+    }
+
     /**
      * Create a single card element
      * @param {Object} card - Card data
@@ -196,7 +533,16 @@ class GameUI {
         const cardElement = document.createElement('div');
         cardElement.className = 'card';
         cardElement.dataset.cardIndex = index;
+
+        // The blank card of an odd board only fills its cell
+        if (card.filler) {
+            cardElement.classList.add('filler');
+            cardElement.setAttribute('aria-hidden', 'true');
+            return cardElement;
+        }
+
         cardElement.dataset.symbol = card.symbol;
+        cardElement.dataset.symbolName = card.symbolName;
         cardElement.setAttribute('role', 'button');
         cardElement.setAttribute('tabindex', '0');
         cardElement.setAttribute('aria-label', `Card ${index + 1}, hidden`);
@@ -205,9 +551,17 @@ class GameUI {
         const cardBack = document.createElement('div');
         cardBack.className = 'card-face card-back';
         
+        // Cards of the emoji deck are colored by symbol; other decks say how their faces are drawn
         const cardFront = document.createElement('div');
-        cardFront.className = `card-face card-front ${card.symbolName}`;
-        cardFront.textContent = card.symbol;
+        cardFront.className = `card-face card-front ${card.face ? `${card.face}-face` : card.symbolName}`;
+        if (card.image) {
+            const image = document.createElement('img');
+            image.src = card.image;
+            image.alt = '';
+            cardFront.appendChild(image);
+        } else {
+            cardFront.textContent = card.symbol;
+        }
         cardFront.setAttribute('aria-hidden', 'true');
 
         cardElement.appendChild(cardBack);
@@ -260,18 +614,16 @@ class GameUI {
         }
 
         cardElement.classList.add('flipped');
-        const symbol = cardElement.dataset.symbol;
-        const symbolName = GameUtils.GAME_CONSTANTS.SYMBOLS.indexOf(symbol);
+        const { symbolName } = cardElement.dataset;
         
-        cardElement.setAttribute('aria-label', 
-            `Card ${cardIndex + 1}, showing ${GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[symbolName]}`);
+        cardElement.setAttribute('aria-label', `Card ${cardIndex + 1}, showing ${symbolName}`);
 
         if (animate) {
             await GameUtils.delay(GameUtils.GAME_CONSTANTS.ANIMATION_DURATIONS.cardFlip);
             this.isAnimating = false;
         }
 
-        this.announce(`Card ${cardIndex + 1} flipped, showing ${GameUtils.GAME_CONSTANTS.SYMBOL_NAMES[symbolName]}`);
+        this.announce(`Card ${cardIndex + 1} flipped, showing ${symbolName}`);
     }
 
     /**
@@ -338,32 +690,175 @@ class GameUI {
 
     /**
      * Update the score display
-     * @param {number} playerScore - Player's score
-     * @param {number} aiScore - AI's score
+     * @param {Object} scores - Scores keyed by seat id
      */
-    updateScore(playerScore, aiScore) {
-        if (this.elements.playerScore) {
-            this.elements.playerScore.textContent = playerScore;
+    updateScore(scores) {
+        this.elements.scoreItems?.querySelectorAll('.score-item').forEach(item => {
+            const value = item.querySelector('.score-value');
+            if (value) {
+                value.textContent = scores[item.dataset.seatId] || 0;
+            }
+        });
+    }
+
+    /**
+     * Show the hints left to the seat to move; only humans can ask for them,
+     * and only in games played two cards at a time
+     * @param {GameEngine} engine - Engine of the game in progress
+     */
+    refreshHintCount(engine) {
+        this.updateHintCount(engine.getHintsLeft(),
+            engine.getCurrentSeat()?.type === 'human' && engine.rule.setSize === 2);
+    }
+
+    /**
+     * Show how many hints are left
+     * @param {number} hintsLeft - Hints the current player may still take
+     * @param {boolean} available - Whether the current player can ask for one
+     */
+    updateHintCount(hintsLeft, available) {
+        if (this.elements.hintCount) {
+            this.elements.hintCount.textContent = `(${hintsLeft})`;
         }
-        if (this.elements.aiScore) {
-            this.elements.aiScore.textContent = aiScore;
+        if (this.elements.hintBtn) {
+            this.elements.hintBtn.disabled = !available || hintsLeft === 0;
+        }
+    }
+
+    /**
+     * Show the selected hint budget
+     * @param {number} budget - Hints per game
+     */
+    selectHintBudget(budget) {
+        if (this.elements.hintBudget) {
+            this.elements.hintBudget.value = String(budget);
+        }
+    }
+
+    /**
+     * Show the selected game mode
+     * @param {string} mode - Name of a registered game mode
+     */
+    selectMode(mode) {
+        if (this.elements.gameMode) {
+            this.elements.gameMode.value = mode;
+        }
+    }
+
+    /**
+     * Show the selected match rule
+     * @param {string} rule - Name of a registered match rule
+     */
+    selectMatchRule(rule) {
+        if (this.elements.matchRule) {
+            this.elements.matchRule.value = rule;
+        }
+        this.updateCustomBoardNote();
+    }
+
+    /**
+     * Tell players what a game asks of them: the goal of a solo mode, the match rule,
+     * and the deck when it says more
+     * @param {Object} game - { rule, deck, cards, mode, timeLimit, flipLimit } of the game
+     * @returns {string} - Description
+     */
+    describeGame({ rule, deck, cards, mode = GameModes.DEFAULT, timeLimit, flipLimit }) {
+        const goal = GameModes.create(mode).getGoal({ timeLimit, flipLimit });
+        const definition = CardDecks.getDefinition(deck);
+        const dealt = cards.some(card => card.pairKey); // The families rule deals emoji whatever the deck
+        const note = dealt && (definition?.pairs || definition?.description) ? ` ${CardDecks.getDescription(deck)}` : '';
+        return `${goal ? `${goal} ` : ''}${MatchRules.getDescription(rule)}${note}`;
+    }
+
+    /**
+     * List the registered decks in the deck setting
+     */
+    renderDeckOptions() {
+        if (!this.elements.cardDeck) return;
+
+        const selected = this.elements.cardDeck.value || CardDecks.DEFAULT;
+        this.elements.cardDeck.innerHTML = '';
+        CardDecks.list().forEach(({ name, label, pairs }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = pairs > 0 ? `${label} (${pairs} pairs)` : label;
+            this.elements.cardDeck.appendChild(option);
+        });
+        this.elements.cardDeck.value = CardDecks.has(selected) ? selected : CardDecks.DEFAULT;
+    }
+
+    /**
+     * Show the selected deck
+     * @param {string} deck - Name of a registered deck
+     */
+    selectDeck(deck) {
+        if (this.elements.cardDeck) {
+            this.elements.cardDeck.value = deck;
+        }
+    }
+
+    /**
+     * Highlight the cards a hint suggests and move keyboard focus to the first
+     * @param {Object} hint - { type, cards } from HintAdvisor.getHint()
+     */
+    showHint(hint) {
+        this.elements.gameBoard?.querySelectorAll('.card.hinted')
+            .forEach(cardElement => cardElement.classList.remove('hinted'));
+
+        hint.cards.forEach(cardIndex => {
+            const cardElement = this.getCardElement(cardIndex);
+            if (!cardElement) return;
+            cardElement.classList.add('hinted');
+            setTimeout(() => cardElement.classList.remove('hinted'), 3000);
+        });
+
+        const firstCard = this.getCardElement(hint.cards[0]);
+        if (firstCard) {
+            GameUtils.accessibility.focus(firstCard);
+        }
+
+        this.updateStatusMessage(`Hint: ${this.describeHint(hint)}`, 'info');
+    }
+
+    /**
+     * Describe a hint
+     * @param {Object} hint - { type, cards }
+     * @returns {string} - Description
+     */
+    describeHint(hint) {
+        const cards = hint.cards.map(index => index + 1);
+        switch (hint.type) {
+            case 'pair':
+                return `cards ${cards[0]} and ${cards[1]} are a pair you have seen.`;
+            case 'partner':
+                return `card ${cards[0]} matches the card you just turned over.`;
+            case 'safe':
+                return `no match is known; card ${cards[0]} is already known, so flipping it gives nothing away.`;
+            case 'pass':
+                return `flip cards ${cards[0]} and ${cards[1]}, which are known, to give nothing away.`;
+            default:
+                return `try card ${cards[0]}, one nobody has turned over yet.`;
         }
     }
 
     /**
      * Update the turn indicator
-     * @param {string} currentPlayer - 'player' or 'ai'
+     * @param {string} currentPlayer - Id of the seat whose turn it is
      */
     updateTurnIndicator(currentPlayer) {
+        const seatIndex = this.seats.findIndex(seat => seat.id === currentPlayer);
+        const seat = this.seats[seatIndex];
+
         if (this.elements.currentTurn) {
-            this.elements.currentTurn.textContent = currentPlayer === 'player' ? 'Player' : 'AI';
+            this.elements.currentTurn.textContent = seat ? seat.name : currentPlayer;
         }
 
         if (this.elements.turnIndicator) {
-            this.elements.turnIndicator.className = `turn-indicator ${currentPlayer}-turn`;
+            this.elements.turnIndicator.className = `turn-indicator seat-${seatIndex}-turn`;
         }
 
-        this.announce(`It's ${currentPlayer === 'player' ? 'your' : 'AI\'s'} turn`);
+        const { name, isYou } = this.getSeatLabel(currentPlayer);
+        this.announce(`It's ${isYou ? 'your' : `${name}'s`} turn`);
     }
 
     /**
@@ -380,18 +875,209 @@ class GameUI {
         }
 
         if (this.elements.difficultyLevel) {
-            this.elements.difficultyLevel.textContent = 
-                stats.difficulty ? stats.difficulty.charAt(0).toUpperCase() + stats.difficulty.slice(1) : 'Beginner';
+            this.elements.difficultyLevel.textContent =
+                stats.difficulty ? this.describeBoard(stats.difficulty, stats) : 'Beginner';
+        }
+
+        this.elements.flipsStat?.classList.toggle('hidden', !stats.flipLimit);
+        if (this.elements.flipsLeft && stats.flipLimit) {
+            this.elements.flipsLeft.textContent = Math.max(0, stats.flipLimit - stats.flips);
+        }
+    }
+
+    /**
+     * Name a board for display, with its size if it is a custom one
+     * @param {string} difficulty - Difficulty level
+     * @param {Object} board - { rows, cols }
+     * @returns {string} - e.g. "Beginner" or "Custom 5×7"
+     */
+    describeBoard(difficulty, { rows, cols } = {}) {
+        const name = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+        return difficulty === 'custom' && rows && cols ? `${name} ${rows}×${cols}` : name;
+    }
+
+    /**
+     * Show the code that reproduces the current deal
+     * @param {string} dealCode - Deal code
+     */
+    updateDealCode(dealCode) {
+        if (this.elements.dealCode) {
+            this.elements.dealCode.textContent = dealCode || '-';
         }
     }
 
     /**
      * Update AI status display
-     * @param {Object} aiStats - AI statistics
+     * @param {Array} aiStatus - Entries of { seat, stats } for every AI seat
+     */
+    updateAIStatus(aiStatus) {
+        if (!this.elements.aiMemoryList) return;
+
+        this.elements.aiMemoryList.innerHTML = '';
+        aiStatus.forEach(({ seat, stats }) => {
+            const personality = GameUtils.GAME_CONSTANTS.PERSONALITIES[stats.personality];
+            this.setSeatAvatar(seat, personality);
+
+            const row = document.createElement('div');
+            row.className = 'ai-memory';
+
+            const label = document.createElement('span');
+            label.className = 'ai-label';
+            label.textContent = (personality ? `${personality.avatar} ` : '') +
+                (aiStatus.length === 1 ? 'Memory Accuracy:' : `${seat.name} Memory:`);
+
+            const value = document.createElement('span');
+            value.className = 'ai-value';
+            value.textContent = `${stats.memoryAccuracy}%`;
+
+            row.appendChild(label);
+            row.appendChild(value);
+            this.elements.aiMemoryList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a personality's avatar next to its seat on the scoreboard
+     * @param {Object} seat - Seat
+     * @param {Object} personality - Entry of GAME_CONSTANTS.PERSONALITIES, if any
+     */
+    setSeatAvatar(seat, personality) {
+        const label = this.elements.scoreItems?.querySelector(`[data-seat-id="${seat.id}"] .score-label`);
+        if (!label) return;
+
+        label.textContent = personality ? `${personality.avatar} ${seat.name}` : seat.name;
+        label.title = personality ? personality.name : '';
+    }
+
+    /**
+     * Show what an AI's personality says about its move
+     * @param {Object} seat - Seat of the AI
+     * @param {string} personality - Key of GAME_CONSTANTS.PERSONALITIES
+     * @param {string} line - What it says
+     */
+    showAIQuip(seat, personality, line) {
+        if (!this.elements.aiQuip) return;
+
+        const avatar = GameUtils.GAME_CONSTANTS.PERSONALITIES[personality]?.avatar || '🤖';
+        this.elements.aiQuip.textContent = `${avatar} ${seat.name}: “${line}”`;
+        this.elements.aiQuip.classList.remove('hidden');
+    }
+
+    /**
+     * Set what the thinking indicator says, e.g. a personality's line
+     * @param {string} line - Text to show (optional, defaults to "AI is thinking...")
+     */
+    setThinkingLine(line) {
+        if (this.elements.aiThinkingText) {
+            this.elements.aiThinkingText.textContent = line || 'AI is thinking...';
+        }
+    }
+
+    /**
+     * Show whether the AI reasoning overlay is on
+     * @param {boolean} enabled - Whether the overlay is shown
+     */
+    selectShowReasoning(enabled) {
+        if (this.elements.reasoningToggle) {
+            this.elements.reasoningToggle.checked = enabled;
+        }
+        if (!enabled) {
+            this.clearAIReasoning();
+        }
+    }
+
+    /**
+     * Show what an AI is thinking: why it picked its cards, the odds it gave
+     * the cards it considered, and how strongly it remembers each card
+     * @param {Object} seat - Seat of the AI
+     * @param {Object} reasoning - Reasoning from MemoryAI.getReasoning()
      */
-    updateAIStatus(aiStats) {
-        if (this.elements.aiAccuracy) {
-            this.elements.aiAccuracy.textContent = `${aiStats.memoryAccuracy || 70}%`;
+    showAIReasoning(seat, reasoning) {
+        this.clearAIReasoning();
+
+        reasoning.memory.forEach(({ card, strength, misplaced }) => {
+            const cardElement = this.getCardElement(card);
+            if (!cardElement) return;
+            cardElement.classList.add(misplaced ? 'ai-misplaced' : 'ai-remembered');
+            cardElement.style.setProperty('--ai-heat', strength.toFixed(2));
+        });
+
+        const candidates = reasoning.steps.find(step => step.candidates?.length > 0)?.candidates || [];
+        candidates.forEach(({ card, probability }) => {
+            const cardElement = this.getCardElement(card);
+            if (!cardElement) return;
+            const odds = document.createElement('span');
+            odds.className = 'ai-odds';
+            odds.textContent = `${Math.round(probability * 100)}%`;
+            cardElement.appendChild(odds);
+        });
+
+        if (this.elements.aiReasoning) {
+            reasoning.steps.forEach(step => {
+                const item = document.createElement('li');
+                item.textContent = `${seat.name}: ${this.describeReasoningStep(step)}`;
+                this.elements.aiReasoning.appendChild(item);
+            });
+            this.elements.aiReasoning.classList.toggle('hidden', reasoning.steps.length === 0);
+        }
+    }
+
+    /**
+     * Describe one step of an AI's reasoning
+     * @param {Object} step - { reason, cards, candidates, ... } from AIStrategy.explain
+     * @returns {string} - Description
+     */
+    describeReasoningStep(step) {
+        const cards = (step.cards || []).map(index => index + 1);
+        const list = cards.join(' and ');
+        const best = step.candidates?.length > 0
+            ? Math.max(...step.candidates.map(candidate => candidate.probability))
+            : null;
+
+        switch (step.reason) {
+            case 'knownPair':
+                return `Remembers a pair: card ${list}.`;
+            case 'probability':
+                return `Likely pair: card ${cards[0]} with card ${cards[1]} (${Math.round(step.probability * 100)}% chance).`;
+            case 'blocking':
+                return `Blocking your favourite area with cards ${list}.`;
+            case 'exploration':
+                return best !== null
+                    ? `Exploring card ${list}; an unknown card has up to a ${Math.round(best * 100)}% chance of matching one it remembers.`
+                    : `Exploring card ${list}.`;
+            case 'partner':
+                return `Remembered the partner: card ${list}.`;
+            case 'plan':
+                return `Sticking to its plan: card ${list}.`;
+            case 'safeSecond':
+                return `Playing safe with known card ${list} rather than revealing a new one.`;
+            case 'pass':
+                return `Passing: flips known card ${list} to give nothing away.`;
+            case 'random':
+                return `Random pick: card ${list}.`;
+            case 'learned': {
+                const kind = { pair: 'half of a remembered pair', partner: 'the remembered partner',
+                    known: 'a card it remembers', unknown: 'a card it doesn\'t remember' }[step.action];
+                return `Its trained policy picks ${kind}: card ${list} (${Math.round(step.probability * 100)}% preference).`;
+            }
+            default:
+                return `${step.reason}: card ${list}.`;
+        }
+    }
+
+    /**
+     * Remove the AI reasoning overlay
+     */
+    clearAIReasoning() {
+        this.elements.gameBoard?.querySelectorAll('.ai-remembered, .ai-misplaced').forEach(cardElement => {
+            cardElement.classList.remove('ai-remembered', 'ai-misplaced');
+            cardElement.style.removeProperty('--ai-heat');
+        });
+        this.elements.gameBoard?.querySelectorAll('.ai-odds').forEach(odds => odds.remove());
+
+        if (this.elements.aiReasoning) {
+            this.elements.aiReasoning.innerHTML = '';
+            this.elements.aiReasoning.classList.add('hidden');
         }
     }
 
@@ -405,21 +1091,53 @@ class GameUI {
         }
 
         if (isThinking) {
-            this.announce('AI is thinking...');
+            this.announce(this.elements.aiThinkingText?.textContent || 'AI is thinking...');
         }
     }
 
     /**
      * Start the game timer
+     * @param {number} elapsedSeconds - Time already played, when resuming (optional)
      */
-    startTimer() {
-        this.gameStartTime = Date.now();
-        this.gameTimer = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.gameStartTime) / 1000);
-            if (this.elements.gameTime) {
-                this.elements.gameTime.textContent = GameUtils.formatTime(elapsed);
-            }
-        }, 1000);
+    startTimer(elapsedSeconds = 0, timeLimit = 0) {
+        this.gameStartTime = Date.now() - elapsedSeconds * 1000;
+        this.timeLimit = timeLimit;
+        this.renderTime();
+
+        this.gameTimer = setInterval(() => this.renderTime(), 1000);
+    }
+
+    /**
+     * Show the time played, or the time left when the game is against the clock
+     */
+    renderTime() {
+        if (this.elements.gameTime) {
+            const elapsed = this.getElapsedTime();
+            this.elements.gameTime.textContent =
+                GameUtils.formatTime(this.timeLimit ? Math.max(0, this.timeLimit - elapsed) : elapsed);
+        }
+    }
+
+    /**
+     * Set how the game's clock is shown
+     * @param {string} clock - 'up' for the time played, 'down' for the time left, 'none' to hide it
+     */
+    setClock(clock) {
+        this.elements.timeStat?.classList.toggle('hidden', clock === 'none');
+        if (this.elements.timeLabel) {
+            this.elements.timeLabel.textContent = clock === 'down' ? 'Time Left' : 'Time';
+        }
+    }
+
+    /**
+     * Get the time played in the current game
+     * @returns {number} - Elapsed time in seconds
+     */
+    getElapsedTime() {
+        if (!this.gameStartTime) {
+            return 0;
+        }
+        return Math.floor((Date.now() - this.gameStartTime) / 1000);
     }
 
     /**
@@ -432,10 +1150,7 @@ class GameUI {
             this.gameTimer = null;
         }
         
-        if (this.gameStartTime) {
-            return Math.floor((Date.now() - this.gameStartTime) / 1000);
-        }
-        return 0;
+        return this.getElapsedTime();
     }
 
     /**
@@ -491,6 +1206,97 @@ class GameUI {
                 option.classList.add('selected');
             }
         });
+        this.elements.customBoardForm?.classList.toggle('selected', difficulty === 'custom');
+    }
+
+    /**
+     * Show a custom board size in the difficulty modal
+     * @param {Object} board - { rows, cols }
+     */
+    selectCustomBoard({ rows, cols }) {
+        if (this.elements.customRows) {
+            this.elements.customRows.value = rows;
+        }
+        if (this.elements.customCols) {
+            this.elements.customCols.value = cols;
+        }
+        this.updateCustomBoardNote();
+    }
+
+    /**
+     * Read the custom board size entered in the difficulty modal
+     * @returns {Object} - { rows, cols }
+     */
+    getCustomBoard() {
+        return {
+            rows: parseInt(this.elements.customRows?.value, 10),
+            cols: parseInt(this.elements.customCols?.value, 10)
+        };
+    }
+
+    /**
+     * Describe the custom board size being entered
+     */
+    updateCustomBoardNote() {
+        if (!this.elements.customBoardNote) return;
+
+        const { rows, cols } = this.getCustomBoard();
+        const { minSize, maxSize } = GameUtils.GAME_CONSTANTS.CUSTOM_BOARD;
+        const valid = GameEngine.getBoardConfig('custom', { rows, cols }) !== null;
+        const cells = rows * cols;
+        const rule = MatchRules.create(this.elements.matchRule?.value || MatchRules.DEFAULT);
+        const sets = `${rule.getSetCount(cells)} ${rule.setSize === 3 ? 'triples' : 'pairs'}`;
+        const blanks = cells - rule.getCardCount(cells);
+
+        this.elements.customBoardNote.textContent = !valid
+            ? `Rows and columns go from ${minSize} to ${maxSize}.`
+            : `${sets}${blanks === 0 ? '' : ` and ${blanks === 1 ? 'a blank card' : `${blanks} blank cards`} in the middle`}.`;
+        this.elements.customBoardForm?.querySelector('button[type="submit"]')?.toggleAttribute('disabled', !valid);
+    }
+
+    /**
+     * Select personality option
+     * @param {string} personality - Key of GAME_CONSTANTS.PERSONALITIES, or '' for none
+     */
+    selectPersonality(personality) {
+        this.elements.personalityOptions?.forEach(option => {
+            const selected = option.dataset.personality === personality;
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-checked', String(selected));
+        });
+    }
+
+    /**
+     * Show the selected AI speed
+     * @param {number} speed - Speed factor
+     */
+    selectAISpeed(speed) {
+        if (this.elements.aiSpeed) {
+            this.elements.aiSpeed.value = String(speed);
+        }
+    }
+
+    /**
+     * Show whether adaptive difficulty is on and where it has settled
+     * @param {Object} status - { enabled, level, levelName, recentWinRate, recentGames }
+     */
+    updateAdaptiveStatus(status) {
+        if (this.elements.adaptiveToggle) {
+            this.elements.adaptiveToggle.checked = status.enabled;
+        }
+        if (!this.elements.adaptiveLevel) return;
+
+        if (!status.enabled) {
+            this.elements.adaptiveLevel.textContent = '';
+            return;
+        }
+
+        const name = status.levelName.charAt(0).toUpperCase() + status.levelName.slice(1);
+        let text = `AI level: ${name} (${status.level.toFixed(1)})`;
+        if (status.recentWinRate !== null) {
+            text += ` · You won ${Math.round(status.recentWinRate * 100)}% of your last ${status.recentGames}`;
+        }
+        this.elements.adaptiveLevel.textContent = text;
     }
 
     /**
@@ -502,23 +1308,29 @@ class GameUI {
 
         // Update result title
         if (this.elements.gameResultTitle) {
-            let title = 'Game Over';
-            if (gameResult.winner === 'player') {
-                title = '🎉 You Won!';
-            } else if (gameResult.winner === 'ai') {
-                title = '🤖 AI Wins!';
-            } else {
-                title = '🤝 It\'s a Tie!';
-            }
-            this.elements.gameResultTitle.textContent = title;
+            this.elements.gameResultTitle.textContent = this.getResultTitle(gameResult);
         }
 
-        // Update final scores
-        if (this.elements.finalPlayerScore) {
-            this.elements.finalPlayerScore.textContent = gameResult.playerScore || 0;
-        }
-        if (this.elements.finalAiScore) {
-            this.elements.finalAiScore.textContent = gameResult.aiScore || 0;
+        // Update final scores, highest first, or how a solo game went
+        const mode = GameModes.create(gameResult.mode || GameModes.DEFAULT);
+        if (this.elements.finalScores && mode.solo) {
+            this.elements.finalScores.innerHTML = '';
+            this.describeSoloResult(gameResult).forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                this.elements.finalScores.appendChild(line);
+            });
+        } else if (this.elements.finalScores) {
+            this.elements.finalScores.innerHTML = '';
+            [...gameResult.seats]
+                .sort((a, b) => gameResult.scores[b.id] - gameResult.scores[a.id])
+                .forEach(seat => {
+                    const line = document.createElement('p');
+                    const hints = gameResult.hintsUsed?.[seat.id] || 0;
+                    line.textContent = `${seat.name}: ${gameResult.scores[seat.id]}` +
+                        (hints > 0 ? ` (${hints} hint${hints === 1 ? '' : 's'}, −${hints * gameResult.hintPenalty})` : '');
+                    this.elements.finalScores.appendChild(line);
+                });
         }
         if (this.elements.finalMoves) {
             this.elements.finalMoves.textContent = gameResult.totalMoves || 0;
@@ -526,6 +1338,13 @@ class GameUI {
         if (this.elements.finalTime) {
             this.elements.finalTime.textContent = GameUtils.formatTime(gameResult.gameTime || 0);
         }
+        this.elements.finalTimeLine?.classList.toggle('hidden', mode.clock === 'none');
+
+        const record = gameResult.record ? this.describeRecord(gameResult.record, mode) : '';
+        if (this.elements.soloRecord) {
+            this.elements.soloRecord.textContent = record;
+            this.elements.soloRecord.classList.toggle('hidden', !record);
+        }
 
         // Show modal
         this.elements.gameOverModal.classList.add('show');
@@ -537,8 +1356,187 @@ class GameUI {
         }
 
         // Announce result
-        this.announce(`Game over! ${gameResult.winner === 'player' ? 'You won' : 
-            gameResult.winner === 'ai' ? 'AI won' : 'It\'s a tie'}!`);
+        this.announce(`Game over! ${this.getResultTitle(gameResult).replace(/^\S+ /, '')}`);
+    }
+
+    /**
+     * Show the move analysis of a finished game in the game over modal
+     * @param {Object} analysis - Result of GameAnalysis.analyze()
+     * @param {Array} seats - Seats to report on
+     */
+    showGameAnalysis(analysis, seats) {
+        const container = this.elements.gameAnalysis;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const reported = seats.filter(seat => analysis.players[seat.id]?.turns > 0);
+        container.classList.toggle('hidden', reported.length === 0);
+        if (reported.length === 0) return;
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Move Analysis';
+        container.appendChild(heading);
+
+        reported.forEach(seat => {
+            const { turns, counts, accuracy } = analysis.players[seat.id];
+            const line = document.createElement('p');
+            const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+            line.textContent = `${seat.name}: ${Math.round(accuracy * 100)}% accuracy ` +
+                `(${counts.optimal} of ${turns} turns optimal) · ` +
+                `${plural(counts.missedPair, 'missed pair', 'missed pairs')}, ` +
+                `${plural(counts.repeatedMismatch, 'repeated mismatch', 'repeated mismatches')}, ` +
+                `${plural(counts.wastedFlip, 'wasted flip', 'wasted flips')}`;
+            container.appendChild(line);
+        });
+
+        const mistakes = analysis.mistakes
+            .filter(mistake => reported.some(seat => seat.id === mistake.player))
+            .slice(0, GameAnalysis.MISTAKES_SHOWN);
+        if (mistakes.length === 0) return;
+
+        const title = document.createElement('p');
+        title.textContent = 'Costliest mistakes:';
+        const list = document.createElement('ol');
+        mistakes.forEach(mistake => {
+            const item = document.createElement('li');
+            item.textContent = this.describeMistake(mistake);
+            list.appendChild(item);
+        });
+        container.append(title, list);
+    }
+
+    /**
+     * Describe a flagged turn
+     * @param {Object} mistake - { turn, player, cards, type, cost }
+     * @returns {string} - Description
+     */
+    describeMistake({ turn, player, cards, type, cost }) {
+        const { name } = this.getSeatLabel(player);
+        const flips = `cards ${cards[0] + 1} and ${cards[1] + 1}`;
+        const what = {
+            missedPair: `flipped ${flips} while a pair was known`,
+            repeatedMismatch: `flipped ${flips}, already known not to match`,
+            wastedFlip: `flipped ${flips} when another choice was better`
+        }[type];
+        return `Turn ${turn}: ${name} ${what} (about ${cost.toFixed(1)} points lost).`;
+    }
+
+    /**
+     * Describe how a solo game went for the game over modal
+     * @param {Object} gameResult - Game result data
+     * @returns {Array} - Lines of text
+     */
+    describeSoloResult(gameResult) {
+        const lines = [`Matches: ${gameResult.matches}/${gameResult.totalPairs}`];
+        if (gameResult.timeLimit) {
+            lines.push(`Time limit: ${GameUtils.formatTime(gameResult.timeLimit)}`);
+        }
+        if (gameResult.flipLimit) {
+            lines.push(`Flips: ${gameResult.flips} of ${gameResult.flipLimit}`);
+        }
+
+        const hints = Object.values(gameResult.hintsUsed || {}).reduce((sum, count) => sum + count, 0);
+        if (hints > 0) {
+            lines.push(`${hints} hint${hints === 1 ? '' : 's'} taken`);
+        }
+        return lines;
+    }
+
+    /**
+     * Describe the best score on the board a solo game was played on
+     * @param {Object} record - { score, best, previousBest, hinted } from the game's stats
+     * @param {GameMode} mode - Mode of the game
+     * @returns {string} - Text, or '' while the board has never been cleared
+     */
+    describeRecord({ score, best, previousBest, hinted }, mode) {
+        if (hinted) {
+            const bestText = best !== null ? ` Best on this board: ${mode.formatScore(best)}` : '';
+            return `Games with hints don't set a best score.${bestText}`;
+        }
+        if (score !== null && previousBest === null) {
+            return `First clear of this board: ${mode.formatScore(score)}`;
+        }
+        if (score !== null && score < previousBest) {
+            return `New best: ${mode.formatScore(score)}, beating ${mode.formatScore(previousBest)}!`;
+        }
+        return best !== null ? `Best on this board: ${mode.formatScore(best)}` : '';
+    }
+
+    /**
+     * Get the game over title for a result
+     * @param {Object} gameResult - Game result data
+     * @returns {string} - Title such as "🎉 You Won!"
+     */
+    getResultTitle(gameResult) {
+        switch (gameResult.reason) {
+            case 'time':
+                return '⌛ Time\'s Up!';
+            case 'flips':
+                return '🧩 Out of Flips!';
+        }
+
+        if (gameResult.mode === 'timeAttack') {
+            return '⏱️ Beat the Clock!';
+        }
+        if (gameResult.mode === 'puzzle') {
+            return '🧩 Puzzle Solved!';
+        }
+        if (gameResult.mode === 'zen') {
+            return '🧘 Board Cleared!';
+        }
+
+        if (gameResult.winner === 'tie') {
+            return '🤝 It\'s a Tie!';
+        }
+
+        const seat = gameResult.seats.find(s => s.id === gameResult.winner);
+        const { name, isYou } = this.getSeatLabel(gameResult.winner);
+        if (isYou) {
+            return '🎉 You Won!';
+        }
+        return seat?.type === 'ai' ? `🤖 ${name} Wins!` : `🎉 ${name} Wins!`;
+    }
+
+    /**
+     * Get the closing status message for a result
+     * @param {Object} gameResult - Game result data
+     * @returns {string} - Status message
+     */
+    getResultMessage(gameResult) {
+        const found = `You found ${gameResult.matches} of ${gameResult.totalPairs} matches.`;
+        switch (gameResult.reason) {
+            case 'time':
+                return `⌛ Time's up! ${found}`;
+            case 'flips':
+                return `🧩 Out of flips! ${found}`;
+        }
+
+        if (gameResult.mode === 'timeAttack') {
+            return `⏱️ Cleared with ${GameUtils.formatTime(Math.max(0, gameResult.timeLimit - gameResult.gameTime))} to spare!`;
+        }
+        if (gameResult.mode === 'puzzle') {
+            const spare = gameResult.flipLimit - gameResult.flips;
+            return `🧩 Solved with ${spare} flip${spare === 1 ? '' : 's'} to spare!`;
+        }
+        if (gameResult.mode === 'zen') {
+            return `🧘 Board cleared in ${gameResult.totalMoves} moves.`;
+        }
+
+        if (gameResult.winner === 'tie') {
+            return '🤝 It\'s a tie! Great game!';
+        }
+
+        const seat = gameResult.seats.find(s => s.id === gameResult.winner);
+        const { name, isYou } = this.getSeatLabel(gameResult.winner);
+        const hasAI = gameResult.seats.some(s => s.type === 'ai');
+
+        if (isYou && hasAI) {
+            return '🎉 Congratulations! You beat the AI!';
+        }
+        if (seat?.type === 'ai') {
+            return `🤖 ${name} wins this round! Try again?`;
+        }
+        return `🎉 Congratulations, ${name}!`;
     }
 
     /**
@@ -553,6 +1551,171 @@ class GameUI {
         }
     }
 
+    /**
+     * Offer to resume a saved game
+     * @param {Object} summary - Saved game summary (difficulty, board, mode, matches, totalPairs, seats, scores)
+     */
+    showResumeModal(summary) {
+        if (!this.elements.resumeModal) return;
+
+        if (this.elements.resumeSummary) {
+            const board = this.describeBoard(summary.difficulty, summary.board);
+            const mode = GameModes.has(summary.mode) && summary.mode !== GameModes.DEFAULT
+                ? ` ${GameModes.list().find(({ name }) => name === summary.mode).label.toLowerCase()}`
+                : '';
+            const scores = summary.seats
+                .map(seat => `${seat.name} ${summary.scores[seat.id] || 0}`)
+                .join(', ');
+            this.elements.resumeSummary.textContent =
+                `${board}${mode} game, ${summary.matches}/${summary.totalPairs} matches found. ` +
+                `Score: ${scores}.`;
+        }
+
+        this.elements.resumeModal.classList.add('show');
+        this.elements.resumeModal.style.display = 'flex';
+
+        if (this.elements.resumeBtn) {
+            GameUtils.accessibility.focus(this.elements.resumeBtn, 100);
+        }
+
+        this.announce('A saved game was found. Resume it or start a new game.');
+    }
+
+    /**
+     * Hide resume prompt
+     */
+    hideResumeModal() {
+        if (this.elements.resumeModal) {
+            this.elements.resumeModal.classList.remove('show');
+            setTimeout(() => {
+                this.elements.resumeModal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    /**
+     * Show the players setup modal
+     */
+    showPlayersModal() {
+        if (!this.elements.playersModal) return;
+
+        this.renderSeatRows(this.lineup);
+        this.elements.playersModal.classList.add('show');
+        this.elements.playersModal.style.display = 'flex';
+
+        const firstInput = this.elements.seatList?.querySelector('input');
+        if (firstInput) {
+            GameUtils.accessibility.focus(firstInput, 100);
+        }
+    }
+
+    /**
+     * Hide the players setup modal
+     */
+    hidePlayersModal() {
+        if (this.elements.playersModal) {
+            this.elements.playersModal.classList.remove('show');
+            setTimeout(() => {
+                this.elements.playersModal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    /**
+     * Render one editable row per seat in the players modal
+     * @param {Array} seats - Seats to edit
+     */
+    renderSeatRows(seats) {
+        if (!this.elements.seatList) return;
+
+        this.elements.seatList.innerHTML = '';
+        seats.forEach((seat, index) => {
+            const row = document.createElement('div');
+            row.className = `seat-row seat-${index}`;
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'seat-name';
+            nameInput.maxLength = 20;
+            nameInput.value = seat.name;
+            nameInput.setAttribute('aria-label', `Player ${index + 1} name`);
+
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'seat-type';
+            typeSelect.setAttribute('aria-label', `Player ${index + 1} type`);
+            typeSelect.innerHTML = '<option value="human">Human</option><option value="ai">AI</option>';
+            typeSelect.value = seat.type;
+
+            const difficultySelect = document.createElement('select');
+            difficultySelect.className = 'seat-difficulty';
+            difficultySelect.setAttribute('aria-label', `Player ${index + 1} AI level`);
+            difficultySelect.innerHTML = '<option value="">Board level</option>' +
+                Object.keys(GameUtils.GAME_CONSTANTS.DIFFICULTIES)
+                    .filter(level => level !== 'custom') // A custom board's AI plays as at intermediate
+                    .map(level => `<option value="${level}">${level.charAt(0).toUpperCase() + level.slice(1)}</option>`)
+                    .join('');
+            difficultySelect.value = seat.difficulty || '';
+            difficultySelect.classList.toggle('hidden', seat.type !== 'ai');
+
+            const strategySelect = document.createElement('select');
+            strategySelect.className = 'seat-strategy';
+            strategySelect.setAttribute('aria-label', `Player ${index + 1} AI strategy`);
+            strategySelect.innerHTML = AIStrategies.list()
+                .map(({ name, label }) => `<option value="${name}">${label}</option>`)
+                .join('');
+            strategySelect.value = seat.strategy || AIStrategies.DEFAULT;
+            strategySelect.classList.toggle('hidden', seat.type !== 'ai');
+
+            typeSelect.addEventListener('change', () => {
+                difficultySelect.classList.toggle('hidden', typeSelect.value !== 'ai');
+                strategySelect.classList.toggle('hidden', typeSelect.value !== 'ai');
+            });
+
+            row.appendChild(nameInput);
+            row.appendChild(typeSelect);
+            row.appendChild(difficultySelect);
+            row.appendChild(strategySelect);
+
+            if (seats.length > GameEngine.MIN_SEATS) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'modal-close seat-remove';
+                removeBtn.innerHTML = '&times;';
+                removeBtn.setAttribute('aria-label', `Remove player ${index + 1}`);
+                removeBtn.addEventListener('click', () => {
+                    const remaining = this.readSeatRows().filter((_, i) => i !== index);
+                    this.renderSeatRows(remaining);
+                });
+                row.appendChild(removeBtn);
+            }
+
+            this.elements.seatList.appendChild(row);
+        });
+
+        if (this.elements.addSeatBtn) {
+            this.elements.addSeatBtn.disabled = seats.length >= GameEngine.MAX_SEATS;
+        }
+    }
+
+    /**
+     * Read the seats currently entered in the players modal
+     * @returns {Array} - Seats in turn order
+     */
+    readSeatRows() {
+        const rows = this.elements.seatList?.querySelectorAll('.seat-row') || [];
+        return Array.from(rows).map((row, index) => {
+            const type = row.querySelector('.seat-type').value;
+            const difficulty = row.querySelector('.seat-difficulty').value;
+            const strategy = row.querySelector('.seat-strategy').value;
+            return {
+                id: `seat-${index + 1}`,
+                name: row.querySelector('.seat-name').value.trim() || `Player ${index + 1}`,
+                type,
+                ...(type === 'ai' && difficulty ? { difficulty } : {}),
+                ...(type === 'ai' && strategy !== AIStrategies.DEFAULT ? { strategy } : {})
+            };
+        });
+    }
+
     /**
      * Show help message
      */
@@ -580,6 +1743,11 @@ class GameUI {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyboardInput(event) {
+        // Leave typing in form fields alone
+        if (event.key !== 'Escape' && event.target.closest?.('input, textarea')) {
+            return;
+        }
+
         // Close modals with Escape key
         if (event.key === 'Escape') {
             if (this.elements.difficultyModal?.classList.contains('show')) {
@@ -588,6 +1756,9 @@ class GameUI {
             if (this.elements.gameOverModal?.classList.contains('show')) {
                 this.hideGameOverModal();
             }
+            if (this.elements.playersModal?.classList.contains('show')) {
+                this.hidePlayersModal();
+            }
         }
 
         // Restart game with R key
@@ -596,6 +1767,13 @@ class GameUI {
                 GameUtils.eventEmitter.emit('restartGame');
             }
         }
+
+        // Ask for a hint with H key
+        if (event.key === 'h' || event.key === 'H') {
+            if (!event.ctrlKey && !event.metaKey) {
+                GameUtils.eventEmitter.emit('hintRequested');
+            }
+        }
     }
 
     /**
@@ -633,7 +1811,7 @@ class GameUI {
         this.isAnimating = false;
         
         // Reset scores
-        this.updateScore(0, 0);
+        this.updateScore({});
         
         // Reset timer display
         if (this.elements.gameTime) {
@@ -645,6 +1823,8 @@ class GameUI {
         
         // Hide AI thinking
         this.showAIThinking(false);
+        this.clearAIReasoning();
+        this.elements.aiQuip?.classList.add('hidden');
         
         // Clear game board
         if (this.elements.gameBoard) {
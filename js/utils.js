@@ -7,12 +7,13 @@ class GameUtils {
     /**
      * Shuffle an array using Fisher-Yates algorithm
      * @param {Array} array - Array to shuffle
+     * @param {Function} random - Random source returning [0, 1) (optional)
      * @returns {Array} - Shuffled array
      */
-    static shuffleArray(array) {
+    static shuffleArray(array, random = Math.random) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -22,10 +23,54 @@ class GameUtils {
      * Generate a random number between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {Function} random - Random source returning [0, 1) (optional)
      * @returns {number} - Random number
      */
-    static randomBetween(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomBetween(min, max, random = Math.random) {
+        return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {string|number} seed - Seed value; strings are hashed first
+     * @returns {Function} - Function returning a number in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : GameUtils.hashString(String(seed));
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} - 32-bit hash
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a new random seed code
+     * @returns {string} - Seed code made of unambiguous characters
+     */
+    static generateSeed() {
+        const alphabet = GameUtils.GAME_CONSTANTS.SEED_ALPHABET;
+        let seed = '';
+        for (let i = 0; i < GameUtils.GAME_CONSTANTS.SEED_LENGTH; i++) {
+            seed += alphabet[Math.floor(Math.random() * alphabet.length)];
+        }
+        return seed;
     }
 
     /**
@@ -84,10 +129,11 @@ class GameUtils {
     /**
      * Get a random element from an array
      * @param {Array} array - Array to pick from
+     * @param {Function} random - Random source returning [0, 1) (optional)
      * @returns {*} - Random element
      */
-    static randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    static randomChoice(array, random = Math.random) {
+        return array[Math.floor(random() * array.length)];
     }
 
     /**
@@ -131,12 +177,15 @@ class GameUtils {
          * Save data to localStorage
          * @param {string} key - Storage key
          * @param {*} data - Data to save
+         * @returns {boolean} - Whether the data was saved; it isn't when storage is full
          */
         save(key, data) {
             try {
                 localStorage.setItem(key, JSON.stringify(data));
+                return true;
             } catch (error) {
                 console.warn('Failed to save to localStorage:', error);
+                return false;
             }
         },
 
@@ -170,45 +219,53 @@ class GameUtils {
     };
 
     /**
-     * Event emitter for custom events
+     * Create an independent event emitter
+     * @returns {Object} - Emitter with on, off and emit methods
      */
-    static eventEmitter = {
-        events: {},
+    static createEventEmitter() {
+        return {
+            events: {},
 
-        /**
-         * Subscribe to an event
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function
-         */
-        on(event, callback) {
-            if (!this.events[event]) {
-                this.events[event] = [];
-            }
-            this.events[event].push(callback);
-        },
+            /**
+             * Subscribe to an event
+             * @param {string} event - Event name
+             * @param {Function} callback - Callback function
+             */
+            on(event, callback) {
+                if (!this.events[event]) {
+                    this.events[event] = [];
+                }
+                this.events[event].push(callback);
+            },
 
-        /**
-         * Unsubscribe from an event
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function to remove
-         */
-        off(event, callback) {
-            if (this.events[event]) {
-                this.events[event] = this.events[event].filter(cb => cb !== callback);
-            }
-        },
+            /**
+             * Unsubscribe from an event
+             * @param {string} event - Event name
+             * @param {Function} callback - Callback function to remove
+             */
+            off(event, callback) {
+                if (this.events[event]) {
+                    this.events[event] = this.events[event].filter(cb => cb !== callback);
+                }
+            },
 
-        /**
-         * Emit an event
-         * @param {string} event - Event name
-         * @param {*} data - Data to pass to callbacks
-         */
-        emit(event, data) {
-            if (this.events[event]) {
-                this.events[event].forEach(callback => callback(data));
+            /**
+             * Emit an event
+             * @param {string} event - Event name
+             * @param {*} data - Data to pass to callbacks
+             */
+            emit(event, data) {
+                if (this.events[event]) {
+                    this.events[event].forEach(callback => callback(data));
+                }
             }
-        }
-    };
+        };
+    }
+
+    /**
+     * Event emitter for custom events
+     */
+    static eventEmitter = GameUtils.createEventEmitter();
 
     /**
      * Performance monitoring utilities
@@ -283,17 +340,73 @@ class GameUtils {
      * Game-specific constants
      */
     static GAME_CONSTANTS = {
+        // One symbol per pair, so the largest custom board needs as many symbols as it has pairs
         SYMBOLS: [
-            '⭐', '🔵', '🔺', '🟩', '❤️', '🟨', '💎', '⚡', '🍀', '🔥'
+            '⭐', '🔵', '🔺', '🟩', '❤️', '🟨', '💎', '⚡', '🍀', '🔥',
+            '🌙', '🍎', '🐱', '🐶', '🚀', '🎵', '🌸', '🍕', '🎈', '⚓',
+            '🦋', '🍩', '🎯', '🌵', '🍉', '🐙', '🎸', '🌈', '🍄', '🐝',
+            '🔔', '🎁', '🐧', '🍋', '🌻', '🦊', '🍇', '🎩', '🐸', '☂️',
+            '🍓', '🦉', '🎨', '🌊', '🐳', '🍒', '🔑', '🌍', '🦄', '🧩',
+            '🐞', '🥕'
         ],
         SYMBOL_NAMES: [
-            'star', 'circle', 'triangle', 'square', 'heart', 'yellow-square', 'diamond', 'lightning', 'clover', 'fire'
+            'star', 'circle', 'triangle', 'square', 'heart', 'yellow-square', 'diamond', 'lightning', 'clover', 'fire',
+            'moon', 'apple', 'cat', 'dog', 'rocket', 'note', 'blossom', 'pizza', 'balloon', 'anchor',
+            'butterfly', 'doughnut', 'target', 'cactus', 'watermelon', 'octopus', 'guitar', 'rainbow', 'mushroom', 'bee',
+            'bell', 'gift', 'penguin', 'lemon', 'sunflower', 'fox', 'grapes', 'top-hat', 'frog', 'umbrella',
+            'strawberry', 'owl', 'palette', 'wave', 'whale', 'cherries', 'key', 'globe', 'unicorn', 'puzzle',
+            'ladybird', 'carrot'
         ],
+        // Families of symbol names for the families match rule, where any two cards of a family match
+        SYMBOL_FAMILIES: {
+            shapes: ['star', 'circle', 'triangle', 'square', 'heart', 'yellow-square', 'diamond'],
+            nature: ['lightning', 'clover', 'fire', 'moon', 'blossom', 'cactus', 'rainbow', 'mushroom',
+                'sunflower', 'wave', 'globe'],
+            animals: ['cat', 'dog', 'butterfly', 'octopus', 'bee', 'penguin', 'fox', 'frog', 'owl', 'whale',
+                'unicorn', 'ladybird'],
+            food: ['apple', 'pizza', 'doughnut', 'watermelon', 'lemon', 'grapes', 'strawberry', 'cherries', 'carrot'],
+            things: ['rocket', 'note', 'balloon', 'anchor', 'target', 'guitar', 'bell', 'gift', 'top-hat',
+                'umbrella', 'palette', 'key', 'puzzle']
+        },
         DIFFICULTIES: {
-            beginner: { rows: 4, cols: 4, aiAccuracy: 0.7 },
-            intermediate: { rows: 4, cols: 6, aiAccuracy: 0.85 },
-            advanced: { rows: 6, cols: 6, aiAccuracy: 0.95 },
-            expert: { rows: 6, cols: 8, aiAccuracy: 0.98 }
+            // memoryHalfLife: turns until the AI is half as likely to recall a card seen once
+            // memoryConfusion: chance on a 4x4 board of recalling a card one cell off
+            // aiExploration: how often the AI explores rather than exploits when a game starts; it falls as pairs are found
+            beginner: { rows: 4, cols: 4, aiAccuracy: 0.7, memoryHalfLife: 6, memoryConfusion: 0.2, aiExploration: 0.5 },
+            intermediate: { rows: 4, cols: 6, aiAccuracy: 0.85, memoryHalfLife: 12, memoryConfusion: 0.12, aiExploration: 0.45 },
+            advanced: { rows: 6, cols: 6, aiAccuracy: 0.95, memoryHalfLife: 24, memoryConfusion: 0.06, aiExploration: 0.4 },
+            expert: { rows: 6, cols: 8, aiAccuracy: 0.98, memoryHalfLife: 60, memoryConfusion: 0.02, aiExploration: 0.35 },
+            // Board of the players' own size (rows and cols are only the default); the AI plays as at intermediate
+            custom: { rows: 5, cols: 5, aiAccuracy: 0.85, memoryHalfLife: 12, memoryConfusion: 0.12, aiExploration: 0.45 }
+        },
+        CUSTOM_BOARD: { minSize: 2, maxSize: 10 }, // Rows and columns allowed on a custom board
+        PERSONALITIES: {
+            // style: overrides of MemoryAI.DEFAULT_STYLE; thinkingTime: base thinking time in ms;
+            // halfLifeScale: stretches or shortens the difficulty's memory half-life
+            collector: {
+                name: 'Cautious Collector', avatar: '🐢',
+                style: { riskTolerance: 0.4, caution: 0.7, blockRate: 0.1 },
+                thinkingTime: 2400, halfLifeScale: 1.5,
+                lines: { thinking: 'Taking it slow…', match: 'Another one for the collection.', miss: 'No harm done, nothing new given away.' }
+            },
+            gambler: {
+                name: 'Aggressive Gambler', avatar: '🎲',
+                style: { riskTolerance: 0.8, caution: 0, blockRate: 0.1 },
+                thinkingTime: 700, halfLifeScale: 1,
+                lines: { thinking: 'Feeling lucky…', match: 'Fortune favours the bold!', miss: 'Worth a shot.' }
+            },
+            blocker: {
+                name: 'Blocker', avatar: '🛡️',
+                style: { blockRate: 0.9 },
+                thinkingTime: 1500, halfLifeScale: 1,
+                lines: { thinking: 'Watching where you look…', match: 'Got there first.', miss: 'Your favourite corner is not safe now.' }
+            },
+            streaky: {
+                name: 'Streaky Forgetful', avatar: '🌪️',
+                style: { streakiness: 0.3 },
+                thinkingTime: 1200, halfLifeScale: 0.9,
+                lines: { thinking: 'Now where was that…', match: 'On a roll!', miss: 'Huh, I was sure about that one.' }
+            }
         },
         ANIMATION_DURATIONS: {
             cardFlip: 400,
@@ -301,10 +414,18 @@ class GameUtils {
             cardShake: 350,
             aiThinking: 700
         },
+        SEED_ALPHABET: '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+        SEED_LENGTH: 6,
+        POLICY_FILE: 'policies/learned.json', // Trained policy for the learned strategy, from tools/train.js
         STORAGE_KEYS: {
             gameStats: 'memorymind_stats',
             difficulty: 'memorymind_difficulty',
-            settings: 'memorymind_settings'
+            savedGame: 'memorymind_saved_game',
+            seats: 'memorymind_seats',
+            settings: 'memorymind_settings',
+            adaptive: 'memorymind_adaptive',
+            players: 'memorymind_players',
+            decks: 'memorymind_decks'
         }
     };
 }
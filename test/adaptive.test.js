@@ -0,0 +1,80 @@
+/**
+ * Adaptive difficulty: AI tuning per level and how results move the level
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.MemorySolver = require('../js/solver.js');
+global.AIStrategies = require('../js/strategies.js');
+global.BeliefState = require('../js/belief.js');
+global.LearnedPolicy = require('../js/policy.js');
+const AdaptiveDifficulty = require('../js/adaptive.js');
+const MemoryAI = require('../js/ai.js');
+
+const { DIFFICULTIES } = GameUtils.GAME_CONSTANTS;
+
+test('each level tunes the AI like its difficulty', () => {
+    const config = new AdaptiveDifficulty({ level: 2 }).getAIConfig();
+    assert.deepStrictEqual(config, {
+        memoryAccuracy: DIFFICULTIES.intermediate.aiAccuracy,
+        explorationRate: DIFFICULTIES.intermediate.aiExploration,
+        decay: { halfLife: DIFFICULTIES.intermediate.memoryHalfLife },
+        confusion: DIFFICULTIES.intermediate.memoryConfusion
+    });
+});
+
+test('levels in between mix the neighbouring tunings', () => {
+    const { explorationRate } = new AdaptiveDifficulty({ level: 3.5 }).getAIConfig();
+    const expected = (DIFFICULTIES.advanced.aiExploration + DIFFICULTIES.expert.aiExploration) / 2;
+    assert.ok(Math.abs(explorationRate - expected) < 1e-9);
+});
+
+test('the AI explores less as pairs are found, from its configured rate', () => {
+    const ai = new MemoryAI('beginner');
+    ai.configure(new AdaptiveDifficulty({ level: 0 }).getAIConfig());
+    assert.strictEqual(ai.explorationRate, AdaptiveDifficulty.LEVELS[0].aiExploration);
+
+    ai.recordMoveResult([0, 1], false, ['a', 'b']);
+    assert.strictEqual(ai.explorationRate, AdaptiveDifficulty.LEVELS[0].aiExploration);
+
+    ai.recordMoveResult([0, 1], true, ['a', 'a']);
+    assert.ok(ai.explorationRate < AdaptiveDifficulty.LEVELS[0].aiExploration);
+    assert.ok(ai.explorationRate >= AdaptiveDifficulty.LEVELS[0].aiExploration * 0.2);
+
+    ai.reset();
+    assert.strictEqual(ai.explorationRate, AdaptiveDifficulty.LEVELS[0].aiExploration);
+});
+
+/**
+ * Build the result of a game between one human and one AI
+ * @param {number} human - Human's score
+ * @param {number} ai - AI's score
+ * @returns {Object} - { seats, scores } as in GameEngine.getResult()
+ */
+function resultOf(human, ai) {
+    return {
+        seats: [{ id: 'player', type: 'human' }, { id: 'ai', type: 'ai' }],
+        scores: { player: human, ai }
+    };
+}
+
+test('a whitewash moves the level by a full step', () => {
+    const adaptive = new AdaptiveDifficulty({ level: 2 });
+    assert.strictEqual(adaptive.recordGame(resultOf(0, 8)), 2 - AdaptiveDifficulty.STEP);
+    assert.strictEqual(adaptive.recordGame(resultOf(8, 0)), 2);
+});
+
+test('scores below zero from hint penalties move the level no more than a step', () => {
+    const losing = new AdaptiveDifficulty({ level: 2 });
+    assert.strictEqual(losing.recordGame(resultOf(-1, 3)), 2 - AdaptiveDifficulty.STEP);
+
+    const winning = new AdaptiveDifficulty({ level: 2 });
+    assert.strictEqual(winning.recordGame(resultOf(3, -1.5)), 2 + AdaptiveDifficulty.STEP);
+
+    const tied = new AdaptiveDifficulty({ level: 2 });
+    assert.strictEqual(tied.recordGame(resultOf(-0.5, -0.5)), 2);
+});
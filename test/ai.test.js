@@ -0,0 +1,59 @@
+/**
+ * MemoryAI learning over a game under each match rule
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+global.MemorySolver = require('../js/solver.js');
+global.AIStrategies = require('../js/strategies.js');
+global.BeliefState = require('../js/belief.js');
+global.LearnedPolicy = require('../js/policy.js');
+const GameEngine = require('../js/engine.js');
+const MemoryAI = require('../js/ai.js');
+
+/**
+ * Clear a beginner board under a rule, telling an AI about every match
+ * @param {string} rule - Match rule name
+ * @returns {Object} - { ai, rates } where rates is the AI's exploration rate after each match
+ */
+function clearBoard(rule) {
+    const engine = new GameEngine('beginner');
+    engine.setRule(rule);
+    engine.newGame('ai-test');
+
+    const ai = new MemoryAI('beginner');
+    ai.setBoard(4, 4);
+    ai.setDeck(engine.getSymbolCounts());
+    ai.setTotalPairs(engine.totalPairs);
+
+    const sets = new Map();
+    engine.state.cards.forEach((card, index) => {
+        if (!card.filler && !card.odd) {
+            sets.set(card.pairId, [...(sets.get(card.pairId) || []), index]);
+        }
+    });
+    // A family holds several pairs, so its cards are matched a set at a time
+    const setSize = engine.rule.setSize;
+    const matches = Array.from(sets.values()).flatMap(cards => Array.from(
+        { length: cards.length / setSize }, (_, i) => cards.slice(i * setSize, (i + 1) * setSize)));
+    const rates = [];
+    matches.forEach(cards => {
+        const keys = cards.map(index => engine.getMatchKey(engine.state.cards[index]));
+        ai.recordMoveResult(cards, true, keys);
+        rates.push(ai.explorationRate);
+    });
+    return { ai, rates };
+}
+
+['pairs', 'triples', 'families', 'oddOneOut'].forEach(rule => {
+    test(`exploration falls to its floor as a ${rule} board is cleared`, () => {
+        const { ai, rates } = clearBoard(rule);
+        rates.slice(1).forEach((rate, index) => assert.ok(rate < rates[index]));
+        assert.ok(Math.abs(rates[rates.length - 1] - ai.baseExploration * 0.2) < 1e-9);
+    });
+});
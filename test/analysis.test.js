@@ -0,0 +1,77 @@
+/**
+ * GameAnalysis: judging recorded turns against perfect-memory play
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.MatchRules = require('../js/rules.js');
+global.MemorySolver = require('../js/solver.js');
+const GameAnalysis = require('../js/analysis.js');
+
+const SEATS = [{ id: 'player', name: 'Player', type: 'human' }, { id: 'ai', name: 'AI', type: 'ai' }];
+
+/**
+ * Build a recording of a game on a board of four pairs laid out 0 1 2 3 0 1 2 3
+ * @param {Array} turns - [player, first card, second card] per turn
+ * @param {Object} header - Header fields to override (optional)
+ * @returns {Object} - Recording as made by GameRecorder
+ */
+function record(turns, header = {}) {
+    const cards = [0, 1, 2, 3, 0, 1, 2, 3].map(pairId => ({ symbol: String(pairId), pairId }));
+    const events = turns.flatMap(([player, first, second]) => [
+        { type: 'flip', player, card: first },
+        { type: 'flip', player, card: second },
+        { type: cards[first].pairId === cards[second].pairId ? 'match' : 'mismatch', player, cards: [first, second] }
+    ]);
+    return { rule: 'pairs', seats: SEATS, cards, events, ...header };
+}
+
+test('turns are flagged by what the player could have known', () => {
+    const analysis = GameAnalysis.analyze(record([
+        ['player', 0, 1], // Nothing known yet
+        ['ai', 0, 1], // Both already known not to match
+        ['player', 4, 5], // 4 is the partner of the known 0, but 5 was flipped instead
+        ['ai', 2, 3], // Two pairs were known and neither was taken
+        ['player', 0, 4]
+    ]));
+
+    assert.deepStrictEqual(analysis.turns.map(turn => turn.type),
+        ['optimal', 'repeatedMismatch', 'missedPair', 'missedPair', 'optimal']);
+    assert.deepStrictEqual(analysis.turns.map(turn => turn.player), ['player', 'ai', 'player', 'ai', 'player']);
+    assert.ok(analysis.turns.every(turn => (turn.type === 'optimal') === (turn.cost === 0)));
+});
+
+test('each seat gets its accuracy and mistakes come worst first', () => {
+    const analysis = GameAnalysis.analyze(record([
+        ['player', 0, 1],
+        ['ai', 0, 1],
+        ['player', 4, 5],
+        ['ai', 2, 3],
+        ['player', 0, 4]
+    ]));
+
+    assert.deepStrictEqual(analysis.players.player.counts,
+        { optimal: 2, missedPair: 1, repeatedMismatch: 0, wastedFlip: 0 });
+    assert.strictEqual(analysis.players.player.accuracy, 2 / 3);
+    assert.strictEqual(analysis.players.ai.accuracy, 0);
+    assert.strictEqual(analysis.mistakes.length, 3);
+    analysis.mistakes.slice(1).forEach((mistake, index) => assert.ok(mistake.cost <= analysis.mistakes[index].cost));
+});
+
+test('taking a known pair is optimal', () => {
+    const analysis = GameAnalysis.analyze(record([
+        ['player', 0, 1],
+        ['ai', 4, 0]
+    ]));
+    assert.deepStrictEqual(analysis.turns.map(turn => turn.type), ['optimal', 'optimal']);
+});
+
+test('only two-player games of pairs are analysed', () => {
+    const turns = [['player', 0, 1], ['ai', 0, 1]];
+    const empty = { turns: [], players: {}, mistakes: [] };
+    assert.deepStrictEqual(GameAnalysis.analyze(record(turns, { rule: 'triples' })), empty);
+    assert.deepStrictEqual(GameAnalysis.analyze(record(turns, { seats: [SEATS[0]] })), empty);
+    assert.deepStrictEqual(GameAnalysis.analyze(record(turns,
+        { seats: [...SEATS, { id: 'ai2', name: 'AI 2', type: 'ai' }] })), empty);
+});
@@ -0,0 +1,81 @@
+/**
+ * Seeded deals and the deal codes that share them
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+const GameEngine = require('../js/engine.js');
+
+/**
+ * Deal the board a code stands for, the way a player entering it would
+ * @param {string} code - Deal code
+ * @returns {GameEngine} - Engine with the deal in play
+ */
+function dealFromCode(code) {
+    const { difficulty, seed, board, rule } = GameEngine.parseDealCode(code);
+    const engine = new GameEngine('expert');
+    engine.setDifficulty(difficulty, board);
+    engine.setRule(rule);
+    engine.newGame(seed);
+    return engine;
+}
+
+test('a seed deals the same board every time', () => {
+    const first = new GameEngine('intermediate');
+    const second = new GameEngine('intermediate');
+    first.newGame('7K2M9Q');
+    second.newGame('7K2M9Q');
+    assert.deepStrictEqual(first.state.cards, second.state.cards);
+
+    second.newGame('7K2M9R');
+    assert.notDeepStrictEqual(first.state.cards, second.state.cards);
+});
+
+test('a deal code reproduces its board', () => {
+    const engine = new GameEngine('advanced');
+    engine.newGame('7K2M9Q');
+    assert.strictEqual(engine.getDealCode(), 'A-7K2M9Q');
+
+    const copy = dealFromCode(engine.getDealCode());
+    assert.deepStrictEqual(copy.state.cards, engine.state.cards);
+    assert.strictEqual(copy.getDealCode(), 'A-7K2M9Q');
+});
+
+test('deal codes carry custom board sizes and match rules', () => {
+    const engine = new GameEngine('beginner');
+    engine.setDifficulty('custom', { rows: 5, cols: 7 });
+    engine.setRule('triples');
+    engine.newGame('7K2M9Q');
+    assert.strictEqual(engine.getDealCode(), 'C5X7-7K2M9Q-T');
+
+    assert.deepStrictEqual(GameEngine.parseDealCode('C5X7-7K2M9Q-T'),
+        { difficulty: 'custom', seed: '7K2M9Q', board: { rows: 5, cols: 7 }, rule: 'triples' });
+    const copy = dealFromCode(engine.getDealCode());
+    assert.deepStrictEqual(copy.state.cards, engine.state.cards);
+    assert.deepStrictEqual([copy.config.rows, copy.config.cols], [5, 7]);
+});
+
+test('deal codes are read regardless of case and spacing', () => {
+    assert.deepStrictEqual(GameEngine.parseDealCode('  b-7k2m9q-f '),
+        { difficulty: 'beginner', seed: '7K2M9Q', board: null, rule: 'families' });
+});
+
+test('invalid deal codes are rejected', () => {
+    [
+        '',
+        null,
+        '7K2M9Q',
+        'Z-7K2M9Q', // No such difficulty
+        'B-7K2M9O', // O is not in the seed alphabet
+        'B-7K2M9Q-X', // No such rule
+        'C-7K2M9Q', // Custom boards need their size
+        'B4X4-7K2M9Q', // Only custom boards carry a size
+        'C11X4-7K2M9Q', // Larger than a custom board may be
+        'C1X4-7K2M9Q'
+    ].forEach(code => assert.strictEqual(GameEngine.parseDealCode(code), null, String(code)));
+});
@@ -0,0 +1,272 @@
+/**
+ * GameEngine turn flow: flipping, matches and misses, turns, scores and results
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+const GameEngine = require('../js/engine.js');
+
+const SEED = 'engine-test';
+
+/**
+ * Deal a beginner versus game between the default seats, logging every event
+ * @returns {Object} - { engine, pairs, events } where pairs lists the card indices of each pair
+ *   and events holds [name, payload] in the order they were emitted
+ */
+function deal() {
+    const engine = new GameEngine('beginner');
+    const events = [];
+    ['gameStarted', 'cardFlipped', 'match', 'mismatch', 'cardsHidden', 'turnChanged', 'statsChanged', 'gameOver']
+        .forEach(name => engine.on(name, payload => events.push([name, payload])));
+    engine.newGame(SEED);
+
+    const byPair = new Map();
+    engine.state.cards.forEach((card, index) => {
+        byPair.set(card.pairId, [...(byPair.get(card.pairId) || []), index]);
+    });
+    return { engine, pairs: Array.from(byPair.values()), events };
+}
+
+/**
+ * Names of the events logged since a given point
+ * @param {Array} events - Event log from deal()
+ * @param {number} from - Index to start at
+ * @returns {Array} - Event names
+ */
+function namesSince(events, from) {
+    return events.slice(from).map(([name]) => name);
+}
+
+test('a new game deals every pair twice and announces it', () => {
+    const { engine, pairs, events } = deal();
+
+    assert.strictEqual(engine.state.cards.length, 16);
+    assert.strictEqual(pairs.length, 8);
+    assert.ok(pairs.every(pair => pair.length === 2));
+    assert.strictEqual(engine.state.isGameActive, true);
+    assert.strictEqual(engine.state.currentPlayer, 'player');
+    assert.deepStrictEqual(engine.state.scores, { player: 0, ai: 0 });
+    assert.deepStrictEqual(namesSince(events, 0), ['gameStarted', 'statsChanged']);
+    assert.strictEqual(events[0][1].restored, false);
+    assert.strictEqual(events[0][1].dealCode, engine.getDealCode());
+});
+
+test('a flip reveals the card and rejects cards that cannot be flipped', () => {
+    const { engine, pairs, events } = deal();
+    const [[a, b], [c]] = pairs;
+    const from = events.length;
+
+    assert.deepStrictEqual(engine.flipCard(a), engine.state.cards[a]);
+    assert.deepStrictEqual(events[from], ['cardFlipped', { cardIndex: a, card: engine.state.cards[a], player: 'player' }]);
+    assert.strictEqual(engine.flipCard(a), null);
+    assert.strictEqual(engine.flipCard(-1), null);
+    assert.strictEqual(engine.flipCard(16), null);
+    assert.strictEqual(engine.evaluateMove(), null);
+
+    engine.flipCard(c);
+    assert.strictEqual(engine.flipCard(b), null);
+    assert.deepStrictEqual(engine.state.flippedCards, [a, c]);
+    assert.strictEqual(engine.state.flips, 2);
+});
+
+test('a match scores, leaves play and keeps the turn', () => {
+    const { engine, pairs, events } = deal();
+    const [a, b] = pairs[0];
+    engine.flipCard(a);
+    engine.flipCard(b);
+    const from = events.length;
+
+    const result = engine.evaluateMove();
+    assert.strictEqual(result.isMatch, true);
+    assert.strictEqual(result.player, 'player');
+    assert.deepStrictEqual(result.cards, [a, b]);
+    assert.strictEqual(result.gameOver, false);
+    assert.deepStrictEqual(namesSince(events, from), ['match', 'statsChanged']);
+    assert.deepStrictEqual(events[from][1], { cards: [a, b], player: 'player', scores: { player: 1, ai: 0 } });
+
+    assert.deepStrictEqual(engine.state.matchedPairs, [[a, b]]);
+    assert.deepStrictEqual(engine.state.flippedCards, []);
+    assert.strictEqual(engine.state.currentPlayer, 'player');
+    assert.strictEqual(engine.state.moves, 1);
+    assert.strictEqual(engine.flipCard(a), null);
+    assert.deepStrictEqual(engine.getAvailableCards().filter(index => index === a || index === b), []);
+});
+
+test('a miss stays face up until the turn passes', () => {
+    const { engine, pairs, events } = deal();
+    const [[a], [b]] = pairs;
+    engine.flipCard(a);
+    engine.flipCard(b);
+    let from = events.length;
+
+    const result = engine.evaluateMove();
+    assert.strictEqual(result.isMatch, false);
+    assert.deepStrictEqual(namesSince(events, from), ['mismatch', 'statsChanged']);
+    assert.deepStrictEqual(engine.state.flippedCards, [a, b]);
+    assert.deepStrictEqual(engine.state.scores, { player: 0, ai: 0 });
+
+    from = events.length;
+    engine.endTurn();
+    assert.deepStrictEqual(events.slice(from), [
+        ['cardsHidden', { cards: [a, b], player: 'player' }],
+        ['turnChanged', { currentPlayer: 'ai' }]
+    ]);
+    assert.deepStrictEqual(engine.state.flippedCards, []);
+    assert.strictEqual(engine.state.currentPlayer, 'ai');
+
+    engine.endTurn();
+    assert.strictEqual(engine.state.currentPlayer, 'player');
+});
+
+test('clearing the board ends the game once with its result', () => {
+    const { engine, pairs, events } = deal();
+    const results = [];
+    engine.on('gameOver', result => results.push(result));
+
+    // The player takes three pairs, misses, then the AI takes the other five
+    pairs.slice(0, 3).forEach(([a, b]) => {
+        engine.flipCard(a);
+        engine.flipCard(b);
+        engine.evaluateMove();
+    });
+    engine.flipCard(pairs[3][0]);
+    engine.flipCard(pairs[4][0]);
+    engine.evaluateMove();
+    engine.endTurn();
+    let last;
+    pairs.slice(3).forEach(([a, b]) => {
+        engine.flipCard(a);
+        engine.flipCard(b);
+        last = engine.evaluateMove();
+    });
+
+    assert.strictEqual(last.gameOver, true);
+    assert.strictEqual(engine.state.isGameActive, false);
+    assert.strictEqual(engine.flipCard(pairs[0][0]), null);
+    assert.strictEqual(results.length, 1);
+    assert.deepStrictEqual(events[events.length - 1], ['gameOver', results[0]]);
+
+    const result = engine.getResult();
+    assert.deepStrictEqual(result, results[0]);
+    assert.strictEqual(result.winner, 'ai');
+    assert.deepStrictEqual(result.winners, ['ai']);
+    assert.deepStrictEqual(result.scores, { player: 3, ai: 5 });
+    assert.strictEqual(result.totalMoves, 9);
+    assert.strictEqual(result.reason, 'cleared');
+    assert.strictEqual(result.matches, 8);
+    assert.strictEqual(result.totalPairs, 8);
+    assert.strictEqual(result.flips, 18);
+});
+
+test('a shared top score is a tie', () => {
+    const { engine, pairs } = deal();
+    pairs.forEach(([a, b], index) => {
+        engine.flipCard(a);
+        engine.flipCard(b);
+        engine.evaluateMove();
+        if (index === 3) {
+            engine.switchTurn();
+        }
+    });
+
+    const result = engine.getResult();
+    assert.strictEqual(result.winner, 'tie');
+    assert.deepStrictEqual(result.winners, ['player', 'ai']);
+});
+
+/**
+ * Play a beginner game to the middle of a turn: one pair matched by the
+ * player and one card of the next turn face up
+ * @returns {Object} - { engine, pairs, snapshot } with the snapshot taken there
+ */
+function playToSnapshot() {
+    const { engine, pairs } = deal();
+    engine.flipCard(pairs[0][0]);
+    engine.flipCard(pairs[0][1]);
+    engine.evaluateMove();
+    engine.flipCard(pairs[1][0]);
+    return { engine, pairs, snapshot: JSON.parse(JSON.stringify(engine.serialize())) };
+}
+
+test('a snapshot restores the game it was taken from', () => {
+    const { engine, pairs, snapshot } = playToSnapshot();
+    const resumed = new GameEngine('expert');
+    const started = [];
+    resumed.on('gameStarted', game => started.push(game));
+
+    assert.strictEqual(resumed.restore(snapshot), true);
+    assert.deepStrictEqual(resumed.serialize(), engine.serialize());
+    assert.strictEqual(resumed.getDealCode(), engine.getDealCode());
+    assert.strictEqual(resumed.state.isGameActive, true);
+    assert.strictEqual(started.length, 1);
+    assert.strictEqual(started[0].restored, true);
+
+    // Play carries on where it stopped
+    resumed.flipCard(pairs[1][1]);
+    assert.strictEqual(resumed.evaluateMove().isMatch, true);
+    assert.deepStrictEqual(resumed.state.scores, { player: 2, ai: 0 });
+});
+
+test('a snapshot with the turn all flipped is scored once resumed', () => {
+    const { engine, pairs } = playToSnapshot();
+    engine.flipCard(pairs[2][0]);
+    const snapshot = engine.serialize();
+    const resumed = new GameEngine();
+
+    assert.strictEqual(resumed.restore(snapshot), true);
+    assert.deepStrictEqual(resumed.state.flippedCards, [pairs[1][0], pairs[2][0]]);
+    assert.strictEqual(resumed.evaluateMove().isMatch, false);
+    assert.strictEqual(resumed.state.moves, 2);
+    resumed.endTurn();
+    assert.strictEqual(resumed.state.currentPlayer, 'ai');
+});
+
+test('a snapshot that fails a check is rejected and changes nothing', () => {
+    const { pairs, snapshot } = playToSnapshot();
+    const [a, b] = pairs[0];
+    const [c] = pairs[1];
+    const [d] = pairs[2];
+    const corrupt = {
+        'no snapshot': null,
+        'old version': { ...snapshot, version: 1 },
+        'unknown rule': { ...snapshot, rule: 'quads' },
+        'unknown player': { ...snapshot, currentPlayer: 'nobody' },
+        'missing cards': { ...snapshot, cards: snapshot.cards.slice(1) },
+        'missing flipped cards': { ...snapshot, flippedCards: undefined },
+        'card out of range': { ...snapshot, flippedCards: [16] },
+        'card index not a number': { ...snapshot, flippedCards: ['3'] },
+        'card flipped twice': { ...snapshot, flippedCards: [c, c] },
+        'matched card flipped': { ...snapshot, flippedCards: [a] },
+        'more cards flipped than a turn takes': { ...snapshot, flippedCards: [c, d, pairs[3][0]] },
+        'card matched twice': { ...snapshot, matchedPairs: [[a, b], [a, b]] },
+        'matched set too small': { ...snapshot, matchedPairs: [[a]] },
+        'matched cards that differ': { ...snapshot, matchedPairs: [[a, d]] },
+        'moves not a count': { ...snapshot, moves: -1 },
+        'score not a number': { ...snapshot, scores: { player: 'one', ai: 0 } }
+    };
+
+    const engine = new GameEngine('advanced');
+    engine.newGame(SEED);
+    const before = engine.serialize();
+    Object.entries(corrupt).forEach(([name, bad]) => {
+        assert.strictEqual(GameEngine.readSnapshot(bad), null, name);
+        assert.strictEqual(engine.restore(bad), false, name);
+    });
+    assert.deepStrictEqual(engine.serialize(), before);
+});
+
+test('a snapshot naming a blank card is rejected', () => {
+    const engine = new GameEngine('custom');
+    engine.setDifficulty('custom', { rows: 3, cols: 3 });
+    engine.newGame(SEED);
+    const filler = engine.state.cards.findIndex(card => card.filler);
+    const snapshot = engine.serialize();
+
+    assert.ok(GameEngine.readSnapshot(snapshot));
+    assert.strictEqual(GameEngine.readSnapshot({ ...snapshot, flippedCards: [filler] }), null);
+});
@@ -0,0 +1,84 @@
+/**
+ * Hint advice in versus and solo games
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+global.MemorySolver = require('../js/solver.js');
+const GameEngine = require('../js/engine.js');
+const HintAdvisor = require('../js/hints.js');
+
+const SEED = 'hints-test';
+
+/**
+ * Deal a beginner board and play it to the same position in any mode: two
+ * pairs matched, a miss that leaves two cards known without their partners,
+ * and the first card of the next turn turned over from the unseen ones
+ * @param {string} mode - Game mode name
+ * @returns {Object} - { advisor, known } where known lists the two cards left from the miss
+ */
+function playPosition(mode) {
+    const engine = new GameEngine('beginner');
+    engine.setMode(mode);
+    const advisor = new HintAdvisor(engine);
+    engine.newGame(SEED);
+
+    const byPair = new Map();
+    engine.state.cards.forEach((card, index) => {
+        byPair.set(card.pairId, [...(byPair.get(card.pairId) || []), index]);
+    });
+    const pairs = Array.from(byPair.values());
+
+    pairs.slice(0, 2).forEach(([first, second]) => {
+        engine.flipCard(first);
+        engine.flipCard(second);
+        assert.ok(engine.evaluateMove().isMatch);
+    });
+
+    engine.flipCard(pairs[2][0]);
+    engine.flipCard(pairs[3][0]);
+    assert.ok(!engine.evaluateMove().isMatch);
+    engine.endTurn();
+
+    engine.flipCard(pairs[4][0]);
+    return { advisor, known: [pairs[2][0], pairs[3][0]] };
+}
+
+test('versus hints follow the solver and turn over a known card', () => {
+    // Six pairs left with two cards known: perfect play gives nothing new away
+    assert.strictEqual(MemorySolver.bestMove(6, 2).second, 'known');
+    const { advisor, known } = playPosition('versus');
+    const hint = advisor.getHint();
+    assert.strictEqual(hint.type, 'safe');
+    assert.ok(known.includes(hint.cards[0]));
+});
+
+test('puzzle hints explore instead of playing safe', () => {
+    const { advisor, known } = playPosition('puzzle');
+    const hint = advisor.getHint();
+    assert.strictEqual(hint.type, 'explore');
+    assert.ok(!known.includes(hint.cards[0]));
+});
+
+test('puzzle hints never advise passing', () => {
+    const engine = new GameEngine('beginner');
+    engine.setMode('puzzle');
+    const advisor = new HintAdvisor(engine);
+    engine.newGame(SEED);
+
+    while (engine.state.isGameActive) {
+        const hint = advisor.getHint();
+        assert.notStrictEqual(hint?.type, 'pass');
+        assert.notStrictEqual(hint?.type, 'safe');
+        hint.cards.forEach(cardIndex => engine.flipCard(cardIndex));
+        if (engine.state.flippedCards.length === 2 && !engine.evaluateMove().isMatch) {
+            engine.endTurn();
+        }
+    }
+    assert.strictEqual(engine.getResult().reason, 'cleared');
+});
@@ -0,0 +1,75 @@
+/**
+ * Game modes that end a game before the board is cleared
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+const GameEngine = require('../js/engine.js');
+
+/**
+ * Deal a beginner board in a mode
+ * @param {string} mode - Game mode name
+ * @returns {Object} - { engine, pairs, results } where pairs lists the card indices of each pair
+ *   and results collects every gameOver result
+ */
+function deal(mode) {
+    const engine = new GameEngine('beginner');
+    engine.setMode(mode);
+    const results = [];
+    engine.on('gameOver', result => results.push(result));
+    engine.newGame('modes-test');
+
+    const byPair = new Map();
+    engine.state.cards.forEach((card, index) => {
+        byPair.set(card.pairId, [...(byPair.get(card.pairId) || []), index]);
+    });
+    return { engine, pairs: Array.from(byPair.values()), results };
+}
+
+test('a move waiting when time runs out is not scored', () => {
+    const { engine, pairs, results } = deal('timeAttack');
+    pairs.slice(0, -1).forEach(([first, second]) => {
+        engine.flipCard(first);
+        engine.flipCard(second);
+        engine.evaluateMove();
+    });
+
+    const [first, second] = pairs[pairs.length - 1];
+    engine.flipCard(first);
+    engine.flipCard(second);
+    assert.strictEqual(engine.timeUp(), true);
+
+    assert.strictEqual(engine.evaluateMove(), null);
+    assert.deepStrictEqual(engine.state.flippedCards, []);
+    assert.strictEqual(engine.state.scores.player, pairs.length - 1);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].reason, 'time');
+});
+
+test('time up only ends games on the clock', () => {
+    const { engine, results } = deal('puzzle');
+    assert.strictEqual(engine.timeUp(), false);
+    assert.strictEqual(engine.state.isGameActive, true);
+    assert.strictEqual(results.length, 0);
+});
+
+test('a puzzle game ends when too few flips are left for a turn', () => {
+    const { engine, pairs, results } = deal('puzzle');
+    const [[a], [b]] = pairs;
+    while (engine.state.isGameActive) {
+        engine.flipCard(a);
+        engine.flipCard(b);
+        engine.evaluateMove();
+        engine.endTurn();
+    }
+
+    assert.strictEqual(engine.state.flips, engine.state.flipLimit);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].reason, 'flips');
+    assert.strictEqual(results[0].winner, null);
+});
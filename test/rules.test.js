@@ -0,0 +1,107 @@
+/**
+ * Match rules: the cards they deal and when flipped cards match
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+const GameEngine = require('../js/engine.js');
+
+/**
+ * Count the cards dealt for each pairId
+ * @param {Array} cards - Card data
+ * @returns {Array} - Counts in pairId order
+ */
+function countByPair(cards) {
+    const counts = [];
+    cards.forEach(card => {
+        counts[card.pairId] = (counts[card.pairId] || 0) + 1;
+    });
+    return counts;
+}
+
+test('pairs deal every symbol twice and match two of a kind', () => {
+    const rule = MatchRules.create('pairs');
+    assert.strictEqual(rule.setSize, 2);
+    assert.strictEqual(rule.getCardCount(16), 16);
+    assert.strictEqual(rule.getCardCount(25), 24);
+    assert.strictEqual(rule.getSetCount(25), 12);
+
+    const cards = rule.createDeck(16);
+    assert.deepStrictEqual(countByPair(cards), Array(8).fill(2));
+    assert.strictEqual(rule.isMatch([cards[0], cards[1]]), true);
+    assert.strictEqual(rule.isMatch([cards[0], cards[2]]), false);
+    assert.strictEqual(rule.getMatchKey(cards[0]), cards[0].symbol);
+});
+
+test('triples deal every symbol three times and match only three of a kind', () => {
+    const rule = MatchRules.create('triples');
+    assert.strictEqual(rule.setSize, 3);
+    assert.strictEqual(rule.getCardCount(16), 15);
+    assert.strictEqual(rule.getSetCount(16), 5);
+
+    const cards = rule.createDeck(15);
+    assert.deepStrictEqual(countByPair(cards), Array(5).fill(3));
+    assert.strictEqual(rule.isMatch(cards.slice(0, 3)), true);
+    assert.strictEqual(rule.isMatch([cards[0], cards[1], cards[3]]), false);
+});
+
+test('families match two different members of a family', () => {
+    const rule = MatchRules.create('families');
+    const cards = rule.createDeck(16);
+    const [first, second] = cards;
+
+    assert.strictEqual(first.family, second.family);
+    assert.notStrictEqual(first.symbol, second.symbol);
+    assert.strictEqual(rule.getMatchKey(first), first.family);
+    assert.strictEqual(rule.isMatch([first, second]), true);
+
+    const otherFamily = cards.find(card => card.family !== first.family);
+    assert.strictEqual(rule.isMatch([first, otherFamily]), false);
+
+    // A family dealt more than once: any two of its members match
+    const sameFamily = cards.filter(card => card.family === first.family);
+    assert.ok(sameFamily.length >= 4);
+    assert.strictEqual(rule.isMatch([sameFamily[0], sameFamily[3]]), true);
+});
+
+test('odd one out hides cards without a partner', () => {
+    const rule = MatchRules.create('oddOneOut');
+    assert.strictEqual(rule.getCardCount(16), 16);
+    assert.strictEqual(rule.getSetCount(16), 7);
+    assert.strictEqual(rule.getSetCount(25), 12);
+
+    const cards = rule.createDeck(16);
+    const odd = cards.filter(card => card.odd);
+    assert.strictEqual(odd.length, 2);
+    assert.ok(odd.every(card => cards.filter(other => other.pairId === card.pairId).length === 1));
+    assert.strictEqual(rule.isMatch(odd), false);
+    assert.deepStrictEqual(countByPair(cards.filter(card => !card.odd)), Array(7).fill(2));
+});
+
+test('the engine deals and scores by the active rule', () => {
+    const engine = new GameEngine('beginner');
+    engine.setRule('triples');
+    engine.newGame('rules-test');
+
+    const fillers = engine.state.cards
+        .map((card, index) => card.filler ? index : null)
+        .filter(index => index !== null);
+    assert.deepStrictEqual(fillers, [7]);
+    assert.strictEqual(engine.totalPairs, 5);
+
+    const pairId = engine.state.cards[0].pairId;
+    const set = engine.state.cards
+        .map((card, index) => card.pairId === pairId ? index : null)
+        .filter(index => index !== null);
+    set.forEach(index => engine.flipCard(index));
+    assert.strictEqual(engine.flipCard(fillers[0]), null);
+
+    const result = engine.evaluateMove();
+    assert.strictEqual(result.isMatch, true);
+    assert.deepStrictEqual(engine.state.matchedPairs, [set]);
+});
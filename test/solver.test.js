@@ -0,0 +1,56 @@
+/**
+ * MemorySolver values and best moves for perfect-memory play
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MemorySolver = require('../js/solver.js');
+
+/**
+ * Compare solver values, which are sums of fractions
+ * @param {number} actual - Value from the solver
+ * @param {number} expected - Value worked out by hand
+ */
+function assertValue(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('an empty board is worth nothing', () => {
+    assertValue(MemorySolver.value(0, 0), 0);
+});
+
+test('the last pair always goes to the player to move', () => {
+    assertValue(MemorySolver.value(1, 0), 1);
+    assertValue(MemorySolver.value(1, 1), 1);
+});
+
+test('a board whose every partner is known is worth all its pairs', () => {
+    [2, 3, 5, 8].forEach(pairs => assertValue(MemorySolver.value(pairs, pairs), pairs));
+});
+
+test('small boards are worth what working them out by hand gives', () => {
+    // Two pairs face down: a lucky second card (1 in 3) takes both, otherwise both cards are given away
+    assertValue(MemorySolver.value(2, 0), 1 / 3 * 2 - 2 / 3 * 2);
+    // One card known: a third of the time its partner comes first and both pairs follow
+    assertValue(MemorySolver.value(2, 1), 2 / 3);
+});
+
+test('turning over a known second card is best when a new one would give too much away', () => {
+    assert.strictEqual(MemorySolver.bestMove(6, 2).second, 'known');
+    assert.strictEqual(MemorySolver.bestMove(2, 0).second, 'unknown');
+});
+
+test('passing is best when exploring would lose, and such positions are worth nothing', () => {
+    const move = MemorySolver.bestMove(5, 4);
+    assert.strictEqual(move.first, 'pass');
+    assert.ok(move.explore < 0);
+    assertValue(MemorySolver.value(5, 4), 0);
+    assert.strictEqual(MemorySolver.bestMove(3, 1).first, 'explore');
+});
+
+test('the solver covers decks of pairs only', () => {
+    assert.strictEqual(MemorySolver.covers({ star: 2, moon: 2 }), true);
+    assert.strictEqual(MemorySolver.covers({ star: 3, moon: 3 }), false);
+    assert.strictEqual(MemorySolver.covers({ star: 2, moon: 1 }), false);
+});
@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+/**
+ * Batch Simulator for MemoryMind AI
+ * Plays many headless games between AI strategies and a scripted human model,
+ * without thinking or animation delays, and reports win rates and score
+ * distributions so difficulty settings can be calibrated on data.
+ *
+ * Usage:
+ *   node tools/simulate.js --games 1000 --board beginner --players human,ai:beginner
+ *   node tools/simulate.js --players ai:beginner,ai:expert --format csv
+ *   node tools/simulate.js --board 7x9 --players human,ai:advanced
+ *   node tools/simulate.js --rule triples --players human,ai:intermediate
+ *   node tools/simulate.js --players ai:intermediate:accuracy=0.8:matchGain=0.02,human:recall=0.7
+ *
+ * Player specs:
+ *   ai[:difficulty][:key=value...]  MemoryAI; difficulty defaults to the board's.
+ *                                   Keys: strategy (a registered AI strategy),
+ *                                   personality (a key of PERSONALITIES),
+ *                                   policy (a policy file for the learned
+ *                                   strategy; defaults to policies/learned.json),
+ *                                   accuracy, exploration, matchGain, missLoss,
+ *                                   accuracyFloor, accuracyCeiling, halfLife
+ *                                   (turns), reinforcement, confusion,
+ *                                   riskTolerance, caution, blockRate, streakiness
+ *   human[:recall=value]            Scripted human who remembers each card seen
+ *                                   with probability recall (default 0.5)
+ *
+ * --rule picks the match rule (see js/rules.js): pairs (default), triples,
+ * families or oddOneOut.
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+global.MemorySolver = require('../js/solver.js');
+global.AIStrategies = require('../js/strategies.js');
+global.BeliefState = require('../js/belief.js');
+global.LearnedPolicy = require('../js/policy.js');
+const GameEngine = require('../js/engine.js');
+const MemoryAI = require('../js/ai.js');
+
+// Games still running after this many moves are abandoned as stalled
+const MAX_MOVES_PER_GAME = 1000;
+
+const AI_OPTIONS = {
+    accuracy: value => ({ memoryAccuracy: value }),
+    exploration: value => ({ explorationRate: value }),
+    matchGain: value => ({ learning: { matchGain: value } }),
+    missLoss: value => ({ learning: { missLoss: value } }),
+    accuracyFloor: value => ({ learning: { accuracyFloor: value } }),
+    accuracyCeiling: value => ({ learning: { accuracyCeiling: value } }),
+    halfLife: value => ({ decay: { halfLife: value } }),
+    reinforcement: value => ({ decay: { reinforcement: value } }),
+    confusion: value => ({ confusion: value }),
+    riskTolerance: value => ({ style: { riskTolerance: value } }),
+    caution: value => ({ style: { caution: value } }),
+    blockRate: value => ({ style: { blockRate: value } }),
+    streakiness: value => ({ style: { streakiness: value } })
+};
+
+/**
+ * Scripted stand-in for a human player: imperfect memory, flips one card at a
+ * time and looks for the partner of the first card before picking the second
+ */
+class HumanModel {
+    constructor(recall = 0.5) {
+        this.recall = recall;
+        this.memory = new Map(); // Remembered card positions
+        this.random = Math.random;
+    }
+
+    /**
+     * Use a specific random source
+     * @param {Function} random - Function returning a number in [0, 1)
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
+    /**
+     * Possibly remember a revealed card
+     * @param {number} cardIndex - Index of the revealed card
+     * @param {string} symbol - Match key of the card
+     */
+    observeCard(cardIndex, symbol) {
+        if (this.random() < this.recall) {
+            this.memory.set(cardIndex, symbol);
+        }
+    }
+
+    /**
+     * Forget cards that have left the board
+     * @param {Array} cards - Indices of the cards flipped
+     * @param {boolean} wasMatch - Whether the cards matched
+     */
+    recordMoveResult(cards, wasMatch) {
+        if (wasMatch) {
+            cards.forEach(cardIndex => this.memory.delete(cardIndex));
+        }
+    }
+
+    /**
+     * Find an available card remembered to hold a symbol
+     * @param {Array} availableCards - Available card indices
+     * @param {string} symbol - Symbol to look for
+     * @param {number} exclude - Card index to skip
+     * @returns {number|undefined} - Card index
+     */
+    findRemembered(availableCards, symbol, exclude) {
+        return availableCards.find(index => index !== exclude && this.memory.get(index) === symbol);
+    }
+
+    /**
+     * Pick the first card: half of a remembered pair, else an unseen card
+     * @param {Array} availableCards - Available card indices
+     * @returns {number} - Card index
+     */
+    chooseFirstCard(availableCards) {
+        const knownCard = availableCards.find(index =>
+            this.memory.has(index) &&
+            this.findRemembered(availableCards, this.memory.get(index), index) !== undefined);
+        if (knownCard !== undefined) {
+            return knownCard;
+        }
+
+        const unseen = availableCards.filter(index => !this.memory.has(index));
+        return GameUtils.randomChoice(unseen.length > 0 ? unseen : availableCards, this.random);
+    }
+
+    /**
+     * Pick the second card after seeing the first
+     * @param {Array} availableCards - Available card indices
+     * @param {number} firstCard - Index of the first card
+     * @param {string} firstSymbol - Symbol on the first card
+     * @returns {number} - Card index
+     */
+    chooseSecondCard(availableCards, firstCard, firstSymbol) {
+        const partner = this.findRemembered(availableCards, firstSymbol, firstCard);
+        if (partner !== undefined) {
+            return partner;
+        }
+
+        const others = availableCards.filter(index => index !== firstCard);
+        const unseen = others.filter(index => !this.memory.has(index));
+        return GameUtils.randomChoice(unseen.length > 0 ? unseen : others, this.random);
+    }
+}
+
+/**
+ * Parse a player spec such as "ai:expert:accuracy=0.9" or "human:recall=0.6"
+ * @param {string} spec - Player spec
+ * @param {string} boardDifficulty - Difficulty used when an AI spec names none
+ * @returns {Object} - { spec, type, difficulty, strategy, personality, policy, options }
+ */
+function parsePlayer(spec, boardDifficulty) {
+    const [type, ...parts] = spec.trim().split(':');
+    const player = {
+        spec: spec.trim(),
+        type,
+        difficulty: boardDifficulty,
+        strategy: AIStrategies.DEFAULT,
+        personality: null,
+        policy: null,
+        options: {}
+    };
+
+    if (type !== 'ai' && type !== 'human') {
+        throw new Error(`Unknown player type "${type}" in "${spec}"`);
+    }
+
+    if (type === 'ai' && parts[0] && !parts[0].includes('=')) {
+        player.difficulty = parts.shift();
+        if (!GameUtils.GAME_CONSTANTS.DIFFICULTIES[player.difficulty]) {
+            throw new Error(`Unknown difficulty "${player.difficulty}" in "${spec}"`);
+        }
+    }
+
+    parts.forEach(part => {
+        const [key, rawValue] = part.split('=');
+        if (type === 'ai' && key === 'strategy') {
+            if (!AIStrategies.has(rawValue)) {
+                throw new Error(`Unknown strategy "${rawValue}" in "${spec}"`);
+            }
+            player.strategy = rawValue;
+            return;
+        }
+        if (type === 'ai' && key === 'personality') {
+            if (!GameUtils.GAME_CONSTANTS.PERSONALITIES[rawValue]) {
+                throw new Error(`Unknown personality "${rawValue}" in "${spec}"`);
+            }
+            player.personality = rawValue;
+            return;
+        }
+        if (type === 'ai' && key === 'policy') {
+            player.policy = rawValue;
+            return;
+        }
+
+        const value = parseFloat(rawValue);
+        const known = type === 'ai' ? key in AI_OPTIONS : key === 'recall';
+        if (!known || Number.isNaN(value)) {
+            throw new Error(`Invalid option "${part}" in "${spec}"`);
+        }
+        player.options[key] = value;
+    });
+
+    return player;
+}
+
+const policies = new Map(); // Policy file path -> LearnedPolicy, read once per run
+const DEFAULT_POLICY = path.join(__dirname, '..', GameUtils.GAME_CONSTANTS.POLICY_FILE);
+
+/**
+ * Read a policy file for the learned strategy
+ * @param {string} file - Path to the policy file, or null for the default one
+ * @returns {LearnedPolicy|null} - Policy, or null if there is no default policy file
+ */
+function readPolicy(file) {
+    const target = file || DEFAULT_POLICY;
+    if (!policies.has(target)) {
+        if (!file && !fs.existsSync(target)) {
+            return null;
+        }
+        const policy = LearnedPolicy.fromJSON(JSON.parse(fs.readFileSync(target, 'utf8')));
+        if (!policy) {
+            throw new Error(`Policy file ${target} is not a valid policy`);
+        }
+        policies.set(target, policy);
+    }
+    return policies.get(target);
+}
+
+/**
+ * Create the decision maker for a parsed player
+ * @param {Object} player - Parsed player spec
+ * @param {Object} config - Board configuration
+ * @returns {MemoryAI|HumanModel} - Player instance
+ */
+function createPlayer(player, config) {
+    if (player.type === 'human') {
+        return new HumanModel(player.options.recall);
+    }
+
+    const ai = new MemoryAI(player.difficulty, player.strategy);
+    ai.setBoard(config.rows, config.cols);
+    if (player.personality) {
+        ai.setPersonality(player.personality);
+    }
+    if (player.strategy === 'learned' || player.policy) {
+        ai.setPolicy(readPolicy(player.policy));
+    }
+    Object.entries(player.options).forEach(([key, value]) => {
+        ai.configure(AI_OPTIONS[key](value));
+    });
+    return ai;
+}
+
+/**
+ * Play one game to completion without delays
+ * @param {GameEngine} engine - Engine with seats already set
+ * @param {Map} players - Player instance per seat id
+ * @param {string} seed - Deal seed
+ * @returns {Object|null} - Engine result, or null if the game stalled
+ */
+function playGame(engine, players, seed) {
+    engine.newGame(seed);
+
+    const deck = engine.getSymbolCounts();
+    players.forEach(player => {
+        if (player instanceof MemoryAI) {
+            player.setDeck(deck);
+            player.setTotalPairs(engine.totalPairs);
+        }
+    });
+
+    const observe = (cardIndex, card, mover) => {
+        const key = engine.getMatchKey(card);
+        players.forEach(player => player.observeCard(cardIndex, key, mover instanceof HumanModel));
+        return key;
+    };
+
+    while (engine.state.isGameActive) {
+        if (engine.state.moves >= MAX_MOVES_PER_GAME) {
+            return null;
+        }
+
+        const mover = players.get(engine.state.currentPlayer);
+        const availableCards = engine.getAvailableCards();
+
+        const firstCard = mover.chooseFirstCard(availableCards);
+        const firstKey = observe(firstCard, engine.flipCard(firstCard), mover);
+
+        // The rest of the turn's cards are picked knowing what the first one shows
+        while (engine.state.flippedCards.length < engine.rule.setSize) {
+            const flipped = engine.state.flippedCards.slice(1);
+            const card = mover.chooseSecondCard(
+                availableCards.filter(index => !flipped.includes(index)), firstCard, firstKey);
+            observe(card, engine.flipCard(card), mover);
+        }
+
+        const move = engine.evaluateMove();
+        players.forEach(player => player.recordMoveResult(move.cards, move.isMatch, move.keys));
+
+        if (!move.isMatch && !move.gameOver) {
+            engine.endTurn();
+        }
+    }
+
+    return engine.getResult();
+}
+
+/**
+ * Run a batch of games. Seats rotate every game so no player always moves first;
+ * stalled games are counted but left out of the rates and averages.
+ * @param {Object} options - { games, board, players, seed, rule }
+ * @returns {Object} - Summary with per-player win rates and score distributions
+ */
+function simulate({ games = 1000, board = 'beginner', players = ['human', 'ai'], seed = 'calibration',
+    rule = MatchRules.DEFAULT } = {}) {
+    // A board is a difficulty name or the size of a custom board, e.g. "7x9"
+    const size = String(board).match(/^(\d+)x(\d+)$/i);
+    const difficulty = size ? 'custom' : board;
+    const config = GameEngine.getBoardConfig(difficulty,
+        size ? { rows: parseInt(size[1], 10), cols: parseInt(size[2], 10) } : undefined);
+    if (!config) {
+        throw new Error(`Unknown board "${board}"`);
+    }
+
+    const parsed = players.map(spec => parsePlayer(spec, difficulty));
+    const seats = parsed.map((player, index) => ({
+        id: `p${index + 1}`,
+        name: player.spec,
+        type: player.type === 'human' ? 'human' : 'ai'
+    }));
+
+    const engine = new GameEngine(difficulty);
+    engine.setDifficulty(difficulty, config);
+    if (!engine.setRule(rule)) {
+        throw new Error(`Unknown match rule "${rule}"`);
+    }
+    if (!engine.setSeats(seats)) {
+        throw new Error(`Choose between ${GameEngine.MIN_SEATS} and ${GameEngine.MAX_SEATS} players`);
+    }
+
+    const totals = seats.map(seat => ({
+        id: seat.id,
+        player: seat.name,
+        wins: 0,
+        ties: 0,
+        losses: 0,
+        totalScore: 0,
+        scoreDistribution: {}
+    }));
+    let totalMoves = 0;
+    let finishedGames = 0;
+
+    for (let game = 0; game < games; game++) {
+        const gameSeed = `${seed}-${game}`;
+        const rotation = game % seats.length;
+        engine.setSeats([...seats.slice(rotation), ...seats.slice(0, rotation)]);
+
+        const instances = new Map(parsed.map((player, index) => {
+            const instance = createPlayer(player, config);
+            instance.setRandom(GameUtils.createRandom(`${gameSeed}:${seats[index].id}`));
+            return [seats[index].id, instance];
+        }));
+
+        const result = playGame(engine, instances, gameSeed);
+        if (!result) {
+            continue;
+        }
+
+        finishedGames++;
+        totalMoves += result.totalMoves;
+
+        totals.forEach(total => {
+            const score = result.scores[total.id];
+            total.totalScore += score;
+            total.scoreDistribution[score] = (total.scoreDistribution[score] || 0) + 1;
+
+            if (result.winner === total.id) {
+                total.wins++;
+            } else if (result.winners.includes(total.id)) {
+                total.ties++;
+            } else {
+                total.losses++;
+            }
+        });
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const perGame = value => (finishedGames > 0 ? round(value / finishedGames) : null);
+    return {
+        games,
+        board,
+        rule,
+        seed,
+        stalledGames: games - finishedGames,
+        averageMoves: perGame(totalMoves),
+        players: totals.map(({ id, player, wins, ties, losses, totalScore, scoreDistribution }) => ({
+            id,
+            player,
+            wins,
+            ties,
+            losses,
+            winRate: perGame(wins),
+            averageScore: perGame(totalScore),
+            scoreDistribution
+        }))
+    };
+}
+
+/**
+ * Format a summary as CSV, one row per player
+ * @param {Object} summary - Result of simulate()
+ * @returns {string} - CSV text
+ */
+function toCSV(summary) {
+    const header = 'player,games,stalledGames,board,rule,wins,ties,losses,winRate,averageScore,averageMoves,scoreDistribution';
+    const rows = summary.players.map(player => [
+        `"${player.player}"`,
+        summary.games,
+        summary.stalledGames,
+        summary.board,
+        summary.rule,
+        player.wins,
+        player.ties,
+        player.losses,
+        player.winRate,
+        player.averageScore,
+        summary.averageMoves,
+        `"${Object.entries(player.scoreDistribution).map(([score, count]) => `${score}:${count}`).join(' ')}"`
+    ].join(','));
+
+    return [header, ...rows].join('\n');
+}
+
+/**
+ * Read --key value pairs from the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Expected "--option value", got "${argv[i]}"`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const games = parseInt(args.games || '1000', 10);
+        if (!(games > 0)) {
+            throw new Error('--games must be a positive number');
+        }
+
+        const summary = simulate({
+            games,
+            board: args.board || 'beginner',
+            players: (args.players || 'human,ai').split(','),
+            seed: args.seed || 'calibration',
+            rule: args.rule || MatchRules.DEFAULT
+        });
+
+        console.log(args.format === 'csv' ? toCSV(summary) : JSON.stringify(summary, null, 2));
+    } catch (error) {
+        console.error(`simulate: ${error.message}`);
+        console.error('Usage: node tools/simulate.js [--games N] [--board difficulty|RxC] [--players spec,spec] [--rule name] [--seed text] [--format json|csv]');
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulate, playGame, parsePlayer, toCSV, HumanModel };
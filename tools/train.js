@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Self-Play Trainer for MemoryMind AI
+ * Trains the policy of the learned strategy by letting it play against
+ * itself: after every game each decision the winner made becomes more likely
+ * and each decision the loser made less so, in proportion to the score
+ * margin (REINFORCE). The result is written as a JSON policy file that
+ * MemoryAI loads in the browser.
+ *
+ * Usage:
+ *   node tools/train.js --games 20000 --out policies/learned.json
+ *   node tools/train.js --board intermediate --difficulty expert --rate 0.02 --seed run-2
+ *
+ * Options:
+ *   --games N          Self-play games (default 20000)
+ *   --board name       Board to train on, by difficulty name (default beginner)
+ *   --difficulty name  Memory of the training AIs (default expert)
+ *   --rate x           Learning rate (default 0.05)
+ *   --seed text        Seed for deals and decisions (default training)
+ *   --evaluate N       Games against each benchmark strategy afterwards (default 1000)
+ *   --out path         Policy file to write (default policies/learned.json)
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.GameUtils = require('../js/utils.js');
+global.CardDecks = require('../js/decks.js');
+global.MatchRules = require('../js/rules.js');
+global.GameModes = require('../js/modes.js');
+global.MemorySolver = require('../js/solver.js');
+global.AIStrategies = require('../js/strategies.js');
+global.BeliefState = require('../js/belief.js');
+global.LearnedPolicy = require('../js/policy.js');
+const GameEngine = require('../js/engine.js');
+const MemoryAI = require('../js/ai.js');
+const { playGame } = require('./simulate.js');
+
+const BENCHMARKS = ['random', 'greedy', 'probabilistic', 'master'];
+const SEATS = [
+    { id: 'learner', name: 'Learner', type: 'ai' },
+    { id: 'opponent', name: 'Opponent', type: 'ai' }
+];
+
+/**
+ * Create an AI for a seat
+ * @param {Object} options - { board, difficulty }
+ * @param {string} strategy - Strategy name
+ * @param {string} seed - Seed for its decisions
+ * @param {LearnedPolicy} policy - Policy for the learned strategy (optional)
+ * @returns {MemoryAI} - AI
+ */
+function createAI({ board, difficulty }, strategy, seed, policy) {
+    const config = GameUtils.GAME_CONSTANTS.DIFFICULTIES[board];
+    const ai = new MemoryAI(difficulty, strategy);
+    ai.setBoard(config.rows, config.cols);
+    ai.setRandom(GameUtils.createRandom(seed));
+    if (policy) {
+        ai.setPolicy(policy);
+    }
+    return ai;
+}
+
+/**
+ * Train a policy by self-play
+ * @param {Object} options - { games, board, difficulty, rate, seed }
+ * @param {Function} onProgress - Called with (gamesPlayed, averageMoves) every tenth of the run
+ * @returns {LearnedPolicy} - Trained policy
+ */
+function train({ games, board, difficulty, rate, seed }, onProgress = () => {}) {
+    const engine = new GameEngine(board);
+    engine.setSeats(SEATS);
+
+    const policy = new LearnedPolicy({}, { games, board, difficulty, rate, seed });
+    policy.sampling = true;
+
+    let moves = 0;
+    for (let game = 0; game < games; game++) {
+        const gameSeed = `${seed}-${game}`;
+        const players = new Map(SEATS.map(seat => [
+            seat.id,
+            createAI({ board, difficulty }, 'learned', `${gameSeed}:${seat.id}`, policy)
+        ]));
+
+        const result = playGame(engine, players, gameSeed);
+        if (result) {
+            moves += result.totalMoves;
+
+            // Both sides learn from the same game, each from its own point of view
+            players.forEach((ai, seatId) => {
+                const otherId = SEATS.find(seat => seat.id !== seatId).id;
+                const advantage = (result.scores[seatId] - result.scores[otherId]) / engine.totalPairs;
+                ai.strategy.trajectory.forEach(step => policy.update(step, advantage, rate));
+            });
+        }
+
+        if ((game + 1) % Math.max(1, Math.floor(games / 10)) === 0) {
+            onProgress(game + 1, moves / (game + 1));
+        }
+    }
+
+    policy.sampling = false;
+    return policy;
+}
+
+/**
+ * Play a trained policy against another strategy, alternating who moves first
+ * @param {LearnedPolicy} policy - Policy to test
+ * @param {string} strategy - Opponent strategy
+ * @param {Object} options - { games, board, difficulty, seed }
+ * @returns {Object} - { opponent, winRate, averageMargin }
+ */
+function evaluate(policy, strategy, { games, board, difficulty, seed }) {
+    const engine = new GameEngine(board);
+    let wins = 0;
+    let margin = 0;
+
+    for (let game = 0; game < games; game++) {
+        const gameSeed = `${seed}-eval-${strategy}-${game}`;
+        engine.setSeats(game % 2 === 0 ? SEATS : [...SEATS].reverse());
+        const players = new Map([
+            ['learner', createAI({ board, difficulty }, 'learned', `${gameSeed}:learner`, policy)],
+            ['opponent', createAI({ board, difficulty }, strategy, `${gameSeed}:opponent`)]
+        ]);
+
+        const result = playGame(engine, players, gameSeed);
+        if (!result) continue;
+
+        wins += result.winner === 'learner' ? 1 : result.winners.includes('learner') ? 0.5 : 0;
+        margin += result.scores.learner - result.scores.opponent;
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    return { opponent: strategy, winRate: round(wins / games), averageMargin: round(margin / games) };
+}
+
+/**
+ * Read --key value pairs from the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Expected "--option value", got "${argv[i]}"`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function main() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const options = {
+            games: parseInt(args.games || '20000', 10),
+            board: args.board || 'beginner',
+            difficulty: args.difficulty || 'expert',
+            rate: parseFloat(args.rate || '0.05'),
+            seed: args.seed || 'training'
+        };
+        const evaluationGames = parseInt(args.evaluate || '1000', 10);
+        const out = args.out || path.join(__dirname, '..', GameUtils.GAME_CONSTANTS.POLICY_FILE);
+
+        if (!(options.games > 0) || !(options.rate > 0) || !(evaluationGames >= 0)) {
+            throw new Error('--games, --rate and --evaluate must be positive numbers');
+        }
+        [options.board, options.difficulty].forEach(name => {
+            if (!GameUtils.GAME_CONSTANTS.DIFFICULTIES[name]) {
+                throw new Error(`Unknown difficulty "${name}"`);
+            }
+        });
+
+        const policy = train(options, (played, averageMoves) => {
+            console.error(`train: ${played}/${options.games} games, ${averageMoves.toFixed(1)} moves per game`);
+        });
+
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, `${JSON.stringify(policy.toJSON(), null, 2)}\n`);
+        console.error(`train: wrote ${out}`);
+
+        if (evaluationGames > 0) {
+            const results = BENCHMARKS.map(strategy =>
+                evaluate(policy, strategy, { ...options, games: evaluationGames }));
+            console.log(JSON.stringify(results, null, 2));
+        }
+    } catch (error) {
+        console.error(`train: ${error.message}`);
+        console.error('Usage: node tools/train.js [--games N] [--board difficulty] [--difficulty difficulty] [--rate x] [--seed text] [--evaluate N] [--out path]');
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { train, evaluate };